@@ -0,0 +1,33 @@
+/**
+ * 🌱 Leave accrual CLI
+ *
+ *   node accrue_leave.js 2025-07          credit monthly-accrual policies for July 2025
+ *   node accrue_leave.js 2025             credit yearly-accrual policies for 2025
+ *   node accrue_leave.js --year-end 2024  apply carry-forward caps and lapse the rest
+ *
+ * Uses the same engine as POST /leave/accruals and POST /leave/year-end, so re-running is safe.
+ */
+const { pool, runLeaveAccrual, runYearEndCarryForward, ACCRUAL_PERIOD_RE } = require("./server");
+const { assertMigrated } = require("./migrate");
+
+async function main(args) {
+  await assertMigrated(pool);
+  if (args[0] === "--year-end") {
+    const year = Number(args[1]);
+    if (!Number.isInteger(year)) throw new Error("Usage: node accrue_leave.js --year-end <YYYY>");
+    const lapses = await runYearEndCarryForward(year);
+    console.log(`✅ Year-end ${year}: ${lapses.length} balance(s) lapsed`);
+    return;
+  }
+  const period = args[0];
+  if (!ACCRUAL_PERIOD_RE.test(period || "")) throw new Error("Usage: node accrue_leave.js <YYYY|YYYY-MM>");
+  const credits = await runLeaveAccrual(period);
+  console.log(`✅ Accrual ${period}: ${credits.length} credit(s) made`);
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,185 +1,336 @@
 /**
- * @swagger
- * /leave/requests/{employeeId}:
- *   get:
- *     summary: Get all leave requests for employee
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: employeeId
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave requests list
+ * 🧭 Leave requests and approvals, daily/weekly timesheets and assigned projects
  */
-app.get("/leave/requests/:employeeId", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves WHERE employee_id = $1", [req.params.employeeId]);
-  res.json(result.rows);
-});
+const express = require("express");
+const { listRows } = require("./listing");
 
-/**
- * @swagger
- * /leave/cancel/{leaveId}:
- *   delete:
- *     summary: Cancel a leave request
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: leaveId
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave request cancelled
- */
-app.delete("/leave/cancel/:leaveId", async (req, res) => {
-  await pool.query("DELETE FROM leaves WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
-});
+module.exports = function advancedRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, authorizeSelfOr, canActFor, localDate, countWorkingDays, adjustLeaveBalance }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /leave/approve/{leaveId}:
- *   put:
- *     summary: Approve a leave request
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: leaveId
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave approved
- */
-app.put("/leave/approve/:leaveId", async (req, res) => {
-  await pool.query("UPDATE leaves SET status = 'Approved' WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
-});
+  /**
+   * @swagger
+   * /leave/requests/{employeeId}:
+   *   get:
+   *     summary: Get all leave requests for employee
+   *     tags: [Leaves]
+   *     description: Filter and sort by id, type, status, start_date, end_date. Ranges via _from/_to on start_date, end_date.
+   *     parameters:
+   *       - in: path
+   *         name: employeeId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: start_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: start_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: start_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Leave requests list
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/leave/requests/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leaves WHERE employee_id = $1",
+      params: [req.params.employeeId],
+      fields: { id: "integer", type: "text", status: "text", start_date: "date", end_date: "date" },
+      defaultSort: "-start_date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /leave/reject/{leaveId}:
- *   put:
- *     summary: Reject a leave request
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: leaveId
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave rejected
- */
-app.put("/leave/reject/:leaveId", async (req, res) => {
-  await pool.query("UPDATE leaves SET status = 'Rejected' WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
-});
+  /**
+   * @swagger
+   * /leave/cancel/{leaveId}:
+   *   delete:
+   *     summary: Cancel a leave request
+   *     description: Marks the leave Cancelled (the row is kept). Cancelling an approved leave credits the days back to the balance.
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: leaveId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave request cancelled
+   *       409:
+   *         description: Leave is already rejected or cancelled
+   */
+  router.delete("/leave/cancel/:leaveId", authorize(...ALL_ROLES), async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM leaves WHERE id = $1 FOR UPDATE", [req.params.leaveId]);
+      if (found.rows.length === 0) return { status: 404, error: "Leave not found" };
+      const leave = found.rows[0];
+      if (!(await canActFor(req, leave.employee_id))) return { status: 403, error: "Forbidden" };
+      if (!["Pending", "Approved"].includes(leave.status)) {
+        return { status: 409, error: `Leave is already ${leave.status}` };
+      }
+      const result = await client.query(
+        "UPDATE leaves SET status = 'Cancelled' WHERE id = $1 RETURNING *",
+        [leave.id]
+      );
+      if (leave.status === "Approved") {
+        await adjustLeaveBalance(client, {
+          employee_id: leave.employee_id,
+          leave_type: leave.type,
+          change: await leaveDays(client, leave),
+          reason: "Leave cancelled",
+          leave_id: leave.id,
+          created_by: req.user.id,
+        });
+      }
+      return { leave: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.json(outcome.leave);
+  });
 
-/**
- * @swagger
- * /timesheets/week/{employeeId}:
- *   get:
- *     summary: Get weekly timesheet entries
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: employeeId
- *         required: true
- *         schema:
- *           type: integer
- *       - in: query
- *         name: start
- *         schema:
- *           type: string
- *           format: date
- *     responses:
- *       200:
- *         description: Weekly timesheet entries fetched
- */
-app.get("/timesheets/week/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  const { start } = req.query;
-  try {
+  /**
+   * 🧭 Leave approval routing
+   */
+  const LEAVE_ESCALATION_DAYS = Number(process.env.LEAVE_ESCALATION_DAYS || 3);
+
+  // Employee ids allowed to review a leave: the applicant's manager, plus the skip-level
+  // manager once the request has been pending for LEAVE_ESCALATION_DAYS. Applicants with
+  // no manager fall back to HR admins (returns null).
+  async function leaveApprovers(leave) {
+    const result = await pool.query(
+      `SELECT m.id AS manager_id, m.manager_id AS skip_level_id
+       FROM employees e LEFT JOIN employees m ON m.id = e.manager_id
+       WHERE e.id = $1`,
+      [leave.employee_id]
+    );
+    const { manager_id, skip_level_id } = result.rows[0] || {};
+    if (!manager_id) return null;
+    const pendingDays = (Date.now() - new Date(leave.applied_on).getTime()) / 86400000;
+    const approvers = [manager_id];
+    if (skip_level_id && pendingDays >= LEAVE_ESCALATION_DAYS) approvers.push(skip_level_id);
+    return approvers;
+  }
+
+  // Approves or rejects a pending leave; approval debits the leave balance in the same transaction
+  async function reviewLeave(req, res, status) {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM leaves WHERE id = $1 FOR UPDATE", [req.params.leaveId]);
+      if (found.rows.length === 0) return { status: 404, error: "Leave not found" };
+      const leave = found.rows[0];
+      if (leave.employee_id === req.user.id) return { status: 403, error: "You cannot review your own leave" };
+      if (leave.status !== "Pending") return { status: 409, error: `Leave is already ${leave.status}` };
+      const approvers = await leaveApprovers(leave);
+      const allowed = approvers ? approvers.includes(req.user.id) : req.user.role === ROLES.HR_ADMIN;
+      if (!allowed) return { status: 403, error: "Only the applicant's manager can review this leave" };
+
+      const result = await client.query(
+        `UPDATE leaves SET status = $1, reviewed_by = $2, reviewed_on = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING *`,
+        [status, req.user.id, leave.id]
+      );
+      if (status === "Approved") {
+        await adjustLeaveBalance(client, {
+          employee_id: leave.employee_id,
+          leave_type: leave.type,
+          change: -(await leaveDays(client, leave)),
+          reason: "Leave approved",
+          leave_id: leave.id,
+          created_by: req.user.id,
+        });
+      }
+      return { leave: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.json(outcome.leave);
+  }
+
+  // Working days a leave consumes; rows created before day-counting existed are counted on the fly
+  async function leaveDays(db, leave) {
+    if (leave.days != null) return Number(leave.days);
+    return countWorkingDays(db, leave.employee_id, localDate(leave.start_date), localDate(leave.end_date));
+  }
+
+  /**
+   * @swagger
+   * /leave/team-requests:
+   *   get:
+   *     summary: Get pending leave requests the caller can review
+   *     description: Direct reports' requests, plus skip-level reports' requests pending longer than LEAVE_ESCALATION_DAYS.
+   *     tags: [Leaves]
+   *     responses:
+   *       200:
+   *         description: Pending leave requests
+   */
+  router.get("/leave/team-requests", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await pool.query(
+      `SELECT l.*, e.name AS employee_name,
+              (e.manager_id <> $1) AS escalated
+       FROM leaves l
+       JOIN employees e ON e.id = l.employee_id
+       LEFT JOIN employees m ON m.id = e.manager_id
+       WHERE l.status = 'Pending'
+         AND (e.manager_id = $1
+              OR (m.manager_id = $1 AND l.applied_on <= CURRENT_TIMESTAMP - make_interval(days => $2)))
+       ORDER BY l.applied_on`,
+      [req.user.id, LEAVE_ESCALATION_DAYS]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /leave/approve/{leaveId}:
+   *   put:
+   *     summary: Approve a leave request
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: leaveId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave approved
+   *       403:
+   *         description: Caller is not the applicant's manager (or escalated skip-level manager)
+   *       409:
+   *         description: Leave is not pending
+   */
+  router.put("/leave/approve/:leaveId", authorize(...ALL_ROLES), (req, res) => reviewLeave(req, res, "Approved"));
+
+  /**
+   * @swagger
+   * /leave/reject/{leaveId}:
+   *   put:
+   *     summary: Reject a leave request
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: leaveId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave rejected
+   *       403:
+   *         description: Caller is not the applicant's manager (or escalated skip-level manager)
+   *       409:
+   *         description: Leave is not pending
+   */
+  router.put("/leave/reject/:leaveId", authorize(...ALL_ROLES), (req, res) => reviewLeave(req, res, "Rejected"));
+
+  /**
+   * @swagger
+   * /timesheets/week/{employeeId}:
+   *   get:
+   *     summary: Get weekly timesheet entries
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: employeeId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: start
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Weekly timesheet entries fetched
+   */
+  router.get("/timesheets/week/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const { employeeId } = req.params;
+    const { start } = req.query;
     const result = await pool.query(
       `SELECT * FROM timesheets
        WHERE employee_id = $1 AND log_date BETWEEN $2::date AND ($2::date + interval '6 day')`,
       [employeeId, start]
     );
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  });
 
-/**
- * @swagger
- * /timesheets/day/{employeeId}:
- *   get:
- *     summary: Get daily timesheet entry
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: employeeId
- *         required: true
- *         schema:
- *           type: integer
- *       - in: query
- *         name: date
- *         schema:
- *           type: string
- *           format: date
- *     responses:
- *       200:
- *         description: Timesheet entry for the day
- */
-app.get("/timesheets/day/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  const { date } = req.query;
-  try {
+  /**
+   * @swagger
+   * /timesheets/day/{employeeId}:
+   *   get:
+   *     summary: Get daily timesheet entry
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: employeeId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Timesheet entry for the day
+   */
+  router.get("/timesheets/day/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const { employeeId } = req.params;
+    const { date } = req.query;
     const result = await pool.query(
       `SELECT * FROM timesheets WHERE employee_id = $1 AND log_date = $2`,
       [employeeId, date]
     );
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  });
 
-/**
- * @swagger
- * /projects/assigned/{employeeId}:
- *   get:
- *     summary: Get assigned projects for an employee
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: employeeId
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: List of assigned projects
- */
-app.get("/projects/assigned/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  try {
+  /**
+   * @swagger
+   * /projects/assigned/{employeeId}:
+   *   get:
+   *     summary: Get assigned projects for an employee
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: employeeId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: date
+   *         description: Only assignments covering this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Projects with the assignment's role, allocation and dates
+   */
+  router.get("/projects/assigned/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const { employeeId } = req.params;
     const result = await pool.query(
-      `SELECT p.* FROM projects p
+      `SELECT p.*, c.name AS client, pa.id AS assignment_id, pa.role, pa.allocation_percent, pa.start_date, pa.end_date
+       FROM projects p
+       LEFT JOIN clients c ON c.id = p.client_id
        JOIN project_assignments pa ON pa.project_id = p.id
-       WHERE pa.employee_id = $1`,
-      [employeeId]
+       WHERE pa.employee_id = $1
+         AND ($2::date IS NULL OR $2::date BETWEEN pa.start_date AND COALESCE(pa.end_date, 'infinity'))
+       ORDER BY pa.start_date, p.name`,
+      [employeeId, req.query.date || null]
     );
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
\ No newline at end of file
+  });
+
+  return router;
+};
@@ -1,151 +1,235 @@
 /**
- * @swagger
- * tags:
- *   name: AttendanceLogs
- *   description: API for tracking employee attendance logs
+ * 🕒 Attendance logs
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /attendance_logs:
- *   get:
- *     summary: Get all attendance logs
- *     tags: [AttendanceLogs]
- *     responses:
- *       200:
- *         description: List of attendance logs
- */
-app.get("/attendance_logs", async (req, res) => {
-  const result = await pool.query("SELECT * FROM attendance_logs");
-  res.status(200).json(result.rows);
-});
+module.exports = function attendanceLogsRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, canActFor, attendanceDerived, changeAttendanceTimes, refreshTimesheetWarnings }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /attendance_logs/{id}:
- *   get:
- *     summary: Get attendance log by ID
- *     tags: [AttendanceLogs]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Attendance log found
- *       404:
- *         description: Attendance log not found
- */
-app.get("/attendance_logs/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM attendance_logs WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: AttendanceLogs
+   *   description: API for tracking employee attendance logs
+   */
 
-/**
- * @swagger
- * /attendance_logs:
- *   post:
- *     summary: Add new attendance log
- *     tags: [AttendanceLogs]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [employee_id, date, check_in]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               date:
- *                 type: string
- *                 format: date
- *               check_in:
- *                 type: string
- *                 format: date-time
- *               check_out:
- *                 type: string
- *                 format: date-time
- *     responses:
- *       201:
- *         description: Attendance log created
- */
-app.post("/attendance_logs", async (req, res) => {
-  const { employee_id, date, check_in, check_out } = req.body;
-  const result = await pool.query(
-    `INSERT INTO attendance_logs (employee_id, date, check_in, check_out)
-     VALUES ($1, $2, $3, $4) RETURNING *`,
-    [employee_id, date, check_in, check_out]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     AttendanceLog:
+   *       type: object
+   *       properties:
+   *         employee_id:
+   *           type: integer
+   *         date:
+   *           type: string
+   *           format: date
+   *         check_in:
+   *           $ref: '#/components/schemas/TimeOfDay'
+   *         check_out:
+   *           $ref: '#/components/schemas/TimeOfDay'
+   *         reason:
+   *           type: string
+   *           description: Why an existing log's times changed; recorded in its history
+   */
 
-/**
- * @swagger
- * /attendance_logs/{id}:
- *   put:
- *     summary: Update an attendance log
- *     tags: [AttendanceLogs]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               check_in:
- *                 type: string
- *                 format: date-time
- *               check_out:
- *                 type: string
- *                 format: date-time
- *     responses:
- *       200:
- *         description: Attendance log updated
- *       404:
- *         description: Attendance log not found
- */
-app.put("/attendance_logs/:id", async (req, res) => {
-  const { check_in, check_out } = req.body;
-  const result = await pool.query(
-    `UPDATE attendance_logs
-     SET check_in = $1, check_out = $2
-     WHERE id = $3 RETURNING *`,
-    [check_in, check_out, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /attendance_logs:
+   *   get:
+   *     summary: Get all attendance logs
+   *     tags: [AttendanceLogs]
+   *     description: Filter and sort by id, employee_id, date, status, worked_hours. Ranges via _from/_to on date, worked_hours.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: worked_hours, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: worked_hours_from, schema: { type: number } }
+   *       - { in: query, name: worked_hours_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: List of attendance logs
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/attendance_logs", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM attendance_logs",
+      fields: { id: "integer", employee_id: "integer", date: "date", status: "text", worked_hours: "number" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /attendance_logs/{id}:
- *   delete:
- *     summary: Delete an attendance log
- *     tags: [AttendanceLogs]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Attendance log deleted
- *       404:
- *         description: Attendance log not found
- */
-app.delete("/attendance_logs/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM attendance_logs WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json({ message: "Attendance log deleted successfully" });
-});
+  /**
+   * @swagger
+   * /attendance_logs/{id}:
+   *   get:
+   *     summary: Get attendance log by ID
+   *     tags: [AttendanceLogs]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Attendance log found
+   *       404:
+   *         description: Attendance log not found
+   */
+  router.get("/attendance_logs/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM attendance_logs WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Attendance log not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /attendance_logs:
+   *   post:
+   *     summary: Add new attendance log
+   *     tags: [AttendanceLogs]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/AttendanceLog'
+   *               - required: [employee_id, date, check_in]
+   *     responses:
+   *       201:
+   *         description: Attendance log created
+   */
+  router.post("/attendance_logs", authorize(...ALL_ROLES), async (req, res) => {
+    const { employee_id, date, check_in, check_out } = req.body;
+    if (!(await canActFor(req, employee_id))) return res.status(403).json({ error: "Forbidden" });
+    const { worked_hours, status } = await attendanceDerived(pool, req.body);
+    const result = await pool.query(
+      `INSERT INTO attendance_logs (employee_id, date, check_in, check_out, worked_hours, status)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [employee_id, date, check_in, check_out, worked_hours, status]
+    );
+    await refreshTimesheetWarnings(pool, employee_id, date);
+    res.status(201).json(result.rows[0]);
+  });
+
+  const updateAttendanceLog = versionedUpdate(withTransaction, {
+    notFound: "Attendance log not found",
+    load: (client, req) => client.query("SELECT * FROM attendance_logs WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["check_in", "check_out"],
+    save: async (client, { check_in, check_out }, existing, req) => {
+      const log = await changeAttendanceTimes(client, existing, {
+        check_in,
+        check_out,
+        reason: (req.body || {}).reason || null,
+        regularization_id: null,
+        changed_by: req.user.id,
+      });
+      return { row: log };
+    },
+  });
+
+  /**
+   * @swagger
+   * /attendance_logs/{id}:
+   *   put:
+   *     summary: Update an attendance log
+   *     tags: [AttendanceLogs]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AttendanceLog'
+   *     responses:
+   *       200:
+   *         description: Attendance log updated
+   *       404:
+   *         description: Attendance log not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/attendance_logs/:id", authorize(ROLES.HR_ADMIN), updateAttendanceLog.replace);
+
+  /**
+   * @swagger
+   * /attendance_logs/{id}:
+   *   patch:
+   *     summary: Update only the given times of an attendance log
+   *     tags: [AttendanceLogs]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AttendanceLog'
+   *     responses:
+   *       200:
+   *         description: Attendance log updated
+   *       404:
+   *         description: Attendance log not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/attendance_logs/:id", authorize(ROLES.HR_ADMIN), updateAttendanceLog.patch);
+
+  /**
+   * @swagger
+   * /attendance_logs/{id}:
+   *   delete:
+   *     summary: Delete an attendance log
+   *     tags: [AttendanceLogs]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Attendance log deleted
+   *       404:
+   *         description: Attendance log not found
+   */
+  router.delete("/attendance_logs/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query("DELETE FROM attendance_logs WHERE id = $1 RETURNING *", [req.params.id]);
+      const log = result.rows[0];
+      if (log) await refreshTimesheetWarnings(client, log.employee_id, log.date);
+      return log;
+    });
+    if (!deleted) return res.status(404).json({ error: "Attendance log not found" });
+    res.json({ message: "Attendance log deleted successfully" });
+  });
+
+  return router;
+};
@@ -0,0 +1,26 @@
+/**
+ * 📅 Calendar dates
+ *
+ * Dates travel as YYYY-MM-DD strings in requests and come back from pg as local-midnight Dates, so
+ * both are formatted from local parts here rather than with toISOString.
+ */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// UTC midnight of a YYYY-MM-DD string, or null when it is not a real calendar date
+function parseDate(value) {
+  if (!DATE_RE.test(value || "")) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+// YYYY-MM-DD from a Date's local parts; pg returns DATE columns as local midnight, so UTC would
+// shift them a day back east of Greenwich
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Today's YYYY-MM-DD where the server runs; compare it with request dates as strings
+const today = () => localDate(new Date());
+
+module.exports = { parseDate, localDate, today };
@@ -1,135 +1,205 @@
 /**
- * @swagger
- * tags:
- *   name: Departments
- *   description: API for managing departments
+ * 🏢 Departments
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /departments:
- *   get:
- *     summary: Get all departments
- *     tags: [Departments]
- *     responses:
- *       200:
- *         description: List of departments
- */
-app.get("/departments", async (req, res) => {
-  const result = await pool.query("SELECT * FROM departments");
-  res.status(200).json(result.rows);
-});
+module.exports = function departmentsRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /departments/{id}:
- *   get:
- *     summary: Get department by ID
- *     tags: [Departments]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Department found
- *       404:
- *         description: Department not found
- */
-app.get("/departments/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM departments WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Department not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: Departments
+   *   description: API for managing departments
+   */
 
-/**
- * @swagger
- * /departments:
- *   post:
- *     summary: Create a new department
- *     tags: [Departments]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [name]
- *             properties:
- *               name:
- *                 type: string
- *     responses:
- *       201:
- *         description: Department created
- */
-app.post("/departments", async (req, res) => {
-  const { name } = req.body;
-  const result = await pool.query(
-    "INSERT INTO departments (name) VALUES ($1) RETURNING *",
-    [name]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Department:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   */
 
-/**
- * @swagger
- * /departments/{id}:
- *   put:
- *     summary: Update department
- *     tags: [Departments]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *     responses:
- *       200:
- *         description: Department updated
- *       404:
- *         description: Department not found
- */
-app.put("/departments/:id", async (req, res) => {
-  const { name } = req.body;
-  const result = await pool.query(
-    "UPDATE departments SET name = $1 WHERE id = $2 RETURNING *",
-    [name, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Department not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /departments:
+   *   get:
+   *     summary: Get all departments
+   *     tags: [Departments]
+   *     description: Filter and sort by id, name.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *     responses:
+   *       200:
+   *         description: List of departments
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/departments", authorize(...ALL_ROLES), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM departments",
+      fields: { id: "integer", name: "text" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /departments/{id}:
- *   delete:
- *     summary: Delete a department
- *     tags: [Departments]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Department deleted
- *       404:
- *         description: Department not found
- */
-app.delete("/departments/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM departments WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Department not found" });
-  res.json({ message: "Deleted successfully" });
-});
\ No newline at end of file
+  /**
+   * @swagger
+   * /departments/{id}:
+   *   get:
+   *     summary: Get department by ID
+   *     tags: [Departments]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Department found
+   *       404:
+   *         description: Department not found
+   */
+  router.get("/departments/:id", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await pool.query("SELECT * FROM departments WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Department not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /departments:
+   *   post:
+   *     summary: Create a new department
+   *     tags: [Departments]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Department'
+   *               - required: [name]
+   *     responses:
+   *       201:
+   *         description: Department created
+   */
+  router.post("/departments", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const { name } = req.body;
+    const result = await pool.query(
+      "INSERT INTO departments (name) VALUES ($1) RETURNING *",
+      [name]
+    );
+    res.status(201).json(result.rows[0]);
+  });
+
+  const updateDepartment = versionedUpdate(withTransaction, {
+    notFound: "Department not found",
+    load: (client, req) => client.query("SELECT * FROM departments WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["name"],
+    save: async (client, { name }, current) => {
+      const result = await client.query("UPDATE departments SET name = $1 WHERE id = $2 RETURNING *", [name, current.id]);
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /departments/{id}:
+   *   put:
+   *     summary: Update department
+   *     tags: [Departments]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Department'
+   *     responses:
+   *       200:
+   *         description: Department updated
+   *       404:
+   *         description: Department not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/departments/:id", authorize(ROLES.HR_ADMIN), updateDepartment.replace);
+
+  /**
+   * @swagger
+   * /departments/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a department
+   *     tags: [Departments]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Department'
+   *     responses:
+   *       200:
+   *         description: Department updated
+   *       404:
+   *         description: Department not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/departments/:id", authorize(ROLES.HR_ADMIN), updateDepartment.patch);
+
+  /**
+   * @swagger
+   * /departments/{id}:
+   *   delete:
+   *     summary: Delete a department
+   *     tags: [Departments]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Department deleted
+   *       404:
+   *         description: Department not found
+   *       409:
+   *         description: Still referenced, e.g. by an onboarding template
+   */
+  router.delete("/departments/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("DELETE FROM departments WHERE id = $1 RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: "Department not found" });
+    res.json({ message: "Deleted successfully" });
+  });
+
+  return router;
+};
@@ -0,0 +1,836 @@
+/**
+ * 🪪 Employee profile collections: addresses, emergency contacts, dependents and bank accounts
+ *
+ * Each one lives under /employees/:id/<collection> with the same routes (list, get, create, replace,
+ * patch, delete) and can be read and edited by the employee and by HR admins.
+ */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
+const { today } = require("./dates");
+
+// fields maps each column to its listRows type; defaults fill columns a request leaves out
+const COLLECTIONS = [
+  {
+    path: "addresses",
+    param: "addressId",
+    table: "employee_addresses",
+    label: "Address",
+    fields: { type: "text", line1: "text", line2: "text", city: "text", state: "text", postal_code: "text", country: "text" },
+    defaults: { type: "Current", country: "India" },
+    defaultSort: "type",
+  },
+  {
+    path: "emergency-contacts",
+    param: "contactId",
+    table: "employee_emergency_contacts",
+    label: "Emergency contact",
+    fields: { name: "text", relationship: "text", phone: "text", email: "text" },
+    defaultSort: "name",
+  },
+  {
+    path: "dependents",
+    param: "dependentId",
+    table: "employee_dependents",
+    label: "Dependent",
+    fields: { name: "text", relationship: "text", date_of_birth: "date", gender: "text" },
+    defaultSort: "name",
+    validate: ({ date_of_birth }) => (date_of_birth != null && date_of_birth > today() ? "date_of_birth must not be in the future" : null),
+  },
+  {
+    path: "bank-accounts",
+    param: "accountId",
+    table: "employee_bank_accounts",
+    label: "Bank account",
+    fields: { bank_name: "text", account_holder: "text", account_number: "text", ifsc: "text", is_primary: "boolean" },
+    defaults: { is_primary: false },
+    defaultSort: "-is_primary,bank_name",
+    // Only one account is primary: marking another one demotes the current primary
+    beforeSave: async (client, employeeId, values, id) => {
+      if (!values.is_primary) return;
+      await client.query(
+        "UPDATE employee_bank_accounts SET is_primary = false WHERE employee_id = $1 AND is_primary AND ($2::int IS NULL OR id <> $2)",
+        [employeeId, id]
+      );
+    },
+  },
+];
+
+module.exports = function employeeProfileRouter({ pool, withTransaction, ROLES, authorizeSelfOr }) {
+  const router = express.Router();
+  const selfOrHr = authorizeSelfOr("id", ROLES.HR_ADMIN);
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Address:
+   *       type: object
+   *       properties:
+   *         type:
+   *           type: string
+   *           enum: [Current, Permanent, Other]
+   *           default: Current
+   *         line1:
+   *           type: string
+   *         line2:
+   *           type: string
+   *         city:
+   *           type: string
+   *         state:
+   *           type: string
+   *         postal_code:
+   *           type: string
+   *         country:
+   *           type: string
+   *           default: India
+   *     EmergencyContact:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         relationship:
+   *           type: string
+   *         phone:
+   *           type: string
+   *         email:
+   *           type: string
+   *     Dependent:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         relationship:
+   *           type: string
+   *           description: Spouse, Child, Parent, ...
+   *         date_of_birth:
+   *           type: string
+   *           format: date
+   *         gender:
+   *           $ref: '#/components/schemas/Gender'
+   *     BankAccount:
+   *       type: object
+   *       properties:
+   *         bank_name:
+   *           type: string
+   *         account_holder:
+   *           type: string
+   *         account_number:
+   *           type: string
+   *           pattern: '^[0-9]{9,18}$'
+   *           example: "123456789012"
+   *         ifsc:
+   *           type: string
+   *           pattern: '^[A-Z]{4}0[A-Z0-9]{6}$'
+   *           example: HDFC0001234
+   *         is_primary:
+   *           type: boolean
+   *           default: false
+   *           description: Salary account; marking one primary demotes the others
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/addresses:
+   *   get:
+   *     summary: List an employee's addresses
+   *     tags: [Employees]
+   *     description: Filter and sort by id, type, city, state, postal_code, country.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: city, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: state, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: postal_code, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: country, explode: false, schema: { type: array, items: { type: string } } }
+   *     responses:
+   *       200:
+   *         description: The employee's addresses
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *   post:
+   *     summary: Add an address
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Address'
+   *               - required: [line1, city]
+   *     responses:
+   *       201:
+   *         description: Address added
+   *       404:
+   *         description: Employee not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/addresses/{addressId}:
+   *   get:
+   *     summary: Get one of an employee's addresses
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: addressId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Address with its ETag
+   *       404:
+   *         description: Address not found
+   *   put:
+   *     summary: Replace an address
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: addressId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Address'
+   *               - required: [line1, city]
+   *     responses:
+   *       200:
+   *         description: Address updated
+   *       404:
+   *         description: Address not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   patch:
+   *     summary: Update only the given fields of an address
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: addressId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Address'
+   *     responses:
+   *       200:
+   *         description: Address updated
+   *       404:
+   *         description: Address not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   delete:
+   *     summary: Remove an address
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: addressId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Address removed
+   *       404:
+   *         description: Address not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/emergency-contacts:
+   *   get:
+   *     summary: List an employee's emergency contacts
+   *     tags: [Employees]
+   *     description: Filter and sort by id, name, relationship, phone, email.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: relationship, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: phone, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: email, explode: false, schema: { type: array, items: { type: string } } }
+   *     responses:
+   *       200:
+   *         description: The employee's emergency contacts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *   post:
+   *     summary: Add an emergency contact
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/EmergencyContact'
+   *               - required: [name, relationship, phone]
+   *     responses:
+   *       201:
+   *         description: Emergency contact added
+   *       404:
+   *         description: Employee not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/emergency-contacts/{contactId}:
+   *   get:
+   *     summary: Get one of an employee's emergency contacts
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: contactId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Emergency contact with its ETag
+   *       404:
+   *         description: Emergency contact not found
+   *   put:
+   *     summary: Replace an emergency contact
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: contactId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/EmergencyContact'
+   *               - required: [name, relationship, phone]
+   *     responses:
+   *       200:
+   *         description: Emergency contact updated
+   *       404:
+   *         description: Emergency contact not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   patch:
+   *     summary: Update only the given fields of an emergency contact
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: contactId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/EmergencyContact'
+   *     responses:
+   *       200:
+   *         description: Emergency contact updated
+   *       404:
+   *         description: Emergency contact not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   delete:
+   *     summary: Remove an emergency contact
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: contactId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Emergency contact removed
+   *       404:
+   *         description: Emergency contact not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/dependents:
+   *   get:
+   *     summary: List an employee's dependents
+   *     tags: [Employees]
+   *     description: Filter and sort by id, name, relationship, date_of_birth, gender. Ranges via _from/_to on date_of_birth.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: relationship, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: date_of_birth, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: gender, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: date_of_birth_from, schema: { type: string, format: date } }
+   *       - { in: query, name: date_of_birth_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: The employee's dependents
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *   post:
+   *     summary: Add a dependent
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Dependent'
+   *               - required: [name, relationship]
+   *     responses:
+   *       201:
+   *         description: Dependent added
+   *       404:
+   *         description: Employee not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/dependents/{dependentId}:
+   *   get:
+   *     summary: Get one of an employee's dependents
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: dependentId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Dependent with its ETag
+   *       404:
+   *         description: Dependent not found
+   *   put:
+   *     summary: Replace a dependent
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: dependentId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Dependent'
+   *               - required: [name, relationship]
+   *     responses:
+   *       200:
+   *         description: Dependent updated
+   *       404:
+   *         description: Dependent not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   patch:
+   *     summary: Update only the given fields of a dependent
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: dependentId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Dependent'
+   *     responses:
+   *       200:
+   *         description: Dependent updated
+   *       404:
+   *         description: Dependent not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   delete:
+   *     summary: Remove a dependent
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: dependentId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Dependent removed
+   *       404:
+   *         description: Dependent not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/bank-accounts:
+   *   get:
+   *     summary: List an employee's bank accounts
+   *     tags: [Employees]
+   *     description: Filter and sort by id, bank_name, account_holder, ifsc, is_primary.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: bank_name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: account_holder, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: ifsc, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: is_primary, schema: { type: boolean } }
+   *     responses:
+   *       200:
+   *         description: The employee's bank accounts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *   post:
+   *     summary: Add a bank account
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/BankAccount'
+   *               - required: [bank_name, account_holder, account_number, ifsc]
+   *     responses:
+   *       201:
+   *         description: Bank account added
+   *       404:
+   *         description: Employee not found
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/bank-accounts/{accountId}:
+   *   get:
+   *     summary: Get one of an employee's bank accounts
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: accountId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Bank account with its ETag
+   *       404:
+   *         description: Bank account not found
+   *   put:
+   *     summary: Replace a bank account
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: accountId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/BankAccount'
+   *               - required: [bank_name, account_holder, account_number, ifsc]
+   *     responses:
+   *       200:
+   *         description: Bank account updated
+   *       404:
+   *         description: Bank account not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   patch:
+   *     summary: Update only the given fields of a bank account
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: accountId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BankAccount'
+   *     responses:
+   *       200:
+   *         description: Bank account updated
+   *       404:
+   *         description: Bank account not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   *   delete:
+   *     summary: Remove a bank account
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: path
+   *         name: accountId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Bank account removed
+   *       404:
+   *         description: Bank account not found
+   */
+
+  for (const { path, param, table, label, fields, defaults = {}, defaultSort, validate, beforeSave } of COLLECTIONS) {
+    const columns = Object.keys(fields);
+    const withDefaults = (values) => Object.fromEntries(columns.map((column) => [column, values[column] ?? defaults[column] ?? null]));
+
+    router.get(`/employees/:id/${path}`, selfOrHr, async (req, res) => {
+      const page = await listRows(pool, req, {
+        select: `SELECT * FROM ${table} WHERE employee_id = $1`,
+        params: [req.params.id],
+        fields: { id: "integer", ...fields },
+        defaultSort,
+      });
+      if (page.error) return res.status(page.status).json({ error: page.error });
+      res.json(page);
+    });
+
+    router.get(`/employees/:id/${path}/:${param}`, selfOrHr, async (req, res) => {
+      const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1 AND employee_id = $2`, [req.params[param], req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: `${label} not found` });
+      sendVersioned(res, result.rows[0]);
+    });
+
+    router.post(`/employees/:id/${path}`, selfOrHr, async (req, res) => {
+      const values = withDefaults(req.body);
+      const error = validate && validate(values);
+      if (error) return res.status(400).json({ error });
+      const outcome = await withTransaction(async (client) => {
+        const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [req.params.id]);
+        if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+        if (beforeSave) await beforeSave(client, req.params.id, values, null);
+        const result = await client.query(
+          `INSERT INTO ${table} (employee_id, ${columns.join(", ")})
+           VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(", ")}) RETURNING *`,
+          [req.params.id, ...columns.map((column) => values[column])]
+        );
+        return { row: result.rows[0] };
+      });
+      if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+      sendVersioned(res, outcome.row, 201);
+    });
+
+    const update = versionedUpdate(withTransaction, {
+      notFound: `${label} not found`,
+      load: (client, req) =>
+        client.query(`SELECT * FROM ${table} WHERE id = $1 AND employee_id = $2 FOR UPDATE`, [req.params[param], req.params.id]),
+      fields: columns,
+      save: async (client, fieldValues, current) => {
+        const values = withDefaults(fieldValues);
+        const error = validate && validate(values);
+        if (error) return { status: 400, error };
+        if (beforeSave) await beforeSave(client, current.employee_id, values, current.id);
+        const result = await client.query(
+          `UPDATE ${table} SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(", ")}
+           WHERE id = $${columns.length + 1} RETURNING *`,
+          [...columns.map((column) => values[column]), current.id]
+        );
+        return { row: result.rows[0] };
+      },
+    });
+    router.put(`/employees/:id/${path}/:${param}`, selfOrHr, update.replace);
+    router.patch(`/employees/:id/${path}/:${param}`, selfOrHr, update.patch);
+
+    router.delete(`/employees/:id/${path}/:${param}`, selfOrHr, async (req, res) => {
+      const result = await pool.query(`DELETE FROM ${table} WHERE id = $1 AND employee_id = $2 RETURNING *`, [req.params[param], req.params.id]);
+      if (result.rowCount === 0) return res.status(404).json({ error: `${label} not found` });
+      res.json({ message: `${label} removed successfully` });
+    });
+  }
+
+  return router;
+};
@@ -1,132 +1,474 @@
-
 /**
- * @swagger
- * /employees:
- *   get:
- *     summary: Get all employees
- *     tags: [Employees]
- *     responses:
- *       200:
- *         description: List of employees
+ * 👥 Employees and reporting lines
  */
-app.get("/employees", async (req, res) => {
-  const result = await pool.query("SELECT * FROM employees");
-  res.json(result.rows);
-});
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
+const { generateOnboarding, rescheduleOnboarding } = require("./onboarding");
+const { parseDate, today } = require("./dates");
 
-/**
- * @swagger
- * /employees/{id}:
- *   get:
- *     summary: Get Employee by ID
- *     tags: [Employees]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Employee found
- *       404:
- *         description: Employee not found
- */
-app.get("/employees/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM employees WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Employee not found" });
-  res.json(result.rows[0]);
-});
+// Columns that POST, PUT and PATCH /employees write; manager and location also have their own routes
+const PROFILE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "doj",
+  "date_of_birth",
+  "gender",
+  "department_id",
+  "designation",
+  "basic_salary",
+  "pf_applicable",
+  "esi_applicable",
+  "pan_number",
+  "aadhaar_number",
+  "role",
+  "manager_id",
+  "location_id",
+  "notice_period_days",
+];
 
-/**
- * @swagger
- * /employees:
- *   post:
- *     summary: Create a new employee
- *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [name, email]
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               doj:
- *                 type: string
- *                 format: date
- *     responses:
- *       201:
- *         description: Employee created
- */
-app.post("/employees", async (req, res) => {
-  const { name, email, phone, doj } = req.body;
-  const result = await pool.query(
-    "INSERT INTO employees (name, email, phone, doj) VALUES ($1, $2, $3, $4) RETURNING *",
-    [name, email, phone, doj]
-  );
-  res.status(201).json(result.rows[0]);
-});
+// Checks what the Employee schema cannot: the role (roles is ALL_ROLES) and that the dates make sense together
+function validateProfile({ role, doj, date_of_birth }, roles) {
+  if (role != null && !roles.includes(role)) return "Invalid role";
+  const born = date_of_birth == null ? null : parseDate(date_of_birth);
+  const joined = doj == null ? null : parseDate(doj);
+  if (born && date_of_birth > today()) return "date_of_birth must not be in the future";
+  if (born && joined && joined <= born) return "doj must be after date_of_birth";
+  return null;
+}
 
-/**
- * @swagger
- * /employees/{id}:
- *   put:
- *     summary: Update employee
- *     tags: [Employees]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               phone:
- *                 type: string
- *     responses:
- *       200:
- *         description: Employee updated
- */
-app.put("/employees/:id", async (req, res) => {
-  const { id } = req.params;
-  const { name, phone } = req.body;
-  const result = await pool.query(
-    "UPDATE employees SET name = $1, phone = $2 WHERE id = $3 RETURNING *",
-    [name, phone, id]
-  );
-  res.json(result.rows[0]);
-});
+// Exited employees stay on record but drop out of lists unless asked for, explicitly or by filtering on status
+const includeExited = (req) => req.query.include_exited === "true" || req.query.status !== undefined;
 
-/**
- * @swagger
- * /employees/{id}:
- *   delete:
- *     summary: Delete employee
- *     tags: [Employees]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       204:
- *         description: Deleted successfully
- */
-app.delete("/employees/:id", async (req, res) => {
-  await pool.query("DELETE FROM employees WHERE id = $1", [req.params.id]);
-  res.status(204).send();
-});
\ No newline at end of file
+module.exports = function employeesRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, authorizeSelfOr, hashPassword }) {
+  const router = express.Router();
+
+  // Rejects a manager who does not exist or who already reports, directly or not, to employee `id`
+  async function checkManager(db, id, managerId) {
+    if (managerId == null) return null;
+    const chain = await db.query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, manager_id FROM employees WHERE id = $1
+         UNION
+         SELECT e.id, e.manager_id FROM employees e JOIN chain c ON e.id = c.manager_id
+       )
+       SELECT id FROM chain`,
+      [managerId]
+    );
+    if (chain.rows.length === 0) return { status: 404, error: "Manager not found" };
+    const manager = await db.query("SELECT status FROM employees WHERE id = $1", [managerId]);
+    if (manager.rows[0].status === "Exited") return { status: 400, error: "Manager has exited" };
+    if (id != null && chain.rows.some((row) => row.id === Number(id))) {
+      return { status: 400, error: "Assignment would create a reporting cycle" };
+    }
+    return null;
+  }
+
+  // Fills the defaults an omitted field gets, so PUT resets rather than nulls them
+  const withProfileDefaults = (values) => ({
+    ...values,
+    role: values.role || ROLES.EMPLOYEE,
+    pf_applicable: values.pf_applicable ?? true,
+    esi_applicable: values.esi_applicable ?? true,
+  });
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Employees
+   *   description: API for managing Employees
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Employee:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         email:
+   *           type: string
+   *         phone:
+   *           type: string
+   *         doj:
+   *           type: string
+   *           format: date
+   *         date_of_birth:
+   *           type: string
+   *           format: date
+   *         gender:
+   *           $ref: '#/components/schemas/Gender'
+   *         department_id:
+   *           type: integer
+   *         designation:
+   *           type: string
+   *         basic_salary:
+   *           type: number
+   *           minimum: 0
+   *           description: Monthly basic used by payroll
+   *         pf_applicable:
+   *           type: boolean
+   *           default: true
+   *         esi_applicable:
+   *           type: boolean
+   *           default: true
+   *         pan_number:
+   *           type: string
+   *           pattern: '^[A-Z]{5}[0-9]{4}[A-Z]$'
+   *           example: ABCDE1234F
+   *         aadhaar_number:
+   *           type: string
+   *           pattern: '^[0-9]{12}$'
+   *           example: "123456789012"
+   *         role:
+   *           type: string
+   *           enum: [employee, manager, hr_admin]
+   *         manager_id:
+   *           type: integer
+   *         location_id:
+   *           type: integer
+   *         notice_period_days:
+   *           type: integer
+   *           minimum: 0
+   *           description: Notice this employee owes on resignation; null uses NOTICE_PERIOD_DAYS
+   *         password:
+   *           type: string
+   *           description: Initial login password (POST only)
+   *     Gender:
+   *       type: string
+   *       enum: [Male, Female, Non-binary, Undisclosed]
+   */
+
+  /**
+   * @swagger
+   * /employees:
+   *   get:
+   *     summary: Get all employees
+   *     tags: [Employees]
+   *     description: Filter and sort by id, name, email, doj, date_of_birth, gender, department_id, designation, manager_id, location_id, role, status, exit_date, rehired_from. Ranges via _from/_to on doj, date_of_birth, exit_date. Exited employees are left out unless include_exited=true or a status filter is given.
+   *     parameters:
+   *       - $ref: '#/components/parameters/IncludeExited'
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: email, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: doj, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: date_of_birth, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: gender, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: department_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: designation, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: manager_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: location_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: role, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: exit_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: rehired_from, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: doj_from, schema: { type: string, format: date } }
+   *       - { in: query, name: doj_to, schema: { type: string, format: date } }
+   *       - { in: query, name: date_of_birth_from, schema: { type: string, format: date } }
+   *       - { in: query, name: date_of_birth_to, schema: { type: string, format: date } }
+   *       - { in: query, name: exit_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: exit_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: List of employees
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM employees WHERE $1::boolean OR status <> 'Exited'",
+      params: [includeExited(req)],
+      fields: { id: "integer", name: "text", email: "text", doj: "date", date_of_birth: "date", gender: "text", department_id: "integer", designation: "text", manager_id: "integer", location_id: "integer", role: "text", status: "text", exit_date: "date", rehired_from: "integer" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}:
+   *   get:
+   *     summary: Get Employee by ID
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Employee found
+   *       404:
+   *         description: Employee not found
+   */
+  router.get("/employees/:id", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM employees WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Employee not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /employees:
+   *   post:
+   *     summary: Create a new employee
+   *     tags: [Employees]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Employee'
+   *               - required: [name, email]
+   *     responses:
+   *       201:
+   *         description: Employee created, with an onboarding checklist when doj is set and a template matches
+   *       400:
+   *         description: Invalid role or dates
+   *       404:
+   *         description: Manager not found
+   *       409:
+   *         description: Email already in use
+   */
+  router.post("/employees", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const error = validateProfile(req.body, ALL_ROLES);
+    if (error) return res.status(400).json({ error });
+    const values = withProfileDefaults(req.body);
+    const outcome = await withTransaction(async (client) => {
+      const invalid = await checkManager(client, null, values.manager_id);
+      if (invalid) return invalid;
+      const result = await client.query(
+        `INSERT INTO employees (${PROFILE_FIELDS.join(", ")})
+         VALUES (${PROFILE_FIELDS.map((field, i) => `$${i + 1}`).join(", ")}) RETURNING *`,
+        PROFILE_FIELDS.map((field) => values[field])
+      );
+      if (req.body.password) {
+        await client.query(
+          "INSERT INTO employee_credentials (employee_id, password_hash) VALUES ($1, $2)",
+          [result.rows[0].id, hashPassword(req.body.password)]
+        );
+      }
+      if (result.rows[0].doj) await generateOnboarding(client, result.rows[0]);
+      return { employee: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(201).json(outcome.employee);
+  });
+
+  const updateEmployee = versionedUpdate(withTransaction, {
+    notFound: "Employee not found",
+    load: (client, req) => client.query("SELECT * FROM employees WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: PROFILE_FIELDS,
+    save: async (client, fields, current) => {
+      const error = validateProfile(fields, ALL_ROLES);
+      if (error) return { status: 400, error };
+      const invalid = await checkManager(client, current.id, fields.manager_id);
+      if (invalid) return invalid;
+      const values = withProfileDefaults(fields);
+      const result = await client.query(
+        `UPDATE employees SET ${PROFILE_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(", ")}
+         WHERE id = $${PROFILE_FIELDS.length + 1} RETURNING *`,
+        [...PROFILE_FIELDS.map((field) => values[field]), current.id]
+      );
+      // A first doj gets the checklist hiring would have; a changed one moves it along
+      const checklist = await client.query("SELECT 1 FROM onboarding_tasks WHERE employee_id = $1 LIMIT 1", [current.id]);
+      if (checklist.rows.length === 0 && current.doj == null && values.doj) {
+        await generateOnboarding(client, result.rows[0]);
+      } else {
+        await rescheduleOnboarding(client, current.id, current.doj, values.doj);
+      }
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}:
+   *   put:
+   *     summary: Replace an employee's profile
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     description: Replaces the whole profile; omitted fields are cleared (role, pf_applicable and esi_applicable reset to their defaults).
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Employee'
+   *               - required: [name, email]
+   *     responses:
+   *       200:
+   *         description: Employee updated
+   *       400:
+   *         description: Invalid role or dates, or a reporting cycle
+   *       404:
+   *         description: Employee or manager not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/employees/:id", authorize(ROLES.HR_ADMIN), updateEmployee.replace);
+
+  /**
+   * @swagger
+   * /employees/{id}:
+   *   patch:
+   *     summary: Update only the given fields of an employee
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Employee'
+   *     responses:
+   *       200:
+   *         description: Employee updated
+   *       400:
+   *         description: Invalid role or dates, or a reporting cycle
+   *       404:
+   *         description: Employee or manager not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/employees/:id", authorize(ROLES.HR_ADMIN), updateEmployee.patch);
+
+  /**
+   * @swagger
+   * /employees/{id}/manager:
+   *   put:
+   *     summary: Set or clear an employee's reporting manager
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               manager_id:
+   *                 type: integer
+   *                 nullable: true
+   *     responses:
+   *       200:
+   *         description: Manager updated
+   *       400:
+   *         description: Assignment would create a reporting cycle
+   *       404:
+   *         description: Employee not found
+   */
+  router.put("/employees/:id/manager", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const id = Number(req.params.id);
+    const managerId = req.body.manager_id == null ? null : Number(req.body.manager_id);
+    const invalid = await checkManager(pool, id, managerId);
+    if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+    const result = await pool.query(
+      "UPDATE employees SET manager_id = $1 WHERE id = $2 RETURNING *",
+      [managerId, id]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: "Employee not found" });
+    res.json(result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/reports:
+   *   get:
+   *     summary: Get employees reporting to a manager
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: recursive
+   *         schema:
+   *           type: boolean
+   *         description: Include indirect reports at every level
+   *       - $ref: '#/components/parameters/IncludeExited'
+   *     responses:
+   *       200:
+   *         description: Reports with their depth below the manager (1 = direct)
+   */
+  router.get("/employees/:id/reports", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const maxDepth = req.query.recursive === "true" ? null : 1;
+    const result = await pool.query(
+      `WITH RECURSIVE reports AS (
+         SELECT e.*, 1 AS depth FROM employees e WHERE e.manager_id = $1
+         UNION ALL
+         SELECT e.*, r.depth + 1 FROM employees e JOIN reports r ON e.manager_id = r.id
+         WHERE $2::int IS NULL OR r.depth < $2::int
+       )
+       SELECT * FROM reports WHERE $3::boolean OR status <> 'Exited' ORDER BY depth, name`,
+      [req.params.id, maxDepth, includeExited(req)]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/chain:
+   *   get:
+   *     summary: Get the reporting chain above an employee
+   *     tags: [Employees]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Managers ordered from direct manager (level 1) upward
+   */
+  router.get("/employees/:id/chain", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query(
+      `WITH RECURSIVE chain AS (
+         SELECT m.*, 1 AS level FROM employees e JOIN employees m ON m.id = e.manager_id WHERE e.id = $1
+         UNION ALL
+         SELECT m.*, c.level + 1 FROM employees m JOIN chain c ON m.id = c.manager_id
+         WHERE m.id <> $1
+       )
+       SELECT * FROM chain ORDER BY level`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  });
+
+  return router;
+};
+
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
+module.exports.validateProfile = validateProfile;
+module.exports.includeExited = includeExited;
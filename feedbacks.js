@@ -1,145 +1,217 @@
 /**
- * @swagger
- * tags:
- *   name: Feedbacks
- *   description: API for managing employee feedbacks
+ * 💬 Feedbacks
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /feedbacks:
- *   get:
- *     summary: Get all feedbacks
- *     tags: [Feedbacks]
- *     responses:
- *       200:
- *         description: List of all feedbacks
- */
-app.get("/feedbacks", async (req, res) => {
-  const result = await pool.query("SELECT * FROM feedbacks");
-  res.status(200).json(result.rows);
-});
+module.exports = function feedbacksRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, canActFor }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /feedbacks/{id}:
- *   get:
- *     summary: Get feedback by ID
- *     tags: [Feedbacks]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Feedback found
- *       404:
- *         description: Feedback not found
- */
-app.get("/feedbacks/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM feedbacks WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: Feedbacks
+   *   description: API for managing employee feedbacks
+   */
 
-/**
- * @swagger
- * /feedbacks:
- *   post:
- *     summary: Create a new feedback
- *     tags: [Feedbacks]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [from_employee, to_employee, message]
- *             properties:
- *               from_employee:
- *                 type: integer
- *               to_employee:
- *                 type: integer
- *               message:
- *                 type: string
- *     responses:
- *       201:
- *         description: Feedback created
- */
-app.post("/feedbacks", async (req, res) => {
-  const { from_employee, to_employee, message } = req.body;
-  const result = await pool.query(
-    `INSERT INTO feedbacks (from_employee, to_employee, message)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [from_employee, to_employee, message]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Feedback:
+   *       type: object
+   *       properties:
+   *         from_employee:
+   *           type: integer
+   *           description: Set to the caller on POST
+   *         to_employee:
+   *           type: integer
+   *         message:
+   *           type: string
+   */
 
-/**
- * @swagger
- * /feedbacks/{id}:
- *   put:
- *     summary: Update feedback by ID
- *     tags: [Feedbacks]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               from_employee:
- *                 type: integer
- *               to_employee:
- *                 type: integer
- *               message:
- *                 type: string
- *     responses:
- *       200:
- *         description: Feedback updated
- *       404:
- *         description: Feedback not found
- */
-app.put("/feedbacks/:id", async (req, res) => {
-  const { from_employee, to_employee, message } = req.body;
-  const result = await pool.query(
-    `UPDATE feedbacks SET from_employee = $1, to_employee = $2, message = $3
-     WHERE id = $4 RETURNING *`,
-    [from_employee, to_employee, message, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /feedbacks:
+   *   get:
+   *     summary: Get all feedbacks
+   *     tags: [Feedbacks]
+   *     description: Filter and sort by id, from_employee, to_employee, submitted_on. Ranges via _from/_to on submitted_on.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: from_employee, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: to_employee, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: submitted_on, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: submitted_on_from, schema: { type: string, format: date } }
+   *       - { in: query, name: submitted_on_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: List of all feedbacks
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/feedbacks", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM feedbacks",
+      fields: { id: "integer", from_employee: "integer", to_employee: "integer", submitted_on: "date" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /feedbacks/{id}:
- *   delete:
- *     summary: Delete feedback by ID
- *     tags: [Feedbacks]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Feedback deleted
- *       404:
- *         description: Feedback not found
- */
-app.delete("/feedbacks/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM feedbacks WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json({ message: "Feedback deleted successfully" });
-});
+  /**
+   * @swagger
+   * /feedbacks/{id}:
+   *   get:
+   *     summary: Get feedback by ID
+   *     tags: [Feedbacks]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Feedback found
+   *       404:
+   *         description: Feedback not found
+   */
+  router.get("/feedbacks/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM feedbacks WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Feedback not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /feedbacks:
+   *   post:
+   *     summary: Create a new feedback
+   *     tags: [Feedbacks]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Feedback'
+   *               - required: [to_employee, message]
+   *     responses:
+   *       201:
+   *         description: Feedback created
+   */
+  router.post("/feedbacks", authorize(...ALL_ROLES), async (req, res) => {
+    const { to_employee, message } = req.body;
+    const result = await pool.query(
+      `INSERT INTO feedbacks (from_employee, to_employee, message)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [req.user.id, to_employee, message]
+    );
+    res.status(201).json(result.rows[0]);
+  });
+
+  const updateFeedback = versionedUpdate(withTransaction, {
+    notFound: "Feedback not found",
+    load: (client, req) => client.query("SELECT * FROM feedbacks WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["from_employee", "to_employee", "message"],
+    save: async (client, { from_employee, to_employee, message }, current) => {
+      const result = await client.query(
+        `UPDATE feedbacks SET from_employee = $1, to_employee = $2, message = $3
+         WHERE id = $4 RETURNING *`,
+        [from_employee, to_employee, message, current.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /feedbacks/{id}:
+   *   put:
+   *     summary: Update feedback by ID
+   *     tags: [Feedbacks]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Feedback'
+   *     responses:
+   *       200:
+   *         description: Feedback updated
+   *       404:
+   *         description: Feedback not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/feedbacks/:id", authorize(ROLES.HR_ADMIN), updateFeedback.replace);
+
+  /**
+   * @swagger
+   * /feedbacks/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a feedback
+   *     tags: [Feedbacks]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Feedback'
+   *     responses:
+   *       200:
+   *         description: Feedback updated
+   *       404:
+   *         description: Feedback not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/feedbacks/:id", authorize(ROLES.HR_ADMIN), updateFeedback.patch);
+
+  /**
+   * @swagger
+   * /feedbacks/{id}:
+   *   delete:
+   *     summary: Delete feedback by ID
+   *     tags: [Feedbacks]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Feedback deleted
+   *       404:
+   *         description: Feedback not found
+   */
+  router.delete("/feedbacks/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("DELETE FROM feedbacks WHERE id = $1 RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: "Feedback not found" });
+    res.json({ message: "Feedback deleted successfully" });
+  });
+
+  return router;
+};
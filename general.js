@@ -1,198 +1,292 @@
 /**
- * @swagger
- * /departments/{id}/employees:
- *   get:
- *     summary: Get employees by department ID
- *     tags: [Departments]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Department ID
- *     responses:
- *       200:
- *         description: List of employees in the department
+ * 🔗 Per-employee and per-department lookups
  */
-app.get("/departments/:id/employees", async (req, res) => {
-  const { id } = req.params;
-  const result = await pool.query(
-    "SELECT * FROM employees WHERE department_id = $1",
-    [id]
-  );
-  res.json(result.rows);
-});
+const express = require("express");
+const { listRows } = require("./listing");
+const { includeExited } = require("./employees");
 
-/**
- * @swagger
- * /employees/{id}/leave-balances:
- *   get:
- *     summary: Get leave balances for an employee
- *     tags: [Leave Balances]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Employee ID
- *     responses:
- *       200:
- *         description: Leave balance data
- */
-app.get("/employees/:id/leave-balances", async (req, res) => {
-  const { id } = req.params;
-  const result = await pool.query(
-    "SELECT * FROM leave_balances WHERE employee_id = $1",
-    [id]
-  );
-  res.json(result.rows);
-});
+module.exports = function generalRouter({ pool, ROLES, authorize, authorizeSelfOr, parseDate }) {
+  const router = express.Router();
 
+  /**
+   * @swagger
+   * /departments/{id}/employees:
+   *   get:
+   *     summary: Get employees by department ID
+   *     tags: [Departments]
+   *     description: Filter and sort by id, name, email, designation, manager_id, role, status. Exited employees are left out unless include_exited=true or a status filter is given.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Department ID
+   *       - $ref: '#/components/parameters/IncludeExited'
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: email, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: designation, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: manager_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: role, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *     responses:
+   *       200:
+   *         description: List of employees in the department
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/departments/:id/employees", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM employees WHERE department_id = $1 AND ($2::boolean OR status <> 'Exited')",
+      params: [req.params.id, includeExited(req)],
+      fields: { id: "integer", name: "text", email: "text", designation: "text", manager_id: "integer", role: "text", status: "text" },
+      defaultSort: "name",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /employees/{id}/attendance:
- *   get:
- *     summary: Get attendance logs for an employee within a date range
- *     tags: [Attendance Logs]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Employee ID
- *       - in: query
- *         name: start
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *       - in: query
- *         name: end
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *     responses:
- *       200:
- *         description: Attendance logs
- */
-app.get("/employees/:id/attendance", async (req, res) => {
-  const { id } = req.params;
-  const { start, end } = req.query;
-  const result = await pool.query(
-    "SELECT * FROM attendance_logs WHERE employee_id = $1 AND date BETWEEN $2 AND $3",
-    [id, start, end]
-  );
-  res.json(result.rows);
-});
+  /**
+   * @swagger
+   * /employees/{id}/leave-balances:
+   *   get:
+   *     summary: Get leave balances for an employee
+   *     tags: [LeaveBalances]
+   *     description: Filter and sort by id, leave_type, balance. Ranges via _from/_to on balance.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: leave_type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: balance, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: balance_from, schema: { type: number } }
+   *       - { in: query, name: balance_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: Leave balance data
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees/:id/leave-balances", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leave_balances WHERE employee_id = $1",
+      params: [req.params.id],
+      fields: { id: "integer", leave_type: "text", balance: "number" },
+      defaultSort: "leave_type",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /employees/{id}/leaves:
- *   get:
- *     summary: Get all leaves taken by an employee
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Employee ID
- *     responses:
- *       200:
- *         description: List of leaves
- */
-app.get("/employees/:id/leaves", async (req, res) => {
-  const { id } = req.params;
-  const result = await pool.query(
-    "SELECT * FROM leaves WHERE employee_id = $1",
-    [id]
-  );
-  res.json(result.rows);
-});
+  /**
+   * @swagger
+   * /employees/{id}/attendance:
+   *   get:
+   *     summary: Get attendance logs for an employee within a date range
+   *     tags: [AttendanceLogs]
+   *     description: Filter and sort by id, date, status, worked_hours. Ranges via _from/_to on date, worked_hours.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - in: query
+   *         name: start
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: end
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: worked_hours, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: worked_hours_from, schema: { type: number } }
+   *       - { in: query, name: worked_hours_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: Attendance logs
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *       400:
+   *         description: Missing or invalid start/end
+   */
+  router.get("/employees/:id/attendance", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const from = parseDate(req.query.start);
+    const to = parseDate(req.query.end);
+    if (!from || !to) return res.status(400).json({ error: "start and end must be YYYY-MM-DD" });
+    if (to < from) return res.status(400).json({ error: "end must not be before start" });
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM attendance_logs WHERE employee_id = $1 AND date BETWEEN $2 AND $3",
+      params: [req.params.id, req.query.start, req.query.end],
+      fields: { id: "integer", date: "date", status: "text", worked_hours: "number" },
+      defaultSort: "date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /employees/{id}/feedbacks:
- *   get:
- *     summary: Get feedback given and received by an employee
- *     tags: [Feedbacks]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Employee ID
- *     responses:
- *       200:
- *         description: Feedback data
- */
-app.get("/employees/:id/feedbacks", async (req, res) => {
-  const { id } = req.params;
-  const result = await pool.query(
-    `SELECT * FROM feedbacks WHERE from_employee = $1 OR to_employee = $1`,
-    [id]
-  );
-  res.json(result.rows);
-});
+  /**
+   * @swagger
+   * /employees/{id}/leaves:
+   *   get:
+   *     summary: Get all leaves taken by an employee
+   *     tags: [Leaves]
+   *     description: Filter and sort by id, type, status, start_date, end_date. Ranges via _from/_to on start_date, end_date.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: start_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: start_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: start_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: List of leaves
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees/:id/leaves", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leaves WHERE employee_id = $1",
+      params: [req.params.id],
+      fields: { id: "integer", type: "text", status: "text", start_date: "date", end_date: "date" },
+      defaultSort: "-start_date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /employees/{id}/timesheets:
- *   get:
- *     summary: Get timesheets by employee
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Employee ID
- *     responses:
- *       200:
- *         description: Timesheet entries
- */
-app.get("/employees/:id/timesheets", async (req, res) => {
-  const { id } = req.params;
-  const result = await pool.query(
-    "SELECT * FROM timesheets WHERE employee_id = $1",
-    [id]
-  );
-  res.json(result.rows);
-});
+  /**
+   * @swagger
+   * /employees/{id}/feedbacks:
+   *   get:
+   *     summary: Get feedback given and received by an employee
+   *     tags: [Feedbacks]
+   *     description: Filter and sort by id, from_employee, to_employee, submitted_on. Ranges via _from/_to on submitted_on.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: from_employee, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: to_employee, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: submitted_on, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: submitted_on_from, schema: { type: string, format: date } }
+   *       - { in: query, name: submitted_on_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Feedback data
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   *       403:
+   *         description: Only HR admins may read other employees' feedback
+   */
+  router.get("/employees/:id/feedbacks", authorizeSelfOr("id", ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM feedbacks WHERE from_employee = $1 OR to_employee = $1",
+      params: [req.params.id],
+      fields: { id: "integer", from_employee: "integer", to_employee: "integer", submitted_on: "date" },
+      defaultSort: "-submitted_on",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
+  /**
+   * @swagger
+   * /employees/{id}/timesheets:
+   *   get:
+   *     summary: Get timesheets by employee
+   *     tags: [Timesheets]
+   *     description: Filter and sort by id, project_id, log_date, hours. Ranges via _from/_to on log_date, hours.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Employee ID
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: project_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: log_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: hours, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: log_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: log_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: hours_from, schema: { type: number } }
+   *       - { in: query, name: hours_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: Timesheet entries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees/:id/timesheets", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM timesheets WHERE employee_id = $1",
+      params: [req.params.id],
+      fields: { id: "integer", project_id: "integer", log_date: "date", hours: "number" },
+      defaultSort: "-log_date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /attendance/missing/{date}:
- *   get:
- *     summary: Get employees without attendance log on a specific date
- *     tags: [Attendance Logs]
- *     parameters:
- *       - in: path
- *         name: date
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Date to check attendance
- *     responses:
- *       200:
- *         description: List of absent employees
- */
-app.get("/attendance/missing/:date", async (req, res) => {
-  const { date } = req.params;
-  const result = await pool.query(`
-    SELECT * FROM employees WHERE id NOT IN (
-      SELECT employee_id FROM attendance_logs WHERE date = $1
-    )
-  `, [date]);
-  res.json(result.rows);
-});
+  return router;
+};
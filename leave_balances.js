@@ -1,144 +1,243 @@
 /**
- * @swagger
- * tags:
- *   name: LeaveBalances
- *   description: API for managing employee leave balances
+ * ⚖️ Leave balances
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /leave_balances:
- *   get:
- *     summary: Get all leave balances
- *     tags: [LeaveBalances]
- *     responses:
- *       200:
- *         description: List of leave balances
- */
-app.get("/leave_balances", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_balances");
-  res.status(200).json(result.rows);
-});
+module.exports = function leaveBalancesRouter({ pool, withTransaction, ROLES, authorize, recordLeaveLedger }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /leave_balances/{id}:
- *   get:
- *     summary: Get leave balance by ID
- *     tags: [LeaveBalances]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave balance found
- *       404:
- *         description: Leave balance not found
- */
-app.get("/leave_balances/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_balances WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: LeaveBalances
+   *   description: API for managing employee leave balances
+   */
 
-/**
- * @swagger
- * /leave_balances:
- *   post:
- *     summary: Add new leave balance
- *     tags: [LeaveBalances]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [employee_id, leave_type, balance]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               leave_type:
- *                 type: string
- *               balance:
- *                 type: number
- *     responses:
- *       201:
- *         description: Leave balance created
- */
-app.post("/leave_balances", async (req, res) => {
-  const { employee_id, leave_type, balance } = req.body;
-  const result = await pool.query(
-    `INSERT INTO leave_balances (employee_id, leave_type, balance)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [employee_id, leave_type, balance]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LeaveBalance:
+   *       type: object
+   *       properties:
+   *         employee_id:
+   *           type: integer
+   *         leave_type:
+   *           type: string
+   *         balance:
+   *           type: number
+   */
 
-/**
- * @swagger
- * /leave_balances/{id}:
- *   put:
- *     summary: Update a leave balance
- *     tags: [LeaveBalances]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               leave_type:
- *                 type: string
- *               balance:
- *                 type: number
- *     responses:
- *       200:
- *         description: Leave balance updated
- *       404:
- *         description: Leave balance not found
- */
-app.put("/leave_balances/:id", async (req, res) => {
-  const { leave_type, balance } = req.body;
-  const result = await pool.query(
-    `UPDATE leave_balances
-     SET leave_type = $1, balance = $2
-     WHERE id = $3 RETURNING *`,
-    [leave_type, balance, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /leave_balances:
+   *   get:
+   *     summary: Get all leave balances
+   *     tags: [LeaveBalances]
+   *     description: Filter and sort by id, employee_id, leave_type, balance. Ranges via _from/_to on balance.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: leave_type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: balance, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: balance_from, schema: { type: number } }
+   *       - { in: query, name: balance_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: List of leave balances
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/leave_balances", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leave_balances",
+      fields: { id: "integer", employee_id: "integer", leave_type: "text", balance: "number" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /leave_balances/{id}:
- *   delete:
- *     summary: Delete a leave balance
- *     tags: [LeaveBalances]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave balance deleted
- *       404:
- *         description: Leave balance not found
- */
-app.delete("/leave_balances/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leave_balances WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json({ message: "Leave balance deleted successfully" });
-});
+  /**
+   * @swagger
+   * /leave_balances/{id}:
+   *   get:
+   *     summary: Get leave balance by ID
+   *     tags: [LeaveBalances]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave balance found
+   *       404:
+   *         description: Leave balance not found
+   */
+  router.get("/leave_balances/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM leave_balances WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Leave balance not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /leave_balances:
+   *   post:
+   *     summary: Add new leave balance
+   *     tags: [LeaveBalances]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/LeaveBalance'
+   *               - required: [employee_id, leave_type, balance]
+   *     responses:
+   *       201:
+   *         description: Leave balance created
+   */
+  router.post("/leave_balances", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const { employee_id, leave_type, balance } = req.body;
+    const row = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO leave_balances (employee_id, leave_type, balance)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [employee_id, leave_type, balance]
+      );
+      await recordLeaveLedger(client, {
+        employee_id, leave_type, change: balance, balance_after: balance, reason: "Manual adjustment", created_by: req.user.id,
+      });
+      return result.rows[0];
+    });
+    res.status(201).json(row);
+  });
+
+  const updateLeaveBalance = versionedUpdate(withTransaction, {
+    notFound: "Leave balance not found",
+    load: (client, req) => client.query("SELECT * FROM leave_balances WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["leave_type", "balance"],
+    save: async (client, { leave_type, balance }, old, req) => {
+      // A balance is never cleared, only set; the ledger needs a number to record the change
+      if (balance == null) return { status: 400, error: "balance is required" };
+      const result = await client.query(
+        `UPDATE leave_balances
+         SET leave_type = $1, balance = $2
+         WHERE id = $3 RETURNING *`,
+        [leave_type, balance, old.id]
+      );
+      const entry = { employee_id: old.employee_id, reason: "Manual adjustment", created_by: req.user.id };
+      if (old.leave_type === leave_type) {
+        await recordLeaveLedger(client, { ...entry, leave_type, change: balance - Number(old.balance || 0), balance_after: balance });
+      } else {
+        // Retyping a row moves its whole balance from one leave type to the other
+        await recordLeaveLedger(client, { ...entry, leave_type: old.leave_type, change: -Number(old.balance || 0), balance_after: 0 });
+        await recordLeaveLedger(client, { ...entry, leave_type, change: balance, balance_after: balance });
+      }
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /leave_balances/{id}:
+   *   put:
+   *     summary: Update a leave balance
+   *     tags: [LeaveBalances]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/LeaveBalance'
+   *               - required: [leave_type, balance]
+   *     responses:
+   *       200:
+   *         description: Leave balance updated
+   *       404:
+   *         description: Leave balance not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/leave_balances/:id", authorize(ROLES.HR_ADMIN), updateLeaveBalance.replace);
+
+  /**
+   * @swagger
+   * /leave_balances/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a leave balance
+   *     tags: [LeaveBalances]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/LeaveBalance'
+   *     responses:
+   *       200:
+   *         description: Leave balance updated
+   *       404:
+   *         description: Leave balance not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/leave_balances/:id", authorize(ROLES.HR_ADMIN), updateLeaveBalance.patch);
+
+  /**
+   * @swagger
+   * /leave_balances/{id}:
+   *   delete:
+   *     summary: Delete a leave balance
+   *     tags: [LeaveBalances]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave balance deleted
+   *       404:
+   *         description: Leave balance not found
+   */
+  router.delete("/leave_balances/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query("DELETE FROM leave_balances WHERE id = $1 RETURNING *", [req.params.id]);
+      if (result.rowCount === 0) return null;
+      const { employee_id, leave_type, balance } = result.rows[0];
+      await recordLeaveLedger(client, {
+        employee_id, leave_type, change: -Number(balance || 0), balance_after: 0, reason: "Manual adjustment", created_by: req.user.id,
+      });
+      return result.rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: "Leave balance not found" });
+    res.json({ message: "Leave balance deleted successfully" });
+  });
+
+  return router;
+};
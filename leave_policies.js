@@ -1,146 +1,236 @@
 /**
- * @swagger
- * tags:
- *   name: LeavePolicies
- *   description: API for managing leave policies
+ * 📜 Leave policies
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /leave_policies:
- *   get:
- *     summary: Get all leave policies
- *     tags: [LeavePolicies]
- *     responses:
- *       200:
- *         description: List of leave policies
- */
-app.get("/leave_policies", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_policies");
-  res.status(200).json(result.rows);
-});
+module.exports = function leavePoliciesRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, ACCRUAL_FREQUENCIES }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /leave_policies/{id}:
- *   get:
- *     summary: Get leave policy by ID
- *     tags: [LeavePolicies]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave policy found
- *       404:
- *         description: Leave policy not found
- */
-app.get("/leave_policies/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_policies WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: LeavePolicies
+   *   description: API for managing leave policies
+   */
 
-/**
- * @swagger
- * /leave_policies:
- *   post:
- *     summary: Create a new leave policy
- *     tags: [LeavePolicies]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [policy_name, max_leaves]
- *             properties:
- *               policy_name:
- *                 type: string
- *               description:
- *                 type: string
- *               max_leaves:
- *                 type: integer
- *     responses:
- *       201:
- *         description: Leave policy created
- */
-app.post("/leave_policies", async (req, res) => {
-  const { policy_name, description, max_leaves } = req.body;
-  const result = await pool.query(
-    `INSERT INTO leave_policies (policy_name, description, max_leaves)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [policy_name, description, max_leaves]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LeavePolicy:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *           description: Leave type, matched against leaves.type
+   *         days_per_year:
+   *           type: integer
+   *         carry_forward:
+   *           type: boolean
+   *         allow_negative_balance:
+   *           type: boolean
+   *         accrual_frequency:
+   *           type: string
+   *           enum: [monthly, yearly]
+   *         carry_forward_cap:
+   *           type: number
+   *           description: Maximum days carried into the next year (unlimited when omitted)
+   */
 
-/**
- * @swagger
- * /leave_policies/{id}:
- *   put:
- *     summary: Update a leave policy
- *     tags: [LeavePolicies]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               policy_name:
- *                 type: string
- *               description:
- *                 type: string
- *               max_leaves:
- *                 type: integer
- *     responses:
- *       200:
- *         description: Leave policy updated
- *       404:
- *         description: Leave policy not found
- */
-app.put("/leave_policies/:id", async (req, res) => {
-  const { policy_name, description, max_leaves } = req.body;
-  const result = await pool.query(
-    `UPDATE leave_policies
-     SET policy_name = $1, description = $2, max_leaves = $3
-     WHERE id = $4 RETURNING *`,
-    [policy_name, description, max_leaves, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /leave_policies:
+   *   get:
+   *     summary: Get all leave policies
+   *     tags: [LeavePolicies]
+   *     description: Filter and sort by id, name, days_per_year, accrual_frequency, carry_forward. Ranges via _from/_to on days_per_year.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: days_per_year, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: accrual_frequency, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: carry_forward, schema: { type: boolean } }
+   *       - { in: query, name: days_per_year_from, schema: { type: integer } }
+   *       - { in: query, name: days_per_year_to, schema: { type: integer } }
+   *     responses:
+   *       200:
+   *         description: List of leave policies
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/leave_policies", authorize(...ALL_ROLES), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leave_policies",
+      fields: { id: "integer", name: "text", days_per_year: "integer", accrual_frequency: "text", carry_forward: "boolean" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /leave_policies/{id}:
- *   delete:
- *     summary: Delete a leave policy
- *     tags: [LeavePolicies]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave policy deleted
- *       404:
- *         description: Leave policy not found
- */
-app.delete("/leave_policies/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leave_policies WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json({ message: "Leave policy deleted successfully" });
-});
+  /**
+   * @swagger
+   * /leave_policies/{id}:
+   *   get:
+   *     summary: Get leave policy by ID
+   *     tags: [LeavePolicies]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave policy found
+   *       404:
+   *         description: Leave policy not found
+   */
+  router.get("/leave_policies/:id", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await pool.query("SELECT * FROM leave_policies WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Leave policy not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /leave_policies:
+   *   post:
+   *     summary: Create a new leave policy
+   *     tags: [LeavePolicies]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/LeavePolicy'
+   *               - required: [name, days_per_year]
+   *     responses:
+   *       201:
+   *         description: Leave policy created
+   */
+  router.post("/leave_policies", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const { name, days_per_year, carry_forward, allow_negative_balance, accrual_frequency, carry_forward_cap } = req.body;
+    if (accrual_frequency && !ACCRUAL_FREQUENCIES.includes(accrual_frequency)) {
+      return res.status(400).json({ error: "accrual_frequency must be monthly or yearly" });
+    }
+    const result = await pool.query(
+      `INSERT INTO leave_policies (name, days_per_year, carry_forward, allow_negative_balance, accrual_frequency, carry_forward_cap)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [name, days_per_year, carry_forward ?? false, allow_negative_balance ?? false, accrual_frequency || "yearly", carry_forward_cap]
+    );
+    res.status(201).json(result.rows[0]);
+  });
+
+  const updateLeavePolicy = versionedUpdate(withTransaction, {
+    notFound: "Leave policy not found",
+    load: (client, req) => client.query("SELECT * FROM leave_policies WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["name", "days_per_year", "carry_forward", "allow_negative_balance", "accrual_frequency", "carry_forward_cap"],
+    save: async (client, values, current) => {
+      const { name, days_per_year, carry_forward, allow_negative_balance, accrual_frequency, carry_forward_cap } = values;
+      if (accrual_frequency && !ACCRUAL_FREQUENCIES.includes(accrual_frequency)) {
+        return { status: 400, error: "accrual_frequency must be monthly or yearly" };
+      }
+      const result = await client.query(
+        `UPDATE leave_policies
+         SET name = $1, days_per_year = $2, carry_forward = $3, allow_negative_balance = $4,
+             accrual_frequency = $5, carry_forward_cap = $6
+         WHERE id = $7 RETURNING *`,
+        [name, days_per_year, carry_forward ?? false, allow_negative_balance ?? false, accrual_frequency || "yearly",
+          carry_forward_cap, current.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /leave_policies/{id}:
+   *   put:
+   *     summary: Update a leave policy
+   *     tags: [LeavePolicies]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/LeavePolicy'
+   *     responses:
+   *       200:
+   *         description: Leave policy updated
+   *       404:
+   *         description: Leave policy not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/leave_policies/:id", authorize(ROLES.HR_ADMIN), updateLeavePolicy.replace);
+
+  /**
+   * @swagger
+   * /leave_policies/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a leave policy
+   *     tags: [LeavePolicies]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/LeavePolicy'
+   *     responses:
+   *       200:
+   *         description: Leave policy updated
+   *       404:
+   *         description: Leave policy not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/leave_policies/:id", authorize(ROLES.HR_ADMIN), updateLeavePolicy.patch);
+
+  /**
+   * @swagger
+   * /leave_policies/{id}:
+   *   delete:
+   *     summary: Delete a leave policy
+   *     tags: [LeavePolicies]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave policy deleted
+   *       404:
+   *         description: Leave policy not found
+   */
+  router.delete("/leave_policies/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("DELETE FROM leave_policies WHERE id = $1 RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: "Leave policy not found" });
+    res.json({ message: "Leave policy deleted successfully" });
+  });
+
+  return router;
+};
@@ -1,156 +1,263 @@
 /**
- * @swagger
- * tags:
- *   name: Leaves
- *   description: API for managing employee leaves
+ * 🌴 Leaves
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /leaves:
- *   get:
- *     summary: Get all leave records
- *     tags: [Leaves]
- *     responses:
- *       200:
- *         description: List of leave records
- */
-app.get("/leaves", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves");
-  res.status(200).json(result.rows);
-});
+module.exports = function leavesRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, canActFor, checkLeaveRequest, applyForLeave }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /leaves/{id}:
- *   get:
- *     summary: Get a leave record by ID
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave record found
- *       404:
- *         description: Leave record not found
- */
-app.get("/leaves/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: Leaves
+   *   description: API for managing employee leaves
+   */
 
-/**
- * @swagger
- * /leaves:
- *   post:
- *     summary: Apply for a leave
- *     tags: [Leaves]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [employee_id, type, start_date, end_date]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               type:
- *                 type: string
- *               start_date:
- *                 type: string
- *                 format: date
- *               end_date:
- *                 type: string
- *                 format: date
- *               status:
- *                 type: string
- *     responses:
- *       201:
- *         description: Leave applied successfully
- */
-app.post("/leaves", async (req, res) => {
-  const { employee_id, type, start_date, end_date, status } = req.body;
-  const result = await pool.query(
-    `INSERT INTO leaves (employee_id, type, start_date, end_date, status)
-     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-    [employee_id, type, start_date, end_date, status || 'Pending']
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Leave:
+   *       type: object
+   *       properties:
+   *         employee_id:
+   *           type: integer
+   *         type:
+   *           type: string
+   *         start_date:
+   *           type: string
+   *           format: date
+   *         end_date:
+   *           type: string
+   *           format: date
+   *         reason:
+   *           type: string
+   *         status:
+   *           type: string
+   *           enum: [Pending, Approved, Rejected, Cancelled]
+   *           readOnly: true
+   *           description: New leaves start Pending; changed only by the approve, reject and cancel routes
+   */
 
-/**
- * @swagger
- * /leaves/{id}:
- *   put:
- *     summary: Update a leave record
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *               start_date:
- *                 type: string
- *                 format: date
- *               end_date:
- *                 type: string
- *                 format: date
- *               status:
- *                 type: string
- *     responses:
- *       200:
- *         description: Leave updated
- *       404:
- *         description: Leave not found
- */
-app.put("/leaves/:id", async (req, res) => {
-  const { type, start_date, end_date, status } = req.body;
-  const result = await pool.query(
-    `UPDATE leaves
-     SET type = $1, start_date = $2, end_date = $3, status = $4
-     WHERE id = $5 RETURNING *`,
-    [type, start_date, end_date, status, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /leaves:
+   *   get:
+   *     summary: Get all leave records
+   *     tags: [Leaves]
+   *     description: Filter and sort by id, employee_id, type, status, start_date, end_date. Ranges via _from/_to on start_date, end_date.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: start_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: start_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: start_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: List of leave records
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/leaves", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM leaves",
+      fields: { id: "integer", employee_id: "integer", type: "text", status: "text", start_date: "date", end_date: "date" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /leaves/{id}:
- *   delete:
- *     summary: Delete a leave record
- *     tags: [Leaves]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Leave deleted
- *       404:
- *         description: Leave not found
- */
-app.delete("/leaves/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leaves WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json({ message: "Leave deleted successfully" });
-});
+  /**
+   * @swagger
+   * /leaves/{id}:
+   *   get:
+   *     summary: Get a leave record by ID
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave record found
+   *       404:
+   *         description: Leave record not found
+   */
+  router.get("/leaves/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM leaves WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Leave not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /leaves:
+   *   post:
+   *     summary: Apply for a leave
+   *     tags: [Leaves]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Leave'
+   *               - required: [employee_id, type, start_date, end_date]
+   *     description: >
+   *       The request always starts as Pending. It is rejected when the dates are invalid, the type has no
+   *       leave policy, it overlaps another pending or approved leave, or the working days (weekends and
+   *       holidays excluded) exceed the available balance and the policy does not allow a negative balance.
+   *     responses:
+   *       201:
+   *         description: Leave applied successfully
+   *       400:
+   *         description: Invalid dates, unknown leave type or insufficient balance
+   *       409:
+   *         description: Overlaps an existing leave
+   */
+  router.post("/leaves", authorize(...ALL_ROLES), async (req, res) => {
+    const { employee_id } = req.body;
+    if (!(await canActFor(req, employee_id))) return res.status(403).json({ error: "Forbidden" });
+    const result = await applyForLeave(req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(result.leave);
+  });
+
+  // Only pending leaves can be edited: approved ones have already been debited from the balance, so
+  // they are cancelled and applied for again instead. The new dates and type are checked like a new
+  // application, and days is recounted.
+  const updateLeave = versionedUpdate(withTransaction, {
+    notFound: "Leave not found",
+    load: (client, req) => client.query("SELECT * FROM leaves WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["type", "start_date", "end_date", "reason"],
+    save: async (client, { type, start_date, end_date, reason }, current) => {
+      if (current.status !== "Pending") {
+        return { status: 409, error: `Only pending leaves can be edited; this one is ${current.status}` };
+      }
+      const checked = await checkLeaveRequest(
+        client, { employee_id: current.employee_id, type, start_date, end_date }, current.id
+      );
+      if (checked.error) return checked;
+      const result = await client.query(
+        `UPDATE leaves
+         SET type = $1, start_date = $2, end_date = $3, days = $4, reason = $5
+         WHERE id = $6 RETURNING *`,
+        [type, start_date, end_date, checked.days, reason, current.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /leaves/{id}:
+   *   put:
+   *     summary: Update a leave record
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Leave'
+   *     responses:
+   *       200:
+   *         description: Leave updated
+   *       400:
+   *         description: Invalid dates, unknown leave type or insufficient balance
+   *       404:
+   *         description: Leave not found
+   *       409:
+   *         description: Leave is not pending, or overlaps another leave
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/leaves/:id", authorize(ROLES.HR_ADMIN), updateLeave.replace);
+
+  /**
+   * @swagger
+   * /leaves/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a leave record
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Leave'
+   *     responses:
+   *       200:
+   *         description: Leave updated
+   *       400:
+   *         description: Invalid dates, unknown leave type or insufficient balance
+   *       404:
+   *         description: Leave not found
+   *       409:
+   *         description: Leave is not pending, or overlaps another leave
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/leaves/:id", authorize(ROLES.HR_ADMIN), updateLeave.patch);
+
+  /**
+   * @swagger
+   * /leaves/{id}:
+   *   delete:
+   *     summary: Delete a pending leave record
+   *     description: Approved, rejected and cancelled leaves stay on record; cancel an approved leave through /leave/cancel/{leaveId} so its days are credited back.
+   *     tags: [Leaves]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Leave deleted
+   *       404:
+   *         description: Leave not found
+   *       409:
+   *         description: Leave is not pending
+   */
+  router.delete("/leaves/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const found = await pool.query("SELECT status FROM leaves WHERE id = $1", [req.params.id]);
+    if (found.rows.length === 0) return res.status(404).json({ error: "Leave not found" });
+    const result = await pool.query("DELETE FROM leaves WHERE id = $1 AND status = 'Pending' RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: `Only pending leaves can be deleted; this one is ${found.rows[0].status}` });
+    }
+    res.json({ message: "Leave deleted successfully" });
+  });
+
+  return router;
+};
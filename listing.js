@@ -0,0 +1,132 @@
+/**
+ * 📄 Collection listing: pagination, filters and sorting
+ *
+ * List routes describe their rows once and listRows turns the query string into SQL:
+ *
+ *   ?limit=50&offset=100               page size (default 50, max 200) and start
+ *   ?status=Pending,Approved           equality on a whitelisted field; commas mean "any of"
+ *   ?start_date_from=2025-01-01        inclusive lower / upper bound on date and number fields
+ *   ?start_date_to=2025-01-31
+ *   ?sort=-start_date,employee_id      comma-separated fields, "-" for descending
+ *
+ * The route's SELECT is wrapped as a subquery, so fields are its output columns (joins and
+ * computed columns included). The response is { data, total, limit, offset, links }.
+ */
+const { isDate } = require("./validation");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const RESERVED_PARAMS = ["limit", "offset", "sort"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const FIELD_TYPES = {
+  integer: { cast: "int", valid: (v) => /^-?\d+$/.test(v), range: true },
+  number: { cast: "numeric", valid: (v) => v !== "" && Number.isFinite(Number(v)), range: true },
+  date: { cast: "date", valid: isDate, range: true },
+  time: { cast: "time", valid: (v) => TIME_RE.test(v), range: true },
+  text: { cast: "text", valid: () => true, range: false },
+  boolean: { cast: "boolean", valid: (v) => v === "true" || v === "false", range: false },
+};
+
+// Rebuilds the current URL with a different offset for the next/prev links
+function pageLink(req, offset, limit) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name === "offset" || name === "limit") continue;
+    for (const v of [].concat(value)) params.append(name, v);
+  }
+  params.set("limit", limit);
+  params.set("offset", offset);
+  return `${req.baseUrl}${req.path}?${params}`;
+}
+
+function parsePaging(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+  if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be a non-negative integer" };
+  return { limit, offset };
+}
+
+// Turns whitelisted query params into SQL conditions appended to `params`
+function parseFilters(query, fields, params) {
+  const conditions = [];
+  for (const [name, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(name)) continue;
+    const bound = /^(\w+)_(from|to)$/.exec(name);
+    const field = fields[name] ? name : bound && fields[bound[1]] ? bound[1] : null;
+    if (!field) continue;
+    if (typeof raw !== "string") return { error: `${name} may only be given once; separate values with commas` };
+    const type = FIELD_TYPES[fields[field]];
+    // Timestamps compare by calendar day so "_to" includes the whole day
+    const column = fields[field] === "date" ? `"${field}"::date` : `"${field}"`;
+    if (field !== name) {
+      if (!type.range) return { error: `${field} does not support ranges` };
+      if (!type.valid(raw)) return { error: `${name} must be a valid ${fields[field]}` };
+      params.push(raw);
+      conditions.push(`${column} ${bound[2] === "from" ? ">=" : "<="} $${params.length}::${type.cast}`);
+      continue;
+    }
+    const values = raw.split(",");
+    if (!values.every(type.valid)) return { error: `${name} must be a valid ${fields[field]}` };
+    params.push(values);
+    conditions.push(`${column} = ANY($${params.length}::${type.cast}[])`);
+  }
+  return { conditions };
+}
+
+function parseSort(sort, fields, defaultSort) {
+  const terms = [];
+  for (const term of (sort || defaultSort).split(",").filter(Boolean)) {
+    const field = term.replace(/^-/, "");
+    if (!fields[field]) return { error: `Cannot sort by ${field}; sortable fields are ${Object.keys(fields).join(", ")}` };
+    terms.push(`"${field}" ${term.startsWith("-") ? "DESC" : "ASC"}`);
+  }
+  // A unique tiebreaker keeps pages stable when sort values repeat
+  if (fields.id && !terms.some((t) => t.startsWith('"id"'))) terms.push('"id" ASC');
+  return { orderBy: terms.join(", ") };
+}
+
+/**
+ * Runs one page of `select` (which may use $1..$n from `params`) and returns the envelope,
+ * or { status: 400, error } for a bad limit, filter or sort.
+ *
+ * @param {object} db pool or client
+ * @param {object} req Express request, for the query string and page links
+ * @param {{ select: string, params?: any[], fields: Object<string, string>, defaultSort: string }} list
+ *   fields maps each filterable/sortable column to integer, number, date, time, text or boolean
+ */
+async function listRows(db, req, { select, params = [], fields, defaultSort }) {
+  if (typeof req.query.sort === "object" || typeof req.query.limit === "object" || typeof req.query.offset === "object") {
+    return { status: 400, error: "limit, offset and sort may only be given once" };
+  }
+  const paging = parsePaging(req.query);
+  if (paging.error) return { status: 400, error: paging.error };
+  const values = [...params];
+  const filters = parseFilters(req.query, fields, values);
+  if (filters.error) return { status: 400, error: filters.error };
+  const sort = parseSort(req.query.sort, fields, defaultSort);
+  if (sort.error) return { status: 400, error: sort.error };
+
+  const where = filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(" AND ")}` : "";
+  const total = await db.query(`SELECT COUNT(*)::int AS total FROM (${select}) AS list ${where}`, values);
+  const rows = await db.query(
+    `SELECT * FROM (${select}) AS list ${where} ORDER BY ${sort.orderBy} LIMIT ${paging.limit} OFFSET ${paging.offset}`,
+    values
+  );
+  const { limit, offset } = paging;
+  const count = total.rows[0].total;
+  return {
+    data: rows.rows,
+    total: count,
+    limit,
+    offset,
+    links: {
+      self: pageLink(req, offset, limit),
+      next: offset + limit < count ? pageLink(req, offset + limit, limit) : null,
+      prev: offset > 0 ? pageLink(req, Math.max(0, offset - limit), limit) : null,
+    },
+  };
+}
+
+module.exports = { listRows, DEFAULT_LIMIT, MAX_LIMIT };
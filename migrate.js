@@ -0,0 +1,144 @@
+/**
+ * 🧱 Schema migrations
+ *
+ *   node migrate.js status      list applied and pending migrations
+ *   node migrate.js up          apply every pending migration in order
+ *   node migrate.js down [n]    roll back the last n applied migrations (default 1)
+ *
+ * Migrations are migrations/NNN_name.js files exporting `up` and `down` SQL. Each one runs in its own
+ * transaction and is recorded in schema_migrations; the server refuses to start while any are pending.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_(\w+)\.js$/;
+// Advisory lock key held while migrating so two migrators cannot interleave
+const MIGRATION_LOCK_KEY = 7301017;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => MIGRATION_FILE_RE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Versions recorded in schema_migrations, oldest first; none before the table exists
+async function appliedVersions(db) {
+  const table = await db.query("SELECT to_regclass('schema_migrations') AS name");
+  if (!table.rows[0].name) return [];
+  const result = await db.query("SELECT version FROM schema_migrations ORDER BY version::int");
+  return result.rows.map((row) => row.version);
+}
+
+async function pendingMigrations(db) {
+  const applied = new Set(await appliedVersions(db));
+  return loadMigrations().filter((m) => !applied.has(m.version));
+}
+
+async function assertMigrated(db) {
+  const pending = await pendingMigrations(db);
+  if (pending.length > 0) {
+    const names = pending.map((m) => `${m.version}_${m.name}`).join(", ");
+    throw new Error(`${pending.length} pending migration(s): ${names}. Run "npm run migrate" first.`);
+  }
+}
+
+// Runs fn(client) on a dedicated connection holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(200) NOT NULL,
+         applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+}
+
+async function runStep(client, sql, record) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// Applies pending migrations in version order; returns the ones applied
+async function migrateUp(pool, log = () => {}) {
+  return withMigrationLock(pool, async (client) => {
+    const pending = await pendingMigrations(client);
+    for (const migration of pending) {
+      await runStep(client, migration.up, () =>
+        client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name])
+      );
+      log(`⬆️  ${migration.version}_${migration.name}`);
+    }
+    return pending;
+  });
+}
+
+// Rolls back the last `steps` applied migrations, newest first; returns the ones rolled back
+async function migrateDown(pool, steps = 1, log = () => {}) {
+  return withMigrationLock(pool, async (client) => {
+    const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+    const targets = (await appliedVersions(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) throw new Error(`Applied migration ${version} has no file in migrations/`);
+      await runStep(client, migration.down, () =>
+        client.query("DELETE FROM schema_migrations WHERE version = $1", [version])
+      );
+      log(`⬇️  ${migration.version}_${migration.name}`);
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+}
+
+module.exports = { loadMigrations, pendingMigrations, assertMigrated, migrateUp, migrateDown };
+
+if (require.main === module) {
+  const { pool } = require("./server");
+  const [command, arg] = process.argv.slice(2);
+
+  const main = async () => {
+    if (command === "up") {
+      const applied = await migrateUp(pool, console.log);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "✅ Already up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error("Usage: node migrate.js down [steps]");
+      const rolledBack = await migrateDown(pool, steps, console.log);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === "status") {
+      const applied = new Set(await appliedVersions(pool));
+      for (const m of loadMigrations()) {
+        console.log(`${applied.has(m.version) ? "applied" : "pending"}  ${m.version}_${m.name}`);
+      }
+    } else {
+      throw new Error("Usage: node migrate.js <status|up|down [steps]>");
+    }
+  };
+
+  main()
+    .catch((err) => {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,371 @@
+/**
+ * Baseline: the schema setupTables() used to create on every start.
+ * Every statement is idempotent so it also applies cleanly to databases setupTables() already built.
+ */
+exports.up = `
+CREATE TABLE IF NOT EXISTS departments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS employees (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  phone VARCHAR(20),
+  doj DATE,
+  department_id INTEGER REFERENCES departments(id),
+  designation VARCHAR(100),
+  basic_salary NUMERIC,
+  pf_applicable BOOLEAN DEFAULT true,
+  esi_applicable BOOLEAN DEFAULT true,
+  pan_number VARCHAR(20),
+  aadhaar_number VARCHAR(20),
+  status VARCHAR(20) DEFAULT 'Active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'employee';
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES employees(id);
+
+CREATE TABLE IF NOT EXISTS employee_credentials (
+  employee_id INTEGER PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS attendance_logs (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  date DATE,
+  check_in TIME,
+  check_out TIME,
+  status VARCHAR(20)
+);
+
+ALTER TABLE attendance_logs ADD COLUMN IF NOT EXISTS worked_hours NUMERIC;
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  grace_minutes INT NOT NULL DEFAULT 0,
+  break_minutes INT NOT NULL DEFAULT 0,
+  -- ISO days of week (1 = Monday ... 7 = Sunday)
+  weekly_offs INT[] NOT NULL DEFAULT '{6,7}'
+);
+
+CREATE TABLE IF NOT EXISTS roster_assignments (
+  id SERIAL PRIMARY KEY,
+  employee_id INT REFERENCES employees(id) ON DELETE CASCADE,
+  shift_id INT NOT NULL REFERENCES shifts(id),
+  start_date DATE NOT NULL,
+  -- NULL means open-ended
+  end_date DATE,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS attendance_regularizations (
+  id SERIAL PRIMARY KEY,
+  employee_id INT REFERENCES employees(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  attendance_log_id INT REFERENCES attendance_logs(id) ON DELETE SET NULL,
+  check_in TIME NOT NULL,
+  check_out TIME NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+  requested_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reviewed_by INT REFERENCES employees(id) ON DELETE SET NULL,
+  reviewed_on TIMESTAMP,
+  review_comment TEXT
+);
+
+-- Audit trail of time changes made after a log was recorded
+CREATE TABLE IF NOT EXISTS attendance_log_changes (
+  id SERIAL PRIMARY KEY,
+  attendance_log_id INT REFERENCES attendance_logs(id) ON DELETE CASCADE,
+  previous_check_in TIME,
+  previous_check_out TIME,
+  check_in TIME,
+  check_out TIME,
+  reason TEXT,
+  regularization_id INT REFERENCES attendance_regularizations(id) ON DELETE SET NULL,
+  changed_by INT REFERENCES employees(id) ON DELETE SET NULL,
+  changed_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS leave_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100),
+  days_per_year INTEGER,
+  carry_forward BOOLEAN DEFAULT false
+);
+
+ALTER TABLE leave_policies ADD COLUMN IF NOT EXISTS allow_negative_balance BOOLEAN DEFAULT false;
+ALTER TABLE leave_policies ADD COLUMN IF NOT EXISTS accrual_frequency VARCHAR(10) DEFAULT 'yearly';
+ALTER TABLE leave_policies ADD COLUMN IF NOT EXISTS carry_forward_cap NUMERIC;
+
+CREATE TABLE IF NOT EXISTS holidays (
+  id SERIAL PRIMARY KEY,
+  holiday_date DATE UNIQUE NOT NULL,
+  name VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS holiday_calendars (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS locations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  holiday_calendar_id INTEGER REFERENCES holiday_calendars(id) ON DELETE SET NULL
+);
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id);
+
+-- Holidays without a calendar are company-wide; the rest apply to locations using that calendar
+ALTER TABLE holidays ADD COLUMN IF NOT EXISTS calendar_id INTEGER REFERENCES holiday_calendars(id) ON DELETE CASCADE;
+ALTER TABLE holidays ADD COLUMN IF NOT EXISTS is_optional BOOLEAN DEFAULT false;
+ALTER TABLE holidays DROP CONSTRAINT IF EXISTS holidays_holiday_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS holidays_company_date ON holidays (holiday_date) WHERE calendar_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS holidays_calendar_date ON holidays (calendar_id, holiday_date) WHERE calendar_id IS NOT NULL;
+
+-- Non-optional holidays that apply to each employee
+CREATE OR REPLACE VIEW employee_holidays AS
+  SELECT e.id AS employee_id, h.id AS holiday_id, h.holiday_date, h.name
+  FROM employees e
+  LEFT JOIN locations l ON l.id = e.location_id
+  JOIN holidays h ON h.calendar_id IS NULL OR h.calendar_id = l.holiday_calendar_id
+  WHERE NOT h.is_optional;
+
+CREATE TABLE IF NOT EXISTS leaves (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  type VARCHAR(50),
+  start_date DATE,
+  end_date DATE,
+  status VARCHAR(20) DEFAULT 'Pending',
+  applied_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE leaves ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES employees(id);
+ALTER TABLE leaves ADD COLUMN IF NOT EXISTS reviewed_on TIMESTAMP;
+ALTER TABLE leaves ADD COLUMN IF NOT EXISTS days NUMERIC;
+ALTER TABLE leaves ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE TABLE IF NOT EXISTS leave_balances (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  leave_type VARCHAR(50),
+  balance NUMERIC
+);
+
+CREATE TABLE IF NOT EXISTS leave_balance_ledger (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  leave_type VARCHAR(50),
+  change NUMERIC NOT NULL,
+  balance_after NUMERIC NOT NULL,
+  reason VARCHAR(50) NOT NULL,
+  leave_id INTEGER REFERENCES leaves(id),
+  created_by INTEGER REFERENCES employees(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS leave_accruals (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  policy_id INTEGER REFERENCES leave_policies(id) ON DELETE CASCADE,
+  period VARCHAR(7) NOT NULL,
+  kind VARCHAR(10) NOT NULL,
+  days NUMERIC,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (employee_id, policy_id, period, kind)
+);
+
+CREATE TABLE IF NOT EXISTS feedbacks (
+  id SERIAL PRIMARY KEY,
+  from_employee INTEGER REFERENCES employees(id),
+  to_employee INTEGER REFERENCES employees(id),
+  message TEXT,
+  submitted_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  billing_currency CHAR(3) NOT NULL DEFAULT 'INR',
+  address TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS clients_name ON clients (lower(name));
+
+CREATE TABLE IF NOT EXISTS client_contacts (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(100),
+  phone VARCHAR(20),
+  title VARCHAR(100)
+);
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS client_id INTEGER REFERENCES clients(id);
+
+-- Free-text projects.client values become clients (case-insensitively), then the column is dropped
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns WHERE table_name = 'projects' AND column_name = 'client'
+  ) THEN
+    INSERT INTO clients (name)
+      SELECT DISTINCT ON (lower(trim(client))) trim(client) FROM projects
+      WHERE trim(client) <> ''
+      ORDER BY lower(trim(client)), trim(client)
+      ON CONFLICT DO NOTHING;
+    UPDATE projects p SET client_id = c.id FROM clients c
+      WHERE p.client_id IS NULL AND lower(trim(p.client)) = lower(c.name);
+    ALTER TABLE projects DROP COLUMN client;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS project_assignments (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+  role VARCHAR(100),
+  allocation_percent NUMERIC NOT NULL CHECK (allocation_percent > 0 AND allocation_percent <= 100),
+  start_date DATE NOT NULL,
+  -- NULL means open-ended
+  end_date DATE,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS end_date DATE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'Active';
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_hours NUMERIC;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS billable BOOLEAN NOT NULL DEFAULT true;
+-- Lets a member of a billable project work non-billable, e.g. while shadowing
+ALTER TABLE project_assignments ADD COLUMN IF NOT EXISTS billable BOOLEAN NOT NULL DEFAULT true;
+
+-- Hourly rate for one employee, for an assignment role, or (both NULL) the project default
+CREATE TABLE IF NOT EXISTS project_billing_rates (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+  role VARCHAR(100),
+  hourly_rate NUMERIC NOT NULL CHECK (hourly_rate >= 0),
+  CHECK (employee_id IS NULL OR role IS NULL)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS project_billing_rates_employee
+  ON project_billing_rates (project_id, employee_id) WHERE employee_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS project_billing_rates_role
+  ON project_billing_rates (project_id, role) WHERE role IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS project_billing_rates_default
+  ON project_billing_rates (project_id) WHERE employee_id IS NULL AND role IS NULL;
+
+CREATE TABLE IF NOT EXISTS timesheets (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  project_id INTEGER REFERENCES projects(id),
+  log_date DATE,
+  hours NUMERIC,
+  notes TEXT
+);
+
+ALTER TABLE timesheets ADD COLUMN IF NOT EXISTS attendance_warning TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES employees(id) ON DELETE SET NULL;
+
+-- A week without a row is still Draft
+CREATE TABLE IF NOT EXISTS timesheet_weeks (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+  week_start DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Draft',
+  submitted_on TIMESTAMP,
+  reviewed_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  reviewed_on TIMESTAMP,
+  review_comment TEXT,
+  UNIQUE (employee_id, week_start),
+  CHECK (EXTRACT(ISODOW FROM week_start) = 1)
+);
+
+CREATE TABLE IF NOT EXISTS bonuses (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  amount NUMERIC,
+  reason TEXT,
+  issued_on DATE
+);
+
+CREATE TABLE IF NOT EXISTS payroll_runs (
+  id SERIAL PRIMARY KEY,
+  salary_month DATE NOT NULL,
+  status VARCHAR(20) DEFAULT 'Preview',
+  created_by INTEGER REFERENCES employees(id),
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finalized_by INTEGER REFERENCES employees(id),
+  finalized_at TIMESTAMP,
+  reversed_by INTEGER REFERENCES employees(id),
+  reversed_at TIMESTAMP
+);
+
+-- At most one live (non-reversed) run per month
+CREATE UNIQUE INDEX IF NOT EXISTS payroll_runs_live_month
+  ON payroll_runs (salary_month) WHERE status <> 'Reversed';
+
+CREATE TABLE IF NOT EXISTS payrolls (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER REFERENCES employees(id),
+  salary_month DATE,
+  gross_salary NUMERIC,
+  pf_deduction NUMERIC,
+  esi_deduction NUMERIC,
+  tds_deduction NUMERIC,
+  other_deductions NUMERIC,
+  net_salary NUMERIC,
+  status VARCHAR(20) DEFAULT 'Processed'
+);
+
+ALTER TABLE payrolls ADD COLUMN IF NOT EXISTS run_id INTEGER REFERENCES payroll_runs(id);
+ALTER TABLE payrolls ADD COLUMN IF NOT EXISTS basic_earned NUMERIC;
+ALTER TABLE payrolls ADD COLUMN IF NOT EXISTS bonus_amount NUMERIC;
+ALTER TABLE payrolls ADD COLUMN IF NOT EXISTS unpaid_leave_days NUMERIC;
+`;
+
+exports.down = `
+DROP VIEW IF EXISTS employee_holidays;
+DROP TABLE IF EXISTS payrolls CASCADE;
+DROP TABLE IF EXISTS payroll_runs CASCADE;
+DROP TABLE IF EXISTS bonuses CASCADE;
+DROP TABLE IF EXISTS timesheet_weeks CASCADE;
+DROP TABLE IF EXISTS timesheets CASCADE;
+DROP TABLE IF EXISTS project_billing_rates CASCADE;
+DROP TABLE IF EXISTS project_assignments CASCADE;
+DROP TABLE IF EXISTS client_contacts CASCADE;
+DROP TABLE IF EXISTS clients CASCADE;
+DROP TABLE IF EXISTS projects CASCADE;
+DROP TABLE IF EXISTS feedbacks CASCADE;
+DROP TABLE IF EXISTS leave_accruals CASCADE;
+DROP TABLE IF EXISTS leave_balance_ledger CASCADE;
+DROP TABLE IF EXISTS leave_balances CASCADE;
+DROP TABLE IF EXISTS leaves CASCADE;
+DROP TABLE IF EXISTS locations CASCADE;
+DROP TABLE IF EXISTS holiday_calendars CASCADE;
+DROP TABLE IF EXISTS holidays CASCADE;
+DROP TABLE IF EXISTS leave_policies CASCADE;
+DROP TABLE IF EXISTS attendance_log_changes CASCADE;
+DROP TABLE IF EXISTS attendance_regularizations CASCADE;
+DROP TABLE IF EXISTS roster_assignments CASCADE;
+DROP TABLE IF EXISTS shifts CASCADE;
+DROP TABLE IF EXISTS attendance_logs CASCADE;
+DROP TABLE IF EXISTS employee_credentials CASCADE;
+DROP TABLE IF EXISTS employees CASCADE;
+DROP TABLE IF EXISTS departments CASCADE;
+`;
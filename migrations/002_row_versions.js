@@ -0,0 +1,64 @@
+/**
+ * Row versions for optimistic locking: every editable table gets a version, bumped with updated_at by a
+ * trigger whenever an UPDATE actually changes the row. The API exposes version as the ETag and checks
+ * If-Match against it (see versioning.js).
+ */
+const VERSIONED_TABLES = [
+  "departments",
+  "employees",
+  "leave_policies",
+  "leaves",
+  "leave_balances",
+  "attendance_logs",
+  "feedbacks",
+  "projects",
+  "project_assignments",
+  "project_billing_rates",
+  "timesheets",
+  "locations",
+  "holiday_calendars",
+  "holidays",
+  "shifts",
+  "clients",
+  "client_contacts",
+];
+
+const tableList = VERSIONED_TABLES.map((table) => `'${table}'`).join(", ");
+
+exports.up = `
+CREATE OR REPLACE FUNCTION bump_row_version() RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  NEW.updated_at := CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[${tableList}] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN version INTEGER NOT NULL DEFAULT 1', t);
+    EXECUTE format('ALTER TABLE %I ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP', t);
+    EXECUTE format(
+      'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW WHEN (OLD IS DISTINCT FROM NEW) EXECUTE FUNCTION bump_row_version()',
+      t || '_row_version', t
+    );
+  END LOOP;
+END $$;
+`;
+
+exports.down = `
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[${tableList}] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_row_version', t);
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS version, DROP COLUMN IF EXISTS updated_at', t);
+  END LOOP;
+END $$;
+
+DROP FUNCTION IF EXISTS bump_row_version();
+`;
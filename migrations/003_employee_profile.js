@@ -0,0 +1,74 @@
+/**
+ * Complete employee profile: date of birth and gender on employees, plus addresses, emergency contacts,
+ * dependents and bank accounts as per-employee collections (versioned like the other editable tables).
+ */
+exports.up = `
+ALTER TABLE employees ADD COLUMN date_of_birth DATE;
+ALTER TABLE employees ADD COLUMN gender VARCHAR(20);
+
+CREATE TABLE employee_addresses (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL DEFAULT 'Current',
+  line1 VARCHAR(200) NOT NULL,
+  line2 VARCHAR(200),
+  city VARCHAR(100) NOT NULL,
+  state VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(100) NOT NULL DEFAULT 'India'
+);
+
+CREATE TABLE employee_emergency_contacts (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  relationship VARCHAR(50) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  email VARCHAR(100)
+);
+
+CREATE TABLE employee_dependents (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  relationship VARCHAR(50) NOT NULL,
+  date_of_birth DATE,
+  gender VARCHAR(20)
+);
+
+CREATE TABLE employee_bank_accounts (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  bank_name VARCHAR(100) NOT NULL,
+  account_holder VARCHAR(100) NOT NULL,
+  account_number VARCHAR(30) NOT NULL,
+  ifsc VARCHAR(11) NOT NULL,
+  is_primary BOOLEAN NOT NULL DEFAULT false
+);
+
+-- Salary goes to one account per employee
+CREATE UNIQUE INDEX employee_bank_accounts_primary ON employee_bank_accounts (employee_id) WHERE is_primary;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['employee_addresses', 'employee_emergency_contacts', 'employee_dependents', 'employee_bank_accounts'] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN version INTEGER NOT NULL DEFAULT 1', t);
+    EXECUTE format('ALTER TABLE %I ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP', t);
+    EXECUTE format(
+      'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW WHEN (OLD IS DISTINCT FROM NEW) EXECUTE FUNCTION bump_row_version()',
+      t || '_row_version', t
+    );
+  END LOOP;
+END $$;
+`;
+
+exports.down = `
+DROP TABLE IF EXISTS employee_bank_accounts;
+DROP TABLE IF EXISTS employee_dependents;
+DROP TABLE IF EXISTS employee_emergency_contacts;
+DROP TABLE IF EXISTS employee_addresses;
+ALTER TABLE employees DROP COLUMN IF EXISTS gender;
+ALTER TABLE employees DROP COLUMN IF EXISTS date_of_birth;
+`;
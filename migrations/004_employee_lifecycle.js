@@ -0,0 +1,52 @@
+/**
+ * Employee lifecycle instead of hard deletes: separations (resignations and terminations) with their
+ * notice period and last working day, exit_date on employees once they are deactivated, and
+ * rehired_from linking a rehire's new record to the old one. Email only has to be unique among people
+ * who have not exited, so a rehire can keep their address.
+ */
+exports.up = `
+ALTER TABLE employees ADD COLUMN notice_period_days INTEGER CHECK (notice_period_days >= 0);
+ALTER TABLE employees ADD COLUMN exit_date DATE;
+ALTER TABLE employees ADD COLUMN rehired_from INTEGER REFERENCES employees(id);
+
+ALTER TABLE employees DROP CONSTRAINT IF EXISTS employees_email_key;
+CREATE UNIQUE INDEX employees_email_current ON employees (email) WHERE status <> 'Exited';
+
+CREATE TABLE employee_separations (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id),
+  type VARCHAR(20) NOT NULL DEFAULT 'Resignation',
+  reason TEXT,
+  submitted_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  notice_period_days INTEGER NOT NULL CHECK (notice_period_days >= 0),
+  -- submitted_on + notice_period_days; an earlier last_working_day means the notice was cut short
+  notice_end_date DATE NOT NULL,
+  last_working_day DATE NOT NULL,
+  -- Submitted -> Accepted -> Completed, or Withdrawn before completion
+  status VARCHAR(20) NOT NULL DEFAULT 'Submitted',
+  reviewed_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (last_working_day >= submitted_on)
+);
+
+-- At most one separation in progress per employee
+CREATE UNIQUE INDEX employee_separations_open ON employee_separations (employee_id)
+  WHERE status IN ('Submitted', 'Accepted');
+
+CREATE TRIGGER employee_separations_row_version BEFORE UPDATE ON employee_separations
+  FOR EACH ROW WHEN (OLD IS DISTINCT FROM NEW) EXECUTE FUNCTION bump_row_version();
+`;
+
+// Restoring the plain UNIQUE fails if a rehire shares an email with their exited record
+exports.down = `
+DROP TABLE IF EXISTS employee_separations;
+DROP INDEX IF EXISTS employees_email_current;
+ALTER TABLE employees ADD CONSTRAINT employees_email_key UNIQUE (email);
+ALTER TABLE employees DROP COLUMN IF EXISTS rehired_from;
+ALTER TABLE employees DROP COLUMN IF EXISTS exit_date;
+ALTER TABLE employees DROP COLUMN IF EXISTS notice_period_days;
+`;
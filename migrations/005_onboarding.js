@@ -0,0 +1,72 @@
+/**
+ * Onboarding: templates (per department, designation, both or neither) listing tasks for HR, IT, the
+ * manager and the new hire with due dates relative to doj, and the per-employee checklists generated
+ * from them. Checklist tasks are copies, so editing a template never rewrites an onboarding in progress.
+ */
+exports.up = `
+CREATE TABLE onboarding_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  -- NULL matches any department / designation; the most specific active template wins
+  department_id INTEGER REFERENCES departments(id) ON DELETE RESTRICT,
+  designation VARCHAR(100),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One active template per department/designation combination, so matching is never ambiguous
+CREATE UNIQUE INDEX onboarding_templates_scope ON onboarding_templates
+  (COALESCE(department_id, 0), lower(COALESCE(designation, ''))) WHERE active;
+
+CREATE TABLE onboarding_template_tasks (
+  id SERIAL PRIMARY KEY,
+  template_id INTEGER NOT NULL REFERENCES onboarding_templates(id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  description TEXT,
+  -- Employee is the new hire
+  assignee_role VARCHAR(20) NOT NULL CHECK (assignee_role IN ('HR', 'IT', 'Manager', 'Employee')),
+  -- Who does HR and IT tasks; NULL leaves them to HR admins
+  assignee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  -- Days after doj the task is due; negative for preparation before the first day
+  due_offset_days INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE onboarding_tasks (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  template_id INTEGER REFERENCES onboarding_templates(id) ON DELETE SET NULL,
+  template_task_id INTEGER REFERENCES onboarding_template_tasks(id) ON DELETE SET NULL,
+  title VARCHAR(200) NOT NULL,
+  description TEXT,
+  assignee_role VARCHAR(20) NOT NULL CHECK (assignee_role IN ('HR', 'IT', 'Manager', 'Employee')),
+  assignee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  due_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Completed')),
+  notes TEXT,
+  completed_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX onboarding_tasks_pending ON onboarding_tasks (employee_id) WHERE status = 'Pending';
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['onboarding_templates', 'onboarding_template_tasks', 'onboarding_tasks'] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN version INTEGER NOT NULL DEFAULT 1', t);
+    EXECUTE format('ALTER TABLE %I ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP', t);
+    EXECUTE format(
+      'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW WHEN (OLD IS DISTINCT FROM NEW) EXECUTE FUNCTION bump_row_version()',
+      t || '_row_version', t
+    );
+  END LOOP;
+END $$;
+`;
+
+exports.down = `
+DROP TABLE IF EXISTS onboarding_tasks;
+DROP TABLE IF EXISTS onboarding_template_tasks;
+DROP TABLE IF EXISTS onboarding_templates;
+`;
@@ -0,0 +1,953 @@
+/**
+ * 🧳 Onboarding templates and checklists
+ *
+ * A template belongs to a department, a designation, both or neither, and lists tasks for HR, IT, the
+ * manager and the new hire (assignee_role Employee), each due a number of days from doj. Hiring an
+ * employee with a doj copies the tasks of the most specific matching active template into their
+ * checklist (designation beats department beats the catch-all); HR can also generate one later or from
+ * a chosen template. Task copies keep the checklist stable when its template is edited.
+ */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
+
+const ASSIGNEE_ROLES = ["HR", "IT", "Manager", "Employee"];
+const TEMPLATE_FIELDS = ["name", "department_id", "designation", "active"];
+const TEMPLATE_TASK_FIELDS = ["title", "description", "assignee_role", "assignee_id", "due_offset_days"];
+const TASK_FIELDS = ["title", "description", "due_date", "assignee_id", "notes"];
+
+// Checklist tasks with their people; overdue is a pending task past its due date
+const TASK_SELECT = `
+  SELECT t.*, e.name AS employee_name, e.manager_id, a.name AS assignee_name,
+         t.status = 'Pending' AND t.due_date < CURRENT_DATE AS overdue
+  FROM onboarding_tasks t
+  JOIN employees e ON e.id = t.employee_id
+  LEFT JOIN employees a ON a.id = t.assignee_id`;
+
+// The most specific active template for a department and designation, or null
+async function matchTemplate(db, departmentId, designation) {
+  const result = await db.query(
+    `SELECT * FROM onboarding_templates
+     WHERE active
+       AND (department_id IS NULL OR department_id = $1)
+       AND (designation IS NULL OR lower(designation) = lower($2))
+     ORDER BY (designation IS NOT NULL) DESC, (department_id IS NOT NULL) DESC
+     LIMIT 1`,
+    [departmentId, designation]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Copies a template's tasks into the employee's checklist, due relative to their doj. Manager tasks go
+ * to the employee's manager and Employee tasks to the new hire; HR and IT tasks keep the template's
+ * assignee. Uses `templateId` when given, otherwise the best match.
+ *
+ * @returns {Promise<{ template: object, tasks: object[] } | null>} null when no template applies
+ */
+async function generateOnboarding(db, employee, templateId = null) {
+  const template = templateId
+    ? (await db.query("SELECT * FROM onboarding_templates WHERE id = $1", [templateId])).rows[0]
+    : await matchTemplate(db, employee.department_id, employee.designation);
+  if (!template) return null;
+  const result = await db.query(
+    `INSERT INTO onboarding_tasks
+       (employee_id, template_id, template_task_id, title, description, assignee_role, assignee_id, due_date)
+     SELECT $1, t.template_id, t.id, t.title, t.description, t.assignee_role,
+            CASE t.assignee_role WHEN 'Manager' THEN $2::int WHEN 'Employee' THEN $1 ELSE t.assignee_id END,
+            $3::date + t.due_offset_days
+     FROM onboarding_template_tasks t
+     WHERE t.template_id = $4
+     ORDER BY t.due_offset_days, t.id
+     RETURNING *`,
+    [employee.id, employee.manager_id, employee.doj, template.id]
+  );
+  return { template, tasks: result.rows };
+}
+
+// Moves the pending tasks' due dates along with a changed doj
+async function rescheduleOnboarding(db, employeeId, previousDoj, doj) {
+  await db.query(
+    `UPDATE onboarding_tasks SET due_date = due_date + ($3::date - $2::date)
+     WHERE employee_id = $1 AND status = 'Pending' AND $2::date <> $3::date`,
+    [employeeId, previousDoj, doj]
+  );
+}
+
+function validateTemplateTask({ assignee_role, assignee_id }) {
+  if (!ASSIGNEE_ROLES.includes(assignee_role)) return `assignee_role must be one of ${ASSIGNEE_ROLES.join(", ")}`;
+  if (assignee_id != null && !["HR", "IT"].includes(assignee_role)) {
+    return "assignee_id only applies to HR and IT tasks; Manager and Employee tasks follow the new hire";
+  }
+  return null;
+}
+
+module.exports = function onboardingRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, authorizeSelfOr }) {
+  const router = express.Router();
+
+  // Rejects a second active template for the same department and designation
+  async function checkScope(db, { department_id, designation, active }, id) {
+    if (active === false) return null;
+    const taken = await db.query(
+      `SELECT id FROM onboarding_templates
+       WHERE active AND COALESCE(department_id, 0) = COALESCE($1::int, 0)
+         AND lower(COALESCE(designation, '')) = lower(COALESCE($2::text, ''))
+         AND ($3::int IS NULL OR id <> $3)`,
+      [department_id, designation, id]
+    );
+    if (taken.rows.length === 0) return null;
+    return { status: 409, error: `Active template ${taken.rows[0].id} already covers this department and designation` };
+  }
+
+  async function loadTemplate(db, id) {
+    const template = await db.query("SELECT * FROM onboarding_templates WHERE id = $1", [id]);
+    if (template.rows.length === 0) return null;
+    const tasks = await db.query(
+      "SELECT * FROM onboarding_template_tasks WHERE template_id = $1 ORDER BY due_offset_days, id",
+      [id]
+    );
+    return { ...template.rows[0], tasks: tasks.rows };
+  }
+
+  // HR admins handle every task; others the ones assigned to them, their reports' Manager tasks and their own
+  const canComplete = (req, task) =>
+    req.user.role === ROLES.HR_ADMIN ||
+    task.assignee_id === req.user.id ||
+    (task.assignee_role === "Manager" && task.manager_id === req.user.id) ||
+    (task.assignee_role === "Employee" && task.employee_id === req.user.id);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Onboarding
+   *   description: Onboarding templates and new-hire checklists
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     AssigneeRole:
+   *       type: string
+   *       enum: [HR, IT, Manager, Employee]
+   *       description: Employee is the new hire
+   *     OnboardingTemplate:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         department_id:
+   *           type: integer
+   *           nullable: true
+   *           description: Omit to match every department
+   *         designation:
+   *           type: string
+   *           nullable: true
+   *           description: Omit to match every designation (compared case-insensitively)
+   *         active:
+   *           type: boolean
+   *           default: true
+   *     OnboardingTemplateTask:
+   *       type: object
+   *       properties:
+   *         title:
+   *           type: string
+   *         description:
+   *           type: string
+   *         assignee_role:
+   *           $ref: '#/components/schemas/AssigneeRole'
+   *         assignee_id:
+   *           type: integer
+   *           nullable: true
+   *           description: HR and IT tasks only; left empty, HR admins pick the task up
+   *         due_offset_days:
+   *           type: integer
+   *           default: 0
+   *           description: Days after doj the task is due; negative for work before the first day
+   *     OnboardingTask:
+   *       type: object
+   *       properties:
+   *         title:
+   *           type: string
+   *         description:
+   *           type: string
+   *         due_date:
+   *           type: string
+   *           format: date
+   *         assignee_id:
+   *           type: integer
+   *           nullable: true
+   *         notes:
+   *           type: string
+   */
+
+  /**
+   * @swagger
+   * /onboarding/templates:
+   *   get:
+   *     summary: List onboarding templates
+   *     tags: [Onboarding]
+   *     description: Filter and sort by id, name, department_id, designation, active.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: department_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: designation, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: active, schema: { type: boolean } }
+   *     responses:
+   *       200:
+   *         description: Templates with their task counts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/onboarding/templates", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `SELECT o.*, (SELECT COUNT(*)::int FROM onboarding_template_tasks t WHERE t.template_id = o.id) AS task_count
+               FROM onboarding_templates o`,
+      fields: { id: "integer", name: "text", department_id: "integer", designation: "text", active: "boolean" },
+      defaultSort: "name",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}:
+   *   get:
+   *     summary: Get an onboarding template with its tasks
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Template found
+   *       404:
+   *         description: Template not found
+   */
+  router.get("/onboarding/templates/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const template = await loadTemplate(pool, req.params.id);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    sendVersioned(res, template);
+  });
+
+  /**
+   * @swagger
+   * /onboarding/templates:
+   *   post:
+   *     summary: Create an onboarding template, optionally with its tasks
+   *     tags: [Onboarding]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/OnboardingTemplate'
+   *               - required: [name]
+   *                 properties:
+   *                   tasks:
+   *                     type: array
+   *                     items:
+   *                       allOf:
+   *                         - $ref: '#/components/schemas/OnboardingTemplateTask'
+   *                         - required: [title, assignee_role]
+   *     responses:
+   *       201:
+   *         description: Template created
+   *       400:
+   *         description: Invalid task
+   *       409:
+   *         description: An active template already covers this department and designation
+   */
+  router.post("/onboarding/templates", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const tasks = req.body.tasks || [];
+    for (const task of tasks) {
+      const error = validateTemplateTask(task);
+      if (error) return res.status(400).json({ error });
+    }
+    const values = { ...req.body, active: req.body.active ?? true };
+    const outcome = await withTransaction(async (client) => {
+      const taken = await checkScope(client, values, null);
+      if (taken) return taken;
+      const created = await client.query(
+        `INSERT INTO onboarding_templates (${TEMPLATE_FIELDS.join(", ")})
+         VALUES (${TEMPLATE_FIELDS.map((field, i) => `$${i + 1}`).join(", ")}) RETURNING id`,
+        TEMPLATE_FIELDS.map((field) => values[field])
+      );
+      const id = created.rows[0].id;
+      for (const task of tasks) {
+        await client.query(
+          `INSERT INTO onboarding_template_tasks (template_id, ${TEMPLATE_TASK_FIELDS.join(", ")})
+           VALUES ($1, ${TEMPLATE_TASK_FIELDS.map((field, i) => `$${i + 2}`).join(", ")})`,
+          [id, ...TEMPLATE_TASK_FIELDS.map((field) => (field === "due_offset_days" ? task[field] ?? 0 : task[field]))]
+        );
+      }
+      return { row: await loadTemplate(client, id) };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row, 201);
+  });
+
+  const updateTemplate = versionedUpdate(withTransaction, {
+    notFound: "Template not found",
+    load: (client, req) => client.query("SELECT * FROM onboarding_templates WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: TEMPLATE_FIELDS,
+    save: async (client, fields, current) => {
+      const values = { ...fields, active: fields.active ?? true };
+      const taken = await checkScope(client, values, current.id);
+      if (taken) return taken;
+      await client.query(
+        `UPDATE onboarding_templates SET ${TEMPLATE_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(", ")}
+         WHERE id = $${TEMPLATE_FIELDS.length + 1}`,
+        [...TEMPLATE_FIELDS.map((field) => values[field]), current.id]
+      );
+      return { row: await loadTemplate(client, current.id) };
+    },
+  });
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}:
+   *   put:
+   *     summary: Replace an onboarding template's name and scope
+   *     tags: [Onboarding]
+   *     description: Tasks are managed under /onboarding/templates/{id}/tasks. Checklists already generated are not changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/OnboardingTemplate'
+   *               - required: [name]
+   *     responses:
+   *       200:
+   *         description: Template updated
+   *       404:
+   *         description: Template not found
+   *       409:
+   *         description: An active template already covers this department and designation
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/onboarding/templates/:id", authorize(ROLES.HR_ADMIN), updateTemplate.replace);
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}:
+   *   patch:
+   *     summary: Update only the given fields of an onboarding template
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/OnboardingTemplate'
+   *     responses:
+   *       200:
+   *         description: Template updated
+   *       404:
+   *         description: Template not found
+   *       409:
+   *         description: An active template already covers this department and designation
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/onboarding/templates/:id", authorize(ROLES.HR_ADMIN), updateTemplate.patch);
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}:
+   *   delete:
+   *     summary: Delete an onboarding template
+   *     description: Checklists generated from it keep their tasks. Set active to false instead to keep it for reference.
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Template deleted
+   *       404:
+   *         description: Template not found
+   */
+  router.delete("/onboarding/templates/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("DELETE FROM onboarding_templates WHERE id = $1 RETURNING id", [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: "Template not found" });
+    res.json({ message: "Template deleted successfully" });
+  });
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}/tasks:
+   *   post:
+   *     summary: Add a task to an onboarding template
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/OnboardingTemplateTask'
+   *               - required: [title, assignee_role]
+   *     responses:
+   *       201:
+   *         description: Task added
+   *       400:
+   *         description: assignee_id on a Manager or Employee task
+   *       404:
+   *         description: Template not found
+   */
+  router.post("/onboarding/templates/:id/tasks", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const error = validateTemplateTask(req.body);
+    if (error) return res.status(400).json({ error });
+    const template = await pool.query("SELECT id FROM onboarding_templates WHERE id = $1", [req.params.id]);
+    if (template.rows.length === 0) return res.status(404).json({ error: "Template not found" });
+    const values = { ...req.body, due_offset_days: req.body.due_offset_days ?? 0 };
+    const result = await pool.query(
+      `INSERT INTO onboarding_template_tasks (template_id, ${TEMPLATE_TASK_FIELDS.join(", ")})
+       VALUES ($1, ${TEMPLATE_TASK_FIELDS.map((field, i) => `$${i + 2}`).join(", ")}) RETURNING *`,
+      [req.params.id, ...TEMPLATE_TASK_FIELDS.map((field) => values[field])]
+    );
+    sendVersioned(res, result.rows[0], 201);
+  });
+
+  const updateTemplateTask = versionedUpdate(withTransaction, {
+    notFound: "Template task not found",
+    load: (client, req) =>
+      client.query("SELECT * FROM onboarding_template_tasks WHERE id = $1 AND template_id = $2 FOR UPDATE", [req.params.taskId, req.params.id]),
+    fields: TEMPLATE_TASK_FIELDS,
+    save: async (client, fields, current) => {
+      const values = { ...fields, due_offset_days: fields.due_offset_days ?? 0 };
+      const error = validateTemplateTask(values);
+      if (error) return { status: 400, error };
+      const result = await client.query(
+        `UPDATE onboarding_template_tasks SET ${TEMPLATE_TASK_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(", ")}
+         WHERE id = $${TEMPLATE_TASK_FIELDS.length + 1} RETURNING *`,
+        [...TEMPLATE_TASK_FIELDS.map((field) => values[field]), current.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}/tasks/{taskId}:
+   *   put:
+   *     summary: Replace a template task
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: taskId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/OnboardingTemplateTask'
+   *               - required: [title, assignee_role]
+   *     responses:
+   *       200:
+   *         description: Task updated
+   *       400:
+   *         description: assignee_id on a Manager or Employee task
+   *       404:
+   *         description: Template task not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/onboarding/templates/:id/tasks/:taskId", authorize(ROLES.HR_ADMIN), updateTemplateTask.replace);
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}/tasks/{taskId}:
+   *   patch:
+   *     summary: Update only the given fields of a template task
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: taskId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/OnboardingTemplateTask'
+   *     responses:
+   *       200:
+   *         description: Task updated
+   *       400:
+   *         description: assignee_id on a Manager or Employee task
+   *       404:
+   *         description: Template task not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/onboarding/templates/:id/tasks/:taskId", authorize(ROLES.HR_ADMIN), updateTemplateTask.patch);
+
+  /**
+   * @swagger
+   * /onboarding/templates/{id}/tasks/{taskId}:
+   *   delete:
+   *     summary: Remove a task from a template
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: taskId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Task removed
+   *       404:
+   *         description: Template task not found
+   */
+  router.delete("/onboarding/templates/:id/tasks/:taskId", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query(
+      "DELETE FROM onboarding_template_tasks WHERE id = $1 AND template_id = $2 RETURNING id",
+      [req.params.taskId, req.params.id]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: "Template task not found" });
+    res.json({ message: "Template task removed successfully" });
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/onboarding:
+   *   post:
+   *     summary: Generate an employee's onboarding checklist
+   *     description: >
+   *       Uses template_id when given, otherwise the most specific active template for the employee's department
+   *       and designation. New employees with a doj get theirs automatically; this covers templates added later.
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               template_id:
+   *                 type: integer
+   *     responses:
+   *       201:
+   *         description: Checklist generated
+   *       400:
+   *         description: Employee has no doj
+   *       404:
+   *         description: Employee or template not found, or no template matches
+   *       409:
+   *         description: Employee already has an onboarding checklist
+   */
+  router.post("/employees/:id/onboarding", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const templateId = (req.body && req.body.template_id) || null;
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM employees WHERE id = $1 FOR UPDATE", [req.params.id]);
+      if (found.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const employee = found.rows[0];
+      if (!employee.doj) return { status: 400, error: "Set the employee's doj before generating onboarding" };
+      const existing = await client.query("SELECT 1 FROM onboarding_tasks WHERE employee_id = $1 LIMIT 1", [employee.id]);
+      if (existing.rows.length > 0) return { status: 409, error: "Employee already has an onboarding checklist" };
+      const generated = await generateOnboarding(client, employee, templateId);
+      if (!generated) {
+        return { status: 404, error: templateId ? "Template not found" : "No active onboarding template matches this employee's department or designation" };
+      }
+      const tasks = await client.query(`${TASK_SELECT} WHERE t.employee_id = $1 ORDER BY t.due_date, t.id`, [employee.id]);
+      return { template: generated.template, tasks: tasks.rows };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(201).json({ employee_id: Number(req.params.id), template_id: outcome.template.id, tasks: outcome.tasks });
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/onboarding:
+   *   get:
+   *     summary: An employee's onboarding checklist
+   *     tags: [Onboarding]
+   *     description: Filter and sort by id, assignee_role, assignee_id, status, due_date, overdue. Ranges via _from/_to on due_date.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: assignee_role, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: assignee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: due_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: overdue, schema: { type: boolean } }
+   *       - { in: query, name: due_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: due_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Checklist tasks, soonest due first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees/:id/onboarding", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `${TASK_SELECT} WHERE t.employee_id = $1`,
+      params: [req.params.id],
+      fields: { id: "integer", assignee_role: "text", assignee_id: "integer", status: "text", due_date: "date", overdue: "boolean" },
+      defaultSort: "due_date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /onboarding:
+   *   get:
+   *     summary: Joiners whose onboarding is incomplete
+   *     description: >
+   *       One row per current employee with pending checklist tasks: task totals, overdue count, the next due date and
+   *       what is still pending from HR, IT, the manager and the new hire. HR admins see everyone, managers their
+   *       direct reports. Filter and sort by employee_id, department_id, manager_id, designation, doj, pending_tasks,
+   *       overdue_tasks, next_due_date. Ranges via _from/_to on doj, pending_tasks, overdue_tasks, next_due_date.
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: department_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: manager_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: designation, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: doj, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: pending_tasks, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: overdue_tasks, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: next_due_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: doj_from, schema: { type: string, format: date } }
+   *       - { in: query, name: doj_to, schema: { type: string, format: date } }
+   *       - { in: query, name: pending_tasks_from, schema: { type: integer } }
+   *       - { in: query, name: pending_tasks_to, schema: { type: integer } }
+   *       - { in: query, name: overdue_tasks_from, schema: { type: integer } }
+   *       - { in: query, name: overdue_tasks_to, schema: { type: integer } }
+   *       - { in: query, name: next_due_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: next_due_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Incomplete onboardings, most overdue first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/onboarding", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `SELECT e.id AS employee_id, e.name, e.doj, e.department_id, e.designation, e.manager_id,
+                      COUNT(*)::int AS total_tasks,
+                      COUNT(*) FILTER (WHERE t.status = 'Completed')::int AS completed_tasks,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending')::int AS pending_tasks,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending' AND t.due_date < CURRENT_DATE)::int AS overdue_tasks,
+                      MIN(t.due_date) FILTER (WHERE t.status = 'Pending') AS next_due_date,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending' AND t.assignee_role = 'HR')::int AS pending_hr,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending' AND t.assignee_role = 'IT')::int AS pending_it,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending' AND t.assignee_role = 'Manager')::int AS pending_manager,
+                      COUNT(*) FILTER (WHERE t.status = 'Pending' AND t.assignee_role = 'Employee')::int AS pending_employee
+               FROM onboarding_tasks t
+               JOIN employees e ON e.id = t.employee_id
+               WHERE e.status <> 'Exited' AND ($1::int IS NULL OR e.manager_id = $1)
+               GROUP BY e.id
+               HAVING COUNT(*) FILTER (WHERE t.status = 'Pending') > 0`,
+      params: [req.user.role === ROLES.HR_ADMIN ? null : req.user.id],
+      fields: {
+        employee_id: "integer",
+        department_id: "integer",
+        manager_id: "integer",
+        designation: "text",
+        doj: "date",
+        pending_tasks: "integer",
+        overdue_tasks: "integer",
+        next_due_date: "date",
+      },
+      defaultSort: "-overdue_tasks,next_due_date,employee_id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /onboarding/tasks:
+   *   get:
+   *     summary: Onboarding tasks the caller is responsible for
+   *     description: >
+   *       Tasks assigned to the caller, Manager tasks of their direct reports and their own new-hire tasks; HR admins
+   *       see every task. Filter and sort by id, employee_id, assignee_role, assignee_id, status, due_date, overdue.
+   *       Ranges via _from/_to on due_date.
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: assignee_role, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: assignee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: due_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: overdue, schema: { type: boolean } }
+   *       - { in: query, name: due_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: due_date_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Onboarding tasks, soonest due first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/onboarding/tasks", authorize(...ALL_ROLES), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `${TASK_SELECT}
+               WHERE e.status <> 'Exited'
+                 AND ($1::int IS NULL OR t.assignee_id = $1
+                      OR (t.assignee_role = 'Manager' AND e.manager_id = $1)
+                      OR (t.assignee_role = 'Employee' AND t.employee_id = $1))`,
+      params: [req.user.role === ROLES.HR_ADMIN ? null : req.user.id],
+      fields: {
+        id: "integer",
+        employee_id: "integer",
+        assignee_role: "text",
+        assignee_id: "integer",
+        status: "text",
+        due_date: "date",
+        overdue: "boolean",
+      },
+      defaultSort: "due_date",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  const updateTask = versionedUpdate(withTransaction, {
+    notFound: "Onboarding task not found",
+    load: (client, req) => client.query(`${TASK_SELECT} WHERE t.id = $1 FOR UPDATE OF t`, [req.params.id]),
+    fields: TASK_FIELDS,
+    save: async (client, values, current) => {
+      await client.query(
+        `UPDATE onboarding_tasks SET ${TASK_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(", ")}
+         WHERE id = $${TASK_FIELDS.length + 1}`,
+        [...TASK_FIELDS.map((field) => values[field]), current.id]
+      );
+      return { row: (await client.query(`${TASK_SELECT} WHERE t.id = $1`, [current.id])).rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /onboarding/tasks/{id}:
+   *   put:
+   *     summary: Replace an onboarding task's details
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/OnboardingTask'
+   *               - required: [title]
+   *     responses:
+   *       200:
+   *         description: Task updated
+   *       404:
+   *         description: Onboarding task not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/onboarding/tasks/:id", authorize(ROLES.HR_ADMIN), updateTask.replace);
+
+  /**
+   * @swagger
+   * /onboarding/tasks/{id}:
+   *   patch:
+   *     summary: Update only the given fields of an onboarding task, e.g. reassign it or move its due date
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/OnboardingTask'
+   *     responses:
+   *       200:
+   *         description: Task updated
+   *       404:
+   *         description: Onboarding task not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/onboarding/tasks/:id", authorize(ROLES.HR_ADMIN), updateTask.patch);
+
+  // Marks a task Completed or back to Pending; only whoever may complete it can change it
+  async function setTaskStatus(req, res, status) {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query(`${TASK_SELECT} WHERE t.id = $1 FOR UPDATE OF t`, [req.params.id]);
+      if (found.rows.length === 0) return { status: 404, error: "Onboarding task not found" };
+      const task = found.rows[0];
+      if (!canComplete(req, task)) return { status: 403, error: "This onboarding task is assigned to someone else" };
+      if (task.status === status) return { status: 409, error: `Task is already ${status}` };
+      const notes = req.body && req.body.notes !== undefined ? req.body.notes : task.notes;
+      await client.query(
+        status === "Completed"
+          ? "UPDATE onboarding_tasks SET status = 'Completed', notes = $2, completed_by = $3, completed_at = CURRENT_TIMESTAMP WHERE id = $1"
+          : "UPDATE onboarding_tasks SET status = 'Pending', notes = $2, completed_by = NULL, completed_at = NULL WHERE id = $1",
+        status === "Completed" ? [task.id, notes, req.user.id] : [task.id, notes]
+      );
+      return { row: (await client.query(`${TASK_SELECT} WHERE t.id = $1`, [task.id])).rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  }
+
+  /**
+   * @swagger
+   * /onboarding/tasks/{id}/complete:
+   *   put:
+   *     summary: Mark an onboarding task done
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Task completed
+   *       403:
+   *         description: Task is assigned to someone else
+   *       409:
+   *         description: Task is already completed
+   */
+  router.put("/onboarding/tasks/:id/complete", authorize(...ALL_ROLES), (req, res) => setTaskStatus(req, res, "Completed"));
+
+  /**
+   * @swagger
+   * /onboarding/tasks/{id}/reopen:
+   *   put:
+   *     summary: Reopen a completed onboarding task
+   *     tags: [Onboarding]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Task reopened
+   *       403:
+   *         description: Task is assigned to someone else
+   *       409:
+   *         description: Task is already pending
+   */
+  router.put("/onboarding/tasks/:id/reopen", authorize(...ALL_ROLES), (req, res) => setTaskStatus(req, res, "Pending"));
+
+  return router;
+};
+
+module.exports.generateOnboarding = generateOnboarding;
+module.exports.rescheduleOnboarding = rescheduleOnboarding;
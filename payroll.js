@@ -0,0 +1,72 @@
+/**
+ * 💰 Payroll calculations
+ *
+ * Pure functions turning one employee's month inputs (salary, days employed, unpaid leave, bonus)
+ * into a payroll row. server.js gathers the inputs and stores the rows; keeping the arithmetic here
+ * lets it be tested without a database.
+ */
+const PF_RATE = 0.12;
+const PF_WAGE_CEILING = 15000;
+const ESI_RATE = 0.0075;
+const ESI_GROSS_LIMIT = 21000;
+const TDS_STANDARD_DEDUCTION = 75000;
+const TDS_REBATE_LIMIT = 1200000;
+const TDS_CESS = 0.04;
+// Annual new-regime slabs: [upper bound, rate]
+const TDS_SLABS = [
+  [400000, 0],
+  [800000, 0.05],
+  [1200000, 0.1],
+  [1600000, 0.15],
+  [2000000, 0.2],
+  [2400000, 0.25],
+  [Infinity, 0.3],
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Tax including cess on a year's income under the new regime
+function annualTax(annualIncome) {
+  const taxable = Math.max(0, annualIncome - TDS_STANDARD_DEDUCTION);
+  if (taxable <= TDS_REBATE_LIMIT) return 0;
+  let tax = 0;
+  let lower = 0;
+  for (const [upper, rate] of TDS_SLABS) {
+    if (taxable <= lower) break;
+    tax += (Math.min(taxable, upper) - lower) * rate;
+    lower = upper;
+  }
+  return tax * (1 + TDS_CESS);
+}
+
+// TDS for one month: a twelfth of the tax on the regular pay annualized, plus all of the extra tax
+// the month's bonus adds, since a one-off bonus is paid once rather than every month
+function monthlyTds(monthlyRegular, bonus = 0) {
+  const regularTax = annualTax(monthlyRegular * 12);
+  return regularTax / 12 + (annualTax(monthlyRegular * 12 + bonus) - regularTax);
+}
+
+// Pure calculation of one payroll row from an employee's month inputs
+function computePayroll({ basic_salary, pf_applicable, esi_applicable, employed_days, unpaid_days, bonus }, daysInMonth) {
+  const basic = Number(basic_salary) || 0;
+  const basicEarned = (basic * employed_days) / daysInMonth;
+  const lopDeduction = (basic * Math.min(unpaid_days, employed_days)) / daysInMonth;
+  const gross = basicEarned + bonus;
+  const pfWage = Math.min(basicEarned - lopDeduction, PF_WAGE_CEILING);
+  const pf = pf_applicable ? pfWage * PF_RATE : 0;
+  const esi = esi_applicable && gross <= ESI_GROSS_LIMIT ? gross * ESI_RATE : 0;
+  const tds = monthlyTds(basicEarned - lopDeduction, bonus);
+  return {
+    basic_earned: round2(basicEarned),
+    bonus_amount: round2(bonus),
+    unpaid_leave_days: unpaid_days,
+    gross_salary: round2(gross),
+    pf_deduction: round2(pf),
+    esi_deduction: round2(esi),
+    tds_deduction: round2(tds),
+    other_deductions: round2(lopDeduction),
+    net_salary: round2(gross - pf - esi - tds - lopDeduction),
+  };
+}
+
+module.exports = { round2, annualTax, monthlyTds, computePayroll };
@@ -1,139 +1,822 @@
 /**
- * @swagger
- * tags:
- *   name: Projects
- *   description: API for managing company projects
+ * 📁 Projects, members and billing rates
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /projects:
- *   get:
- *     summary: Get all projects
- *     tags: [Projects]
- *     responses:
- *       200:
- *         description: List of projects
- */
-app.get("/projects", async (req, res) => {
-  const result = await pool.query("SELECT * FROM projects");
-  res.status(200).json(result.rows);
-});
+const PROJECT_STATUSES = ["Planned", "Active", "On Hold", "Completed", "Cancelled"];
 
-/**
- * @swagger
- * /projects/{id}:
- *   get:
- *     summary: Get project by ID
- *     tags: [Projects]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Project found
- *       404:
- *         description: Project not found
- */
-app.get("/projects/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Project not found" });
-  res.json(result.rows[0]);
-});
+// Projects keep returning the client's name as `client` alongside client_id
+const PROJECT_SELECT = "SELECT p.*, c.name AS client FROM projects p LEFT JOIN clients c ON c.id = p.client_id";
 
-/**
- * @swagger
- * /projects:
- *   post:
- *     summary: Create a new project
- *     tags: [Projects]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [name, client]
- *             properties:
- *               name:
- *                 type: string
- *               client:
- *                 type: string
- *     responses:
- *       201:
- *         description: Project created
- */
-app.post("/projects", async (req, res) => {
-  const { name, client } = req.body;
-  const result = await pool.query(
-    "INSERT INTO projects (name, client) VALUES ($1, $2) RETURNING *",
-    [name, client]
-  );
-  res.status(201).json(result.rows[0]);
-});
+module.exports = function projectsRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, parseDate }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /projects/{id}:
- *   put:
- *     summary: Update a project
- *     tags: [Projects]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               client:
- *                 type: string
- *     responses:
- *       200:
- *         description: Project updated
- *       404:
- *         description: Project not found
- */
-app.put("/projects/:id", async (req, res) => {
-  const { name, client } = req.body;
-  const result = await pool.query(
-    "UPDATE projects SET name = $1, client = $2 WHERE id = $3 RETURNING *",
-    [name, client, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: Projects
+   *   description: API for managing company projects
+   */
 
-/**
- * @swagger
- * /projects/{id}:
- *   delete:
- *     summary: Delete a project
- *     tags: [Projects]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Project deleted
- *       404:
- *         description: Project not found
- */
-app.delete("/projects/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM projects WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
-  res.json({ message: "Project deleted successfully" });
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Project:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         client_id:
+   *           type: integer
+   *         client:
+   *           type: string
+   *           description: Name of an existing client (any case), used when client_id is omitted
+   *         manager_id:
+   *           type: integer
+   *           description: Project manager, who can approve timesheets logged on the project
+   *         start_date:
+   *           type: string
+   *           format: date
+   *         end_date:
+   *           type: string
+   *           format: date
+   *         status:
+   *           type: string
+   *           enum: [Planned, Active, On Hold, Completed, Cancelled]
+   *           default: Active
+   *           description: Active when created without one; an update without it keeps the current status
+   *         budget_hours:
+   *           type: number
+   *         billable:
+   *           type: boolean
+   *           default: true
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ProjectMember:
+   *       type: object
+   *       properties:
+   *         employee_id:
+   *           type: integer
+   *         role:
+   *           type: string
+   *         allocation_percent:
+   *           type: number
+   *         start_date:
+   *           type: string
+   *           format: date
+   *         end_date:
+   *           type: string
+   *           format: date
+   *           description: Omit for an open-ended assignment
+   *         billable:
+   *           type: boolean
+   *           default: true
+   */
+
+  // client_id wins; a bare client name must match an existing client case-insensitively, so a typo
+  // cannot quietly create a second client (create it through POST /clients first)
+  async function resolveClientId(db, { client_id, client }) {
+    if (client_id != null) {
+      const found = await db.query("SELECT id FROM clients WHERE id = $1", [client_id]);
+      return found.rows.length > 0 ? { id: found.rows[0].id } : { status: 400, error: `Client ${client_id} does not exist` };
+    }
+    const name = typeof client === "string" ? client.trim() : "";
+    if (!name) return { id: null };
+    const found = await db.query("SELECT id FROM clients WHERE lower(name) = lower($1)", [name]);
+    return found.rows.length > 0 ? { id: found.rows[0].id } : { status: 400, error: `Unknown client: ${name}` };
+  }
+
+  function validateProject({ status, start_date, end_date, budget_hours }) {
+    if (status != null && !PROJECT_STATUSES.includes(status)) return `status must be one of ${PROJECT_STATUSES.join(", ")}`;
+    const start = start_date == null ? null : parseDate(start_date);
+    const end = end_date == null ? null : parseDate(end_date);
+    if ((start_date != null && !start) || (end_date != null && !end)) return "start_date and end_date must be YYYY-MM-DD";
+    if (start && end && end < start) return "end_date must not be before start_date";
+    if (budget_hours != null && !(Number(budget_hours) >= 0)) return "budget_hours must be a non-negative number";
+    return null;
+  }
+
+  /**
+   * @swagger
+   * /projects:
+   *   get:
+   *     summary: Get all projects
+   *     tags: [Projects]
+   *     description: Filter and sort by id, name, client, client_id, manager_id, status, start_date, end_date, budget_hours, billable. Ranges via _from/_to on start_date, end_date, budget_hours.
+   *     parameters:
+   *       - in: query
+   *         name: client_id
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: client, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: manager_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: start_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: budget_hours, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: billable, schema: { type: boolean } }
+   *       - { in: query, name: start_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: start_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: end_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: budget_hours_from, schema: { type: number } }
+   *       - { in: query, name: budget_hours_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: List of projects with the client name
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/projects", authorize(...ALL_ROLES), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: PROJECT_SELECT,
+      fields: { id: "integer", name: "text", client: "text", client_id: "integer", manager_id: "integer", status: "text", start_date: "date", end_date: "date", budget_hours: "number", billable: "boolean" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}:
+   *   get:
+   *     summary: Get project by ID
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Project found
+   *       404:
+   *         description: Project not found
+   */
+  router.get("/projects/:id", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await pool.query(`${PROJECT_SELECT} WHERE p.id = $1`, [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Project not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /projects:
+   *   post:
+   *     summary: Create a new project
+   *     tags: [Projects]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Project'
+   *               - required: [name]
+   *     responses:
+   *       201:
+   *         description: Project created
+   *       400:
+   *         description: Invalid status, dates or budget, or unknown client
+   */
+  router.post("/projects", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const error = validateProject(req.body);
+    if (error) return res.status(400).json({ error });
+    const { name, manager_id, start_date, end_date, status, budget_hours, billable } = req.body;
+    const outcome = await withTransaction(async (client) => {
+      const clientRef = await resolveClientId(client, req.body);
+      if (clientRef.error) return clientRef;
+      const inserted = await client.query(
+        `INSERT INTO projects (name, client_id, manager_id, start_date, end_date, status, budget_hours, billable)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'Active'), $7, COALESCE($8, true)) RETURNING id`,
+        [name, clientRef.id, manager_id, start_date, end_date, status, budget_hours, billable]
+      );
+      const result = await client.query(`${PROJECT_SELECT} WHERE p.id = $1`, [inserted.rows[0].id]);
+      return { project: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(201).json(outcome.project);
+  });
+
+  const updateProject = versionedUpdate(withTransaction, {
+    notFound: "Project not found",
+    load: (client, req) => client.query("SELECT * FROM projects WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["name", "client_id", "manager_id", "start_date", "end_date", "status", "budget_hours", "billable"],
+    save: async (client, values, current, req) => {
+      const error = validateProject(values);
+      if (error) return { status: 400, error };
+      const { name, manager_id, start_date, end_date, status, budget_hours, billable } = values;
+      // A client name sent without client_id replaces the current client, as it does on create
+      const body = req.body || {};
+      const clientRef = await resolveClientId(client, "client" in body && !("client_id" in body) ? body : values);
+      if (clientRef.error) return clientRef;
+      await client.query(
+        `UPDATE projects
+         SET name = $1, client_id = $2, manager_id = $3, start_date = $4, end_date = $5,
+             status = COALESCE($6, status), budget_hours = $7, billable = COALESCE($8, true)
+         WHERE id = $9`,
+        [name, clientRef.id, manager_id, start_date, end_date, status, budget_hours, billable, current.id]
+      );
+      const result = await client.query(`${PROJECT_SELECT} WHERE p.id = $1`, [current.id]);
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}:
+   *   put:
+   *     summary: Update a project
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Project'
+   *     responses:
+   *       200:
+   *         description: Project updated
+   *       400:
+   *         description: Invalid status, dates or budget, or unknown client
+   *       404:
+   *         description: Project not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/projects/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateProject.replace);
+
+  /**
+   * @swagger
+   * /projects/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a project
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Project'
+   *     responses:
+   *       200:
+   *         description: Project updated
+   *       400:
+   *         description: Invalid status, dates or budget, or unknown client
+   *       404:
+   *         description: Project not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/projects/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateProject.patch);
+
+  /**
+   * @swagger
+   * /projects/{id}:
+   *   delete:
+   *     summary: Delete a project
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Project deleted
+   *       404:
+   *         description: Project not found
+   */
+  router.delete("/projects/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("DELETE FROM projects WHERE id = $1 RETURNING *", [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
+    res.json({ message: "Project deleted successfully" });
+  });
+
+  // Validates an assignment's fields; dates come back as the parsed Date objects
+  function validateAssignment({ allocation_percent, start_date, end_date }) {
+    const allocation = Number(allocation_percent);
+    if (!(allocation > 0 && allocation <= 100)) return { error: "allocation_percent must be greater than 0 and at most 100" };
+    const start = parseDate(start_date);
+    const end = end_date == null ? null : parseDate(end_date);
+    if (!start || (end_date != null && !end) || (end && end < start)) {
+      return { error: "start_date (and optional end_date) must be valid dates in order" };
+    }
+    return { allocation };
+  }
+
+  // Rejects an assignment that overlaps the same project, or pushes the employee past 100% on any day.
+  // Call inside a transaction holding the employee row lock.
+  async function checkAllocation(client, { id = null, project_id, employee_id, allocation, start_date, end_date }) {
+    const duplicate = await client.query(
+      `SELECT id FROM project_assignments
+       WHERE employee_id = $1 AND project_id = $2 AND ($5::int IS NULL OR id <> $5)
+         AND start_date <= COALESCE($4::date, 'infinity') AND COALESCE(end_date, 'infinity') >= $3::date
+       LIMIT 1`,
+      [employee_id, project_id, start_date, end_date, id]
+    );
+    if (duplicate.rows.length > 0) {
+      return { status: 409, error: `Employee is already assigned to this project for an overlapping period (assignment ${duplicate.rows[0].id})` };
+    }
+    // The total only changes where an assignment starts, so checking those days finds the peak
+    const peak = await client.query(
+      `SELECT to_char(p.day, 'YYYY-MM-DD') AS day, SUM(a.allocation_percent) AS allocated
+       FROM (
+         SELECT $2::date AS day
+         UNION
+         SELECT start_date FROM project_assignments
+         WHERE employee_id = $1 AND start_date BETWEEN $2::date AND COALESCE($3::date, 'infinity')
+       ) p
+       JOIN project_assignments a
+         ON a.employee_id = $1 AND p.day BETWEEN a.start_date AND COALESCE(a.end_date, 'infinity')
+       WHERE ($4::int IS NULL OR a.id <> $4)
+       GROUP BY p.day
+       ORDER BY allocated DESC
+       LIMIT 1`,
+      [employee_id, start_date, end_date, id]
+    );
+    const busiest = peak.rows[0];
+    if (busiest && Number(busiest.allocated) + allocation > 100) {
+      return {
+        status: 409,
+        error: `Employee is already ${Number(busiest.allocated)}% allocated on ${busiest.day}; ${allocation}% more would exceed 100%`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @swagger
+   * /projects/{id}/members:
+   *   get:
+   *     summary: List a project's members
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: active_on
+   *         description: Only assignments covering this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Assignments with employee names
+   */
+  router.get("/projects/:id/members", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await pool.query(
+      `SELECT pa.*, e.name AS employee_name FROM project_assignments pa
+       JOIN employees e ON e.id = pa.employee_id
+       WHERE pa.project_id = $1
+         AND ($2::date IS NULL OR $2::date BETWEEN pa.start_date AND COALESCE(pa.end_date, 'infinity'))
+       ORDER BY pa.start_date, e.name`,
+      [req.params.id, req.query.active_on || null]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}/members:
+   *   post:
+   *     summary: Assign an employee to a project
+   *     description: An employee's allocations across all projects may not exceed 100% on any day.
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/ProjectMember'
+   *               - required: [employee_id, allocation_percent, start_date]
+   *     responses:
+   *       201:
+   *         description: Employee assigned
+   *       400:
+   *         description: Invalid allocation or dates
+   *       404:
+   *         description: Project or employee not found
+   *       409:
+   *         description: Overlapping assignment or allocation above 100%
+   */
+  router.post("/projects/:id/members", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const { employee_id, role, start_date, end_date, billable } = req.body;
+    const { allocation, error } = validateAssignment(req.body);
+    if (error) return res.status(400).json({ error });
+    const outcome = await withTransaction(async (client) => {
+      const project = await client.query("SELECT id FROM projects WHERE id = $1", [req.params.id]);
+      if (project.rows.length === 0) return { status: 404, error: "Project not found" };
+      const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+      if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const conflict = await checkAllocation(client, {
+        project_id: req.params.id,
+        employee_id,
+        allocation,
+        start_date,
+        end_date,
+      });
+      if (conflict) return conflict;
+      const result = await client.query(
+        `INSERT INTO project_assignments (project_id, employee_id, role, allocation_percent, start_date, end_date, billable)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, true)) RETURNING *`,
+        [req.params.id, employee_id, role, allocation, start_date, end_date, billable]
+      );
+      return { assignment: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(201).json(outcome.assignment);
+  });
+
+  const updateAssignment = versionedUpdate(withTransaction, {
+    notFound: "Project assignment not found",
+    load: (client, req) =>
+      client.query("SELECT * FROM project_assignments WHERE id = $1 AND project_id = $2 FOR UPDATE", [req.params.memberId, req.params.id]),
+    fields: ["role", "allocation_percent", "start_date", "end_date", "billable"],
+    save: async (client, values, assignment) => {
+      const { role, start_date, end_date, billable } = values;
+      const { allocation, error } = validateAssignment(values);
+      if (error) return { status: 400, error };
+      await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [assignment.employee_id]);
+      const conflict = await checkAllocation(client, {
+        id: assignment.id,
+        project_id: assignment.project_id,
+        employee_id: assignment.employee_id,
+        allocation,
+        start_date,
+        end_date,
+      });
+      if (conflict) return conflict;
+      const result = await client.query(
+        `UPDATE project_assignments
+         SET role = $1, allocation_percent = $2, start_date = $3, end_date = $4, billable = COALESCE($5, true)
+         WHERE id = $6 RETURNING *`,
+        [role, allocation, start_date, end_date, billable, assignment.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}/members/{memberId}:
+   *   put:
+   *     summary: Update a project assignment
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: memberId
+   *         required: true
+   *         description: Assignment ID
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/ProjectMember'
+   *               - required: [allocation_percent, start_date]
+   *     responses:
+   *       200:
+   *         description: Assignment updated
+   *       400:
+   *         description: Invalid allocation or dates
+   *       404:
+   *         description: Assignment not found
+   *       409:
+   *         description: Overlapping assignment or allocation above 100%
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/projects/:id/members/:memberId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateAssignment.replace);
+
+  /**
+   * @swagger
+   * /projects/{id}/members/{memberId}:
+   *   patch:
+   *     summary: Update only the given fields of a project assignment
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: memberId
+   *         required: true
+   *         description: Assignment ID
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ProjectMember'
+   *     responses:
+   *       200:
+   *         description: Assignment updated
+   *       400:
+   *         description: Invalid allocation or dates
+   *       404:
+   *         description: Assignment not found
+   *       409:
+   *         description: Overlapping assignment or allocation above 100%
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/projects/:id/members/:memberId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateAssignment.patch);
+
+  /**
+   * @swagger
+   * /projects/{id}/members/{memberId}:
+   *   delete:
+   *     summary: Remove a project assignment
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: memberId
+   *         required: true
+   *         description: Assignment ID
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Assignment removed
+   *       404:
+   *         description: Assignment not found
+   */
+  router.delete("/projects/:id/members/:memberId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query(
+      "DELETE FROM project_assignments WHERE id = $1 AND project_id = $2 RETURNING *",
+      [req.params.memberId, req.params.id]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: "Project assignment not found" });
+    res.json({ message: "Project assignment removed successfully" });
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}/rates:
+   *   get:
+   *     summary: List a project's billing rates
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Billing rates
+   */
+  router.get("/projects/:id/rates", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query(
+      `SELECT r.*, e.name AS employee_name FROM project_billing_rates r
+       LEFT JOIN employees e ON e.id = r.employee_id
+       WHERE r.project_id = $1
+       ORDER BY r.employee_id NULLS LAST, r.role NULLS LAST`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}/rates:
+   *   post:
+   *     summary: Add a billing rate
+   *     description: >
+   *       Set employee_id for a per-employee rate, role for a per-role rate (matched against the assignment's role),
+   *       or neither for the project default. Billed hours use the most specific rate.
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [hourly_rate]
+   *             properties:
+   *               employee_id:
+   *                 type: integer
+   *               role:
+   *                 type: string
+   *               hourly_rate:
+   *                 type: number
+   *     responses:
+   *       201:
+   *         description: Rate added
+   *       400:
+   *         description: Invalid rate, or both employee_id and role given
+   *       404:
+   *         description: Project not found
+   *       409:
+   *         description: A rate already exists for that employee, role or default
+   */
+  router.post("/projects/:id/rates", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const { employee_id, role, hourly_rate } = req.body;
+    if (employee_id != null && role != null) return res.status(400).json({ error: "Give employee_id or role, not both" });
+    if (!(Number(hourly_rate) >= 0)) return res.status(400).json({ error: "hourly_rate must be a non-negative number" });
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [req.params.id]);
+    if (project.rows.length === 0) return res.status(404).json({ error: "Project not found" });
+    const existing = await pool.query(
+      `SELECT id FROM project_billing_rates
+       WHERE project_id = $1 AND employee_id IS NOT DISTINCT FROM $2 AND role IS NOT DISTINCT FROM $3`,
+      [req.params.id, employee_id, role]
+    );
+    if (existing.rows.length > 0) return res.status(409).json({ error: `Rate ${existing.rows[0].id} already covers this` });
+    const result = await pool.query(
+      "INSERT INTO project_billing_rates (project_id, employee_id, role, hourly_rate) VALUES ($1, $2, $3, $4) RETURNING *",
+      [req.params.id, employee_id, role, hourly_rate]
+    );
+    res.status(201).json(result.rows[0]);
+  });
+
+  const updateRate = versionedUpdate(withTransaction, {
+    notFound: "Billing rate not found",
+    load: (client, req) =>
+      client.query("SELECT * FROM project_billing_rates WHERE id = $1 AND project_id = $2 FOR UPDATE", [req.params.rateId, req.params.id]),
+    fields: ["hourly_rate"],
+    save: async (client, { hourly_rate }, current) => {
+      if (!(Number(hourly_rate) >= 0)) return { status: 400, error: "hourly_rate must be a non-negative number" };
+      const result = await client.query(
+        "UPDATE project_billing_rates SET hourly_rate = $1 WHERE id = $2 RETURNING *",
+        [hourly_rate, current.id]
+      );
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /projects/{id}/rates/{rateId}:
+   *   put:
+   *     summary: Change a billing rate
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: rateId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [hourly_rate]
+   *             properties:
+   *               hourly_rate:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Rate updated
+   *       404:
+   *         description: Rate not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/projects/:id/rates/:rateId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateRate.replace);
+
+  /**
+   * @swagger
+   * /projects/{id}/rates/{rateId}:
+   *   patch:
+   *     summary: Update only the given fields of a billing rate
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: rateId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               hourly_rate:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Rate updated
+   *       404:
+   *         description: Rate not found
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/projects/:id/rates/:rateId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateRate.patch);
+
+  /**
+   * @swagger
+   * /projects/{id}/rates/{rateId}:
+   *   delete:
+   *     summary: Remove a billing rate
+   *     tags: [Projects]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: rateId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Rate removed
+   *       404:
+   *         description: Rate not found
+   */
+  router.delete("/projects/:id/rates/:rateId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query(
+      "DELETE FROM project_billing_rates WHERE id = $1 AND project_id = $2 RETURNING *",
+      [req.params.rateId, req.params.id]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: "Billing rate not found" });
+    res.json({ message: "Billing rate removed successfully" });
+  });
+
+  return router;
+};
+
+// Shared with the clients routes in server.js
+module.exports.PROJECT_SELECT = PROJECT_SELECT;
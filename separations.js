@@ -0,0 +1,702 @@
+/**
+ * 🚪 Resignations, exits and rehires
+ *
+ * Employees are never deleted. A resignation opens a separation whose notice runs from submitted_on
+ * for the employee's notice_period_days (NOTICE_PERIOD_DAYS when unset). The manager or an HR admin
+ * accepts it, optionally agreeing a different last working day, and HR completes the exit on or after
+ * that day: the employee becomes Exited with an exit_date, their project and roster assignments end,
+ * and everything they logged stays. DELETE /employees/:id is an immediate termination through the same
+ * path, and a rehire is a new employee record whose rehired_from points back at the old one.
+ */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
+const { PROFILE_FIELDS, validateProfile } = require("./employees");
+const { generateOnboarding } = require("./onboarding");
+
+const NOTICE_PERIOD_DAYS = Number(process.env.NOTICE_PERIOD_DAYS || 30);
+const OPEN_STATUSES = ["Submitted", "Accepted"];
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Separations with their employee and notice tracking; days_remaining turns negative once the last
+// working day has passed without the exit being completed
+const SEPARATION_SELECT = `
+  SELECT s.*, e.name AS employee_name, e.department_id, e.manager_id,
+         s.last_working_day - CURRENT_DATE AS days_remaining,
+         GREATEST(LEAST(CURRENT_DATE, s.last_working_day) - s.submitted_on, 0) AS days_served,
+         GREATEST(s.notice_end_date - s.last_working_day, 0) AS notice_shortfall_days
+  FROM employee_separations s
+  JOIN employees e ON e.id = s.employee_id`;
+
+module.exports = function separationsRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, authorizeSelfOr, hashPassword, localDate, countWorkingDays, adjustLeaveBalance }) {
+  const router = express.Router();
+
+  const loadSeparation = (db, id, lock = false) =>
+    db.query(`${SEPARATION_SELECT} WHERE s.id = $1${lock ? " FOR UPDATE OF s" : ""}`, [id]);
+
+  // HR admins and the employee's manager review a separation; the employee can also read it
+  const canReview = (req, separation) => req.user.role === ROLES.HR_ADMIN || separation.manager_id === req.user.id;
+  const canView = (req, separation) => canReview(req, separation) || separation.employee_id === req.user.id;
+
+  // Deactivates the employee as of the separation's last working day and marks it Completed. Pending
+  // leave is cancelled; approved leave past the last day is cancelled or cut short there, and the days
+  // no longer taken go back to the balance as a leave cancellation would.
+  async function completeExit(client, separation, createdBy) {
+    const { employee_id: employeeId, last_working_day: lastDay } = separation;
+    const reports = await client.query(
+      "SELECT COUNT(*)::int AS count FROM employees WHERE manager_id = $1 AND status <> 'Exited'",
+      [employeeId]
+    );
+    if (reports.rows[0].count > 0) {
+      return { status: 409, error: `Reassign the employee's ${reports.rows[0].count} direct report(s) before completing the exit` };
+    }
+    await client.query("UPDATE employees SET status = 'Exited', exit_date = $2 WHERE id = $1", [employeeId, lastDay]);
+    for (const table of ["project_assignments", "roster_assignments"]) {
+      await client.query(`DELETE FROM ${table} WHERE employee_id = $1 AND start_date > $2`, [employeeId, lastDay]);
+      await client.query(
+        `UPDATE ${table} SET end_date = $2 WHERE employee_id = $1 AND (end_date IS NULL OR end_date > $2)`,
+        [employeeId, lastDay]
+      );
+    }
+    await client.query("UPDATE leaves SET status = 'Cancelled' WHERE employee_id = $1 AND status = 'Pending'", [employeeId]);
+    const approved = await client.query(
+      "SELECT * FROM leaves WHERE employee_id = $1 AND status = 'Approved' AND end_date > $2 FOR UPDATE",
+      [employeeId, lastDay]
+    );
+    for (const leave of approved.rows) {
+      const taken = leave.days != null
+        ? Number(leave.days)
+        : await countWorkingDays(client, employeeId, localDate(leave.start_date), localDate(leave.end_date));
+      const cancelled = leave.start_date > lastDay;
+      let kept = 0;
+      if (cancelled) {
+        await client.query("UPDATE leaves SET status = 'Cancelled' WHERE id = $1", [leave.id]);
+      } else {
+        kept = await countWorkingDays(client, employeeId, localDate(leave.start_date), localDate(lastDay));
+        await client.query("UPDATE leaves SET end_date = $2, days = $3 WHERE id = $1", [leave.id, lastDay, kept]);
+      }
+      if (taken > kept) {
+        await adjustLeaveBalance(client, {
+          employee_id: employeeId,
+          leave_type: leave.type,
+          change: taken - kept,
+          reason: cancelled ? "Leave cancelled on exit" : "Leave shortened on exit",
+          leave_id: leave.id,
+          created_by: createdBy,
+        });
+      }
+    }
+    await client.query(
+      "UPDATE employee_separations SET status = 'Completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [separation.id]
+    );
+    return { row: (await loadSeparation(client, separation.id)).rows[0] };
+  }
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Separations
+   *   description: Resignations, notice periods, exits and rehires
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Resignation:
+   *       type: object
+   *       properties:
+   *         reason:
+   *           type: string
+   *         last_working_day:
+   *           type: string
+   *           format: date
+   *           description: Requested last day; defaults to the end of the notice period
+   *         submitted_on:
+   *           type: string
+   *           format: date
+   *           description: HR admins only, for resignations handed in earlier; defaults to today
+   *     SeparationUpdate:
+   *       type: object
+   *       properties:
+   *         reason:
+   *           type: string
+   *         last_working_day:
+   *           type: string
+   *           format: date
+   */
+
+  /**
+   * @swagger
+   * /employees/{id}/resignation:
+   *   post:
+   *     summary: Submit a resignation
+   *     description: >
+   *       Opens a Submitted separation. The notice period is the employee's notice_period_days (NOTICE_PERIOD_DAYS
+   *       when unset) from submitted_on; a last_working_day before its end is tracked as notice shortfall.
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Resignation'
+   *     responses:
+   *       201:
+   *         description: Resignation submitted
+   *       400:
+   *         description: last_working_day before the resignation date, or submitted_on in the future
+   *       404:
+   *         description: Employee not found
+   *       409:
+   *         description: Employee has exited or already has a separation in progress
+   */
+  router.post("/employees/:id/resignation", authorizeSelfOr("id", ROLES.HR_ADMIN), async (req, res) => {
+    const { reason, last_working_day } = req.body || {};
+    const today = localDate(new Date());
+    const submittedOn = (req.user.role === ROLES.HR_ADMIN && req.body && req.body.submitted_on) || today;
+    if (submittedOn > today) return res.status(400).json({ error: "submitted_on must not be in the future" });
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM employees WHERE id = $1 FOR UPDATE", [req.params.id]);
+      if (found.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const employee = found.rows[0];
+      if (employee.status === "Exited") return { status: 409, error: "Employee has already exited" };
+      const open = await client.query(
+        "SELECT status FROM employee_separations WHERE employee_id = $1 AND status = ANY($2)",
+        [employee.id, OPEN_STATUSES]
+      );
+      if (open.rows.length > 0) return { status: 409, error: `A separation is already ${open.rows[0].status}` };
+
+      const noticeDays = employee.notice_period_days ?? NOTICE_PERIOD_DAYS;
+      const noticeEnd = addDays(submittedOn, noticeDays);
+      const lastDay = last_working_day || noticeEnd;
+      if (lastDay < submittedOn) return { status: 400, error: "last_working_day must not be before the resignation date" };
+      const result = await client.query(
+        `INSERT INTO employee_separations
+           (employee_id, type, reason, submitted_on, notice_period_days, notice_end_date, last_working_day)
+         VALUES ($1, 'Resignation', $2, $3, $4, $5, $6) RETURNING id`,
+        [employee.id, reason, submittedOn, noticeDays, noticeEnd, lastDay]
+      );
+      return { row: (await loadSeparation(client, result.rows[0].id)).rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row, 201);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/separations:
+   *   get:
+   *     summary: An employee's resignations and exits, including withdrawn ones
+   *     tags: [Separations]
+   *     description: Filter and sort by id, type, status, submitted_on, last_working_day. Ranges via _from/_to on submitted_on, last_working_day.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: submitted_on, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: last_working_day, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: submitted_on_from, schema: { type: string, format: date } }
+   *       - { in: query, name: submitted_on_to, schema: { type: string, format: date } }
+   *       - { in: query, name: last_working_day_from, schema: { type: string, format: date } }
+   *       - { in: query, name: last_working_day_to, schema: { type: string, format: date } }
+   *     responses:
+   *       200:
+   *         description: Separations of the employee
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/employees/:id/separations", authorizeSelfOr("id", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `${SEPARATION_SELECT} WHERE s.employee_id = $1`,
+      params: [req.params.id],
+      fields: { id: "integer", type: "text", status: "text", submitted_on: "date", last_working_day: "date" },
+      defaultSort: "-submitted_on",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /separations:
+   *   get:
+   *     summary: Track notice periods and exits
+   *     description: >
+   *       HR admins see every separation, managers those of their direct reports. Each row carries days_remaining
+   *       until the last working day, days_served of the notice and notice_shortfall_days when the last working day
+   *       falls before the notice ends. Filter and sort by id, employee_id, department_id, manager_id, type, status,
+   *       submitted_on, notice_end_date, last_working_day, days_remaining. Ranges via _from/_to on submitted_on,
+   *       notice_end_date, last_working_day, days_remaining.
+   *     tags: [Separations]
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: department_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: manager_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: type, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+   *       - { in: query, name: submitted_on, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: notice_end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: last_working_day, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: days_remaining, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: submitted_on_from, schema: { type: string, format: date } }
+   *       - { in: query, name: submitted_on_to, schema: { type: string, format: date } }
+   *       - { in: query, name: notice_end_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: notice_end_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: last_working_day_from, schema: { type: string, format: date } }
+   *       - { in: query, name: last_working_day_to, schema: { type: string, format: date } }
+   *       - { in: query, name: days_remaining_from, schema: { type: integer } }
+   *       - { in: query, name: days_remaining_to, schema: { type: integer } }
+   *     responses:
+   *       200:
+   *         description: Separations, soonest last working day first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/separations", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: `${SEPARATION_SELECT} WHERE $1::int IS NULL OR e.manager_id = $1`,
+      params: [req.user.role === ROLES.HR_ADMIN ? null : req.user.id],
+      fields: {
+        id: "integer",
+        employee_id: "integer",
+        department_id: "integer",
+        manager_id: "integer",
+        type: "text",
+        status: "text",
+        submitted_on: "date",
+        notice_end_date: "date",
+        last_working_day: "date",
+        days_remaining: "integer",
+      },
+      defaultSort: "last_working_day",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
+
+  /**
+   * @swagger
+   * /separations/{id}:
+   *   get:
+   *     summary: Get a separation with its notice tracking
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Separation found
+   *       403:
+   *         description: Caller is not the employee, their manager or an HR admin
+   *       404:
+   *         description: Separation not found
+   */
+  router.get("/separations/:id", authorize(...ALL_ROLES), async (req, res) => {
+    const result = await loadSeparation(pool, req.params.id);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Separation not found" });
+    if (!canView(req, result.rows[0])) return res.status(403).json({ error: "Forbidden" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  const updateSeparation = versionedUpdate(withTransaction, {
+    notFound: "Separation not found",
+    load: (client, req) => loadSeparation(client, req.params.id, true),
+    fields: ["reason", "last_working_day"],
+    save: async (client, { reason, last_working_day }, current) => {
+      if (!OPEN_STATUSES.includes(current.status)) return { status: 409, error: `Separation is already ${current.status}` };
+      if (!last_working_day) return { status: 400, error: "last_working_day is required" };
+      const result = await client.query(
+        `UPDATE employee_separations SET reason = $1, last_working_day = $2
+         WHERE id = $3 AND $2::date >= submitted_on RETURNING id`,
+        [reason, last_working_day, current.id]
+      );
+      if (result.rowCount === 0) return { status: 400, error: "last_working_day must not be before the resignation date" };
+      return { row: (await loadSeparation(client, current.id)).rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /separations/{id}:
+   *   put:
+   *     summary: Replace the reason and last working day of a separation in progress
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/SeparationUpdate'
+   *               - required: [last_working_day]
+   *     responses:
+   *       200:
+   *         description: Separation updated
+   *       400:
+   *         description: last_working_day before the resignation date
+   *       404:
+   *         description: Separation not found
+   *       409:
+   *         description: Separation is already completed or withdrawn
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/separations/:id", authorize(ROLES.HR_ADMIN), updateSeparation.replace);
+
+  /**
+   * @swagger
+   * /separations/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a separation in progress
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/SeparationUpdate'
+   *     responses:
+   *       200:
+   *         description: Separation updated
+   *       400:
+   *         description: last_working_day before the resignation date
+   *       404:
+   *         description: Separation not found
+   *       409:
+   *         description: Separation is already completed or withdrawn
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/separations/:id", authorize(ROLES.HR_ADMIN), updateSeparation.patch);
+
+  /**
+   * @swagger
+   * /separations/{id}/accept:
+   *   put:
+   *     summary: Accept a resignation, optionally agreeing a different last working day
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               last_working_day:
+   *                 type: string
+   *                 format: date
+   *     responses:
+   *       200:
+   *         description: Resignation accepted
+   *       400:
+   *         description: last_working_day before the resignation date
+   *       403:
+   *         description: Caller is not the employee's manager or an HR admin
+   *       409:
+   *         description: Separation is no longer awaiting acceptance
+   */
+  router.put("/separations/:id/accept", authorize(...ALL_ROLES), async (req, res) => {
+    const lastDay = (req.body && req.body.last_working_day) || null;
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadSeparation(client, req.params.id, true);
+      if (found.rows.length === 0) return { status: 404, error: "Separation not found" };
+      const separation = found.rows[0];
+      if (separation.employee_id === req.user.id) return { status: 403, error: "You cannot accept your own resignation" };
+      if (!canReview(req, separation)) return { status: 403, error: "Only the employee's manager or an HR admin can accept this resignation" };
+      if (separation.status !== "Submitted") return { status: 409, error: `Separation is already ${separation.status}` };
+      const result = await client.query(
+        `UPDATE employee_separations
+         SET status = 'Accepted', last_working_day = COALESCE($2::date, last_working_day),
+             reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND COALESCE($2::date, last_working_day) >= submitted_on RETURNING id`,
+        [separation.id, lastDay, req.user.id]
+      );
+      if (result.rowCount === 0) return { status: 400, error: "last_working_day must not be before the resignation date" };
+      return { row: (await loadSeparation(client, separation.id)).rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  });
+
+  /**
+   * @swagger
+   * /separations/{id}/withdraw:
+   *   put:
+   *     summary: Withdraw a resignation
+   *     description: The employee can withdraw until it is accepted; HR admins until the exit is completed.
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Resignation withdrawn
+   *       403:
+   *         description: Caller may not withdraw this separation
+   *       409:
+   *         description: Separation is already completed or withdrawn
+   */
+  router.put("/separations/:id/withdraw", authorize(...ALL_ROLES), async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadSeparation(client, req.params.id, true);
+      if (found.rows.length === 0) return { status: 404, error: "Separation not found" };
+      const separation = found.rows[0];
+      const isHr = req.user.role === ROLES.HR_ADMIN;
+      if (!isHr && separation.employee_id !== req.user.id) return { status: 403, error: "Forbidden" };
+      if (!OPEN_STATUSES.includes(separation.status)) return { status: 409, error: `Separation is already ${separation.status}` };
+      if (!isHr && separation.status === "Accepted") {
+        return { status: 403, error: "An accepted resignation can only be withdrawn by an HR admin" };
+      }
+      await client.query("UPDATE employee_separations SET status = 'Withdrawn' WHERE id = $1", [separation.id]);
+      return { row: (await loadSeparation(client, separation.id)).rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  });
+
+  /**
+   * @swagger
+   * /separations/{id}/complete:
+   *   put:
+   *     summary: Complete an accepted separation and deactivate the employee
+   *     description: >
+   *       On or after the last working day. The employee becomes Exited with exit_date set to the last working
+   *       day, project and roster assignments end on it, pending leave requests are cancelled and their history
+   *       is kept. Direct reports must be moved to another manager first.
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Exit completed
+   *       404:
+   *         description: Separation not found
+   *       409:
+   *         description: Not accepted yet, last working day still ahead, or the employee still has direct reports
+   */
+  router.put("/separations/:id/complete", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadSeparation(client, req.params.id, true);
+      if (found.rows.length === 0) return { status: 404, error: "Separation not found" };
+      const separation = found.rows[0];
+      if (separation.status === "Submitted") return { status: 409, error: "Accept the separation before completing the exit" };
+      if (separation.status !== "Accepted") return { status: 409, error: `Separation is already ${separation.status}` };
+      if (separation.days_remaining > 0) {
+        return { status: 409, error: `The last working day is ${separation.days_remaining} day(s) away; complete the exit on or after it` };
+      }
+      return completeExit(client, separation, req.user.id);
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}:
+   *   delete:
+   *     summary: Terminate an employee immediately
+   *     description: >
+   *       Records a Termination separation and completes it at once, exactly like completing an exit: the employee is
+   *       deactivated as of last_working_day (today by default) and their history is kept. Use a resignation for
+   *       exits with a notice period.
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *               last_working_day:
+   *                 type: string
+   *                 format: date
+   *     responses:
+   *       200:
+   *         description: Employee terminated; returns the completed separation
+   *       400:
+   *         description: last_working_day in the future, or terminating yourself
+   *       404:
+   *         description: Employee not found
+   *       409:
+   *         description: Already exited, a separation is in progress, or the employee still has direct reports
+   */
+  router.delete("/employees/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const { reason } = req.body || {};
+    const today = localDate(new Date());
+    const lastDay = (req.body && req.body.last_working_day) || today;
+    if (lastDay > today) return res.status(400).json({ error: "last_working_day must not be in the future" });
+    if (Number(req.params.id) === req.user.id) return res.status(400).json({ error: "You cannot terminate yourself" });
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM employees WHERE id = $1 FOR UPDATE", [req.params.id]);
+      if (found.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const employee = found.rows[0];
+      if (employee.status === "Exited") return { status: 409, error: "Employee has already exited" };
+      const open = await client.query(
+        "SELECT status FROM employee_separations WHERE employee_id = $1 AND status = ANY($2)",
+        [employee.id, OPEN_STATUSES]
+      );
+      if (open.rows.length > 0) {
+        return { status: 409, error: `A separation is already ${open.rows[0].status}; complete or withdraw it instead` };
+      }
+      const result = await client.query(
+        `INSERT INTO employee_separations
+           (employee_id, type, reason, submitted_on, notice_period_days, notice_end_date, last_working_day,
+            status, reviewed_by, reviewed_at)
+         VALUES ($1, 'Termination', $2, $3, 0, $3, $3, 'Accepted', $4, CURRENT_TIMESTAMP) RETURNING *`,
+        [employee.id, reason, lastDay, req.user.id]
+      );
+      return completeExit(client, result.rows[0], req.user.id);
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  });
+
+  /**
+   * @swagger
+   * /employees/{id}/rehire:
+   *   post:
+   *     summary: Rehire an employee who has exited
+   *     description: >
+   *       Creates a new employee record with rehired_from set to the old one, copying the old profile and
+   *       overriding it with the fields sent. Leave balances, assignments and logins start fresh, onboarding is
+   *       generated from the matching template, and the old record and its history stay as they were.
+   *     tags: [Separations]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Employee'
+   *               - required: [doj]
+   *     responses:
+   *       201:
+   *         description: New employee record created
+   *       400:
+   *         description: Invalid role or dates, doj not after the previous exit, or the manager has exited
+   *       404:
+   *         description: Employee or manager not found
+   *       409:
+   *         description: Employee has not exited or was already rehired
+   */
+  router.post("/employees/:id/rehire", authorize(ROLES.HR_ADMIN), async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query(
+        "SELECT *, to_char(exit_date, 'YYYY-MM-DD') AS exit_day FROM employees WHERE id = $1 FOR UPDATE",
+        [req.params.id]
+      );
+      if (found.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const previous = found.rows[0];
+      if (previous.status !== "Exited") return { status: 409, error: "Only an employee who has exited can be rehired" };
+      const rehired = await client.query("SELECT id FROM employees WHERE rehired_from = $1", [previous.id]);
+      if (rehired.rows.length > 0) return { status: 409, error: `Already rehired as employee ${rehired.rows[0].id}` };
+      if (req.body.doj <= previous.exit_day) {
+        return { status: 400, error: `doj must be after the previous exit_date (${previous.exit_day})` };
+      }
+
+      // Carried-over DATE columns go back to YYYY-MM-DD so the profile is checked as POST /employees checks it
+      const values = {};
+      for (const field of PROFILE_FIELDS) {
+        const value = field in req.body ? req.body[field] : previous[field];
+        values[field] = value instanceof Date ? localDate(value) : value;
+      }
+      const invalid = validateProfile(values, ALL_ROLES);
+      if (invalid) return { status: 400, error: invalid };
+      if (values.manager_id != null) {
+        const manager = await client.query("SELECT status FROM employees WHERE id = $1", [values.manager_id]);
+        const usable = manager.rows.length > 0 && manager.rows[0].status !== "Exited";
+        // A manager carried over from the old record who has since left is dropped rather than rejected
+        if (!usable && "manager_id" in req.body) {
+          return manager.rows.length === 0 ? { status: 404, error: "Manager not found" } : { status: 400, error: "Manager has exited" };
+        }
+        if (!usable) values.manager_id = null;
+      }
+      const result = await client.query(
+        `INSERT INTO employees (${PROFILE_FIELDS.join(", ")}, rehired_from)
+         VALUES (${PROFILE_FIELDS.map((field, i) => `$${i + 1}`).join(", ")}, $${PROFILE_FIELDS.length + 1}) RETURNING *`,
+        [...PROFILE_FIELDS.map((field) => values[field]), previous.id]
+      );
+      if (req.body.password) {
+        await client.query(
+          "INSERT INTO employee_credentials (employee_id, password_hash) VALUES ($1, $2)",
+          [result.rows[0].id, hashPassword(req.body.password)]
+        );
+      }
+      await generateOnboarding(client, result.rows[0]);
+      return { row: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row, 201);
+  });
+
+  return router;
+};
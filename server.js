@@ -3,14 +3,152 @@ const express = require("express");
 const { Pool } = require("pg");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const archiver = require("archiver");
+const path = require("path");
+const { assertMigrated } = require("./migrate");
+const { validateRequests } = require("./validation");
+const { listRows, DEFAULT_LIMIT, MAX_LIMIT } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
+const { round2, computePayroll } = require("./payroll");
+const { parseDate, localDate, today } = require("./dates");
+const departmentsRouter = require("./departments");
+const employeesRouter = require("./employees");
+const employeeProfileRouter = require("./employee_profile");
+const separationsRouter = require("./separations");
+const onboardingRouter = require("./onboarding");
+const leavePoliciesRouter = require("./leave_policies");
+const leavesRouter = require("./leaves");
+const leaveBalancesRouter = require("./leave_balances");
+const attendanceLogsRouter = require("./attendance_logs");
+const feedbacksRouter = require("./feedbacks");
+const projectsRouter = require("./projects");
+const timesheetsRouter = require("./timesheets");
+const advancedRouter = require("./advanced");
+const generalRouter = require("./general");
 const app = express();
 
+app.use(errorEnvelope);
 app.use(express.json());
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// Runs fn(client) inside BEGIN/COMMIT, rolling back if it throws
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * 🚨 Error responses
+ *
+ * Every 4xx/5xx body has the shape { error, code, request_id }. Handlers keep answering
+ * { error: "..." } and errorEnvelope fills in the rest; anything thrown lands in errorHandler,
+ * which maps Postgres errors to client statuses and never echoes SQL or driver messages.
+ */
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  412: "PRECONDITION_FAILED",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  500: "INTERNAL_ERROR",
+};
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+
+// Tags the request with an id (reusing a well-formed X-Request-Id) and completes error bodies
+function errorEnvelope(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string") {
+      body = { ...body, code: body.code || ERROR_CODES[res.statusCode] || `HTTP_${res.statusCode}`, request_id: req.id };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Column names from a Postgres "Key (a, lower(b::text))=(...)" detail, without the expressions
+function pgKeyColumns(detail) {
+  const match = /Key \((.+?)\)=\(/.exec(detail || "");
+  return match ? match[1].replace(/\w+\((\w+)(::\w+)?\)/g, "$1") : null;
+}
+
+// Maps a Postgres error to { status, code, error }, or null when it is a server fault
+function pgErrorResponse(err) {
+  switch (err.code) {
+    case "23505": {
+      const columns = pgKeyColumns(err.detail);
+      return { status: 409, code: "DUPLICATE", error: columns ? `A record with this ${columns} already exists` : "Duplicate record" };
+    }
+    // 23001 is an ON DELETE RESTRICT reference, 23503 any other foreign key
+    case "23001":
+    case "23503": {
+      const referencing = /referenced from table "(\w+)"/.exec(err.detail || "");
+      if (referencing) return { status: 409, code: "IN_USE", error: `Record is still referenced by ${referencing[1]}` };
+      const columns = pgKeyColumns(err.detail);
+      return { status: 400, code: "INVALID_REFERENCE", error: columns ? `Referenced ${columns} does not exist` : "Referenced record does not exist" };
+    }
+    case "23502":
+      return { status: 400, code: "MISSING_FIELD", error: err.column ? `${err.column} is required` : "A required field is missing" };
+    case "23514":
+      return { status: 400, code: "CONSTRAINT_VIOLATION", error: err.constraint ? `Value violates ${err.constraint}` : "Value violates a constraint" };
+    case "23P01":
+      return { status: 409, code: "CONFLICT", error: "Record overlaps an existing one" };
+    case "22P02": {
+      const type = /for type (\w+( \w+)?)/.exec(err.message);
+      return { status: 400, code: "INVALID_INPUT", error: type ? `Invalid ${type[1]} value` : "Invalid input value" };
+    }
+    case "22001":
+      return { status: 400, code: "INVALID_INPUT", error: "Value is too long" };
+    case "22003":
+      return { status: 400, code: "INVALID_INPUT", error: "Number is out of range" };
+    case "22007":
+    case "22008":
+      return { status: 400, code: "INVALID_INPUT", error: "Invalid date or time value" };
+    case "40001":
+    case "40P01":
+      return { status: 409, code: "RETRY", error: "Conflicting concurrent update; retry the request" };
+    default:
+      return null;
+  }
+}
+
+// Last middleware: anything thrown or rejected by a route ends up here
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON", code: "INVALID_JSON" });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  const mapped = pgErrorResponse(err);
+  if (mapped) return res.status(mapped.status).json({ error: mapped.error, code: mapped.code });
+  console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl}`, err);
+  res.status(500).json({ error: "Internal server error" });
+}
+
 /**
  * Swagger definition
  */
@@ -22,192 +160,1575 @@ const swaggerSpec = swaggerJsdoc({
       version: "1.0.0",
       description: "API for HRMS system with employees, departments, payroll, etc.",
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      parameters: {
+        Limit: { in: "query", name: "limit", schema: { type: "integer", minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+        Offset: { in: "query", name: "offset", schema: { type: "integer", minimum: 0, default: 0 } },
+        Sort: {
+          in: "query",
+          name: "sort",
+          description: "Comma-separated fields, each optionally prefixed with - for descending",
+          schema: { type: "string", example: "-start_date,id" },
+        },
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          description: "ETag from an earlier read; the update fails with 412 if the record has changed since",
+          schema: { type: "string", example: '"3"' },
+        },
+        IncludeExited: {
+          in: "query",
+          name: "include_exited",
+          description: "Also list employees who have exited (implied when filtering by status)",
+          schema: { type: "boolean", default: false },
+        },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            error: { type: "string", description: "Human-readable message" },
+            code: { type: "string", example: "NOT_FOUND" },
+            request_id: { type: "string", description: "Echoed in the X-Request-Id response header" },
+          },
+        },
+        ValidationError: {
+          allOf: [
+            { $ref: "#/components/schemas/Error" },
+            {
+              type: "object",
+              properties: {
+                code: { type: "string", example: "VALIDATION_FAILED" },
+                fields: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      field: { type: "string", example: "body.start_date" },
+                      message: { type: "string", example: "must be a date (YYYY-MM-DD)" },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        Page: {
+          type: "object",
+          description: "One page of a collection; filter with ?field=value (commas for any of) or ?field_from=/field_to= on dates and numbers",
+          properties: {
+            data: { type: "array", items: { type: "object" } },
+            total: { type: "integer", description: "Rows matching the filters across all pages" },
+            limit: { type: "integer" },
+            offset: { type: "integer" },
+            links: {
+              type: "object",
+              properties: {
+                self: { type: "string" },
+                next: { type: "string", nullable: true },
+                prev: { type: "string", nullable: true },
+              },
+            },
+          },
+        },
+        TimeOfDay: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$", example: "09:00" },
+        Month: { type: "string", pattern: "^\\d{4}-(0[1-9]|1[0-2])$", example: "2025-07" },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
-  apis: ["./server.js"], // Point to this file itself
+  apis: [path.join(__dirname, "*.js")], // server.js plus the router modules it mounts
 });
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.use(validateRequests(swaggerSpec));
 
 /**
- * 🧱 Table Setup
+ * 🔐 Authentication
  */
-async function setupTables() {
-  const client = await pool.connect();
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+
+const ROLES = {
+  EMPLOYEE: "employee",
+  MANAGER: "manager",
+  HR_ADMIN: "hr_admin",
+};
+const ALL_ROLES = Object.values(ROLES);
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+// Verifies the bearer token and attaches { id, email, role } to req.user. Tokens of employees who
+// have since exited stop working straight away rather than when they expire.
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  let payload;
   try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS departments (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL
-      );
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+  const employee = await pool.query("SELECT status FROM employees WHERE id = $1", [payload.sub]);
+  if (employee.rows.length === 0 || employee.rows[0].status === "Exited") {
+    return res.status(401).json({ error: "Account is no longer active" });
+  }
+  req.user = { id: Number(payload.sub), email: payload.email, role: payload.role };
+  next();
+}
 
-      CREATE TABLE IF NOT EXISTS employees (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        phone VARCHAR(20),
-        doj DATE,
-        department_id INTEGER REFERENCES departments(id),
-        designation VARCHAR(100),
-        basic_salary NUMERIC,
-        pf_applicable BOOLEAN DEFAULT true,
-        esi_applicable BOOLEAN DEFAULT true,
-        pan_number VARCHAR(20),
-        aadhaar_number VARCHAR(20),
-        status VARCHAR(20) DEFAULT 'Active',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
+// Route guard: authenticated caller must hold one of the given roles
+function authorize(...roles) {
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      next();
+    },
+  ];
+}
+
+// Route guard: caller must hold one of the given roles or be the employee named by req.params[param]
+function authorizeSelfOr(param, ...roles) {
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (roles.includes(req.user.role) || req.user.id === Number(req.params[param])) {
+        return next();
+      }
+      res.status(403).json({ error: "Forbidden" });
+    },
+  ];
+}
+
+// Everyone may act on their own records, managers on those of anyone below them in the reporting
+// chain, HR admins on everyone's
+async function canActFor(req, employeeId) {
+  if (req.user.role === ROLES.HR_ADMIN || req.user.id === Number(employeeId)) return true;
+  if (req.user.role !== ROLES.MANAGER) return false;
+  const result = await pool.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, manager_id FROM employees WHERE id = $1
+       UNION
+       SELECT e.id, e.manager_id FROM employees e JOIN chain c ON e.id = c.manager_id
+     )
+     SELECT 1 FROM chain WHERE manager_id = $2 LIMIT 1`,
+    [employeeId, req.user.id]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Login and credential management
+ */
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed access token and employee identity
+ *       401:
+ *         description: Invalid credentials
+ */
+app.post("/auth/login", async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: "email and password are required" });
+  const result = await pool.query(
+    `SELECT e.id, e.name, e.email, e.role, e.status, c.password_hash
+     FROM employees e
+     JOIN employee_credentials c ON c.employee_id = e.id
+     WHERE e.email = $1 AND e.status <> 'Exited'`,
+    [email]
+  );
+  const employee = result.rows[0];
+  if (!employee || employee.status !== "Active" || !verifyPassword(password, employee.password_hash)) {
+    return res.status(401).json({ error: "Invalid credentials" });
+  }
+  const token = jwt.sign(
+    { sub: String(employee.id), email: employee.email, role: employee.role },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+  res.json({
+    token,
+    employee: { id: employee.id, name: employee.name, email: employee.email, role: employee.role },
+  });
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the authenticated employee
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current employee
+ *       401:
+ *         description: Not authenticated
+ */
+app.get("/auth/me", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM employees WHERE id = $1", [req.user.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Employee not found" });
+  res.json(result.rows[0]);
+});
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     summary: Change own password
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       401:
+ *         description: Current password is wrong
+ */
+app.put("/auth/password", authorize(...ALL_ROLES), async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: "current_password and new_password are required" });
+  }
+  const result = await pool.query(
+    "SELECT password_hash FROM employee_credentials WHERE employee_id = $1",
+    [req.user.id]
+  );
+  if (result.rows.length === 0 || !verifyPassword(current_password, result.rows[0].password_hash)) {
+    return res.status(401).json({ error: "Invalid credentials" });
+  }
+  await pool.query(
+    "UPDATE employee_credentials SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE employee_id = $2",
+    [hashPassword(new_password), req.user.id]
+  );
+  res.json({ message: "Password changed successfully" });
+});
+
+/**
+ * 👤 Bootstrap HR admin from ADMIN_EMAIL / ADMIN_PASSWORD so the first login is possible
+ */
+async function seedAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+  const existing = await pool.query("SELECT 1 FROM employees WHERE role = $1 LIMIT 1", [ROLES.HR_ADMIN]);
+  if (existing.rowCount > 0) return;
+  const result = await pool.query(
+    `INSERT INTO employees (name, email, role) VALUES ('Administrator', $1, $2)
+     ON CONFLICT (email) WHERE status <> 'Exited' DO UPDATE SET role = EXCLUDED.role
+     RETURNING id`,
+    [ADMIN_EMAIL, ROLES.HR_ADMIN]
+  );
+  await pool.query(
+    `INSERT INTO employee_credentials (employee_id, password_hash) VALUES ($1, $2)
+     ON CONFLICT (employee_id) DO UPDATE SET password_hash = EXCLUDED.password_hash`,
+    [result.rows[0].id, hashPassword(ADMIN_PASSWORD)]
+  );
+  console.log(`✅ HR admin seeded for ${ADMIN_EMAIL}`);
+}
+
+
+/**
+ * 📝 Leave application
+ */
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+// Non-optional holiday dates (YYYY-MM-DD) between start and end for the employee's location
+async function holidayDates(db, employeeId, start, end) {
+  const result = await db.query(
+    `SELECT to_char(holiday_date, 'YYYY-MM-DD') AS day FROM employee_holidays
+     WHERE employee_id = $1 AND holiday_date BETWEEN $2 AND $3`,
+    [employeeId, start, end]
+  );
+  return new Set(result.rows.map((row) => row.day));
+}
+
+// Number of days between start and end (inclusive) that are neither weekends nor holidays
+async function countWorkingDays(db, employeeId, start, end) {
+  const holidays = await holidayDates(db, employeeId, start, end);
+  let days = 0;
+  for (let d = parseDate(start); d <= parseDate(end); d.setUTCDate(d.getUTCDate() + 1)) {
+    if (!isWeekend(d) && !holidays.has(d.toISOString().slice(0, 10))) days++;
+  }
+  return days;
+}
 
-      CREATE TABLE IF NOT EXISTS attendance_logs (
-      id SERIAL PRIMARY KEY,
-      employee_id INTEGER REFERENCES employees(id),
-      date DATE,
-      check_in TIME,
-      check_out TIME,
-      status VARCHAR(20)
+// Checks a leave request's dates, type, overlaps and balance inside the caller's transaction.
+// leaveId is the leave being edited, which neither overlaps nor holds balance against itself.
+// Returns { days } (working days requested) or { status, error }.
+async function checkLeaveRequest(client, { employee_id, type, start_date, end_date }, leaveId = null) {
+  if (!employee_id || !type) return { status: 400, error: "employee_id and type are required" };
+  const start = parseDate(start_date);
+  const end = parseDate(end_date);
+  if (!start || !end) return { status: 400, error: "start_date and end_date must be valid YYYY-MM-DD dates" };
+  if (end < start) return { status: 400, error: "end_date must be on or after start_date" };
+
+  // Lock the employee so concurrent applications are checked one at a time
+  const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+  if (employee.rows.length === 0) return { status: 400, error: "Employee not found" };
+
+  const policy = await client.query("SELECT * FROM leave_policies WHERE name = $1", [type]);
+  if (policy.rows.length === 0) return { status: 400, error: `Unknown leave type: ${type}` };
+
+  const overlap = await client.query(
+    `SELECT id, start_date, end_date FROM leaves
+     WHERE employee_id = $1 AND status IN ('Pending', 'Approved')
+       AND start_date <= $3 AND end_date >= $2 AND id IS DISTINCT FROM $4
+     LIMIT 1`,
+    [employee_id, start_date, end_date, leaveId]
+  );
+  if (overlap.rows.length > 0) {
+    return { status: 409, error: `Overlaps existing leave #${overlap.rows[0].id}` };
+  }
+
+  const days = await countWorkingDays(client, employee_id, start_date, end_date);
+  if (days === 0) return { status: 400, error: "The requested period has no working days" };
+
+  if (!policy.rows[0].allow_negative_balance) {
+    // Pending requests are already committed against the balance
+    const balance = await client.query(
+      `SELECT COALESCE((SELECT SUM(balance) FROM leave_balances WHERE employee_id = $1 AND leave_type = $2), 0)
+            - COALESCE((SELECT SUM(days) FROM leaves
+                        WHERE employee_id = $1 AND type = $2 AND status = 'Pending' AND id IS DISTINCT FROM $3), 0)
+            AS available`,
+      [employee_id, type, leaveId]
     );
+    const available = Number(balance.rows[0].available);
+    if (days > available) {
+      return { status: 400, error: `Insufficient ${type} balance: requested ${days}, available ${available}` };
+    }
+  }
+  return { days };
+}
 
-    CREATE TABLE IF NOT EXISTS leave_policies (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(100),
-      days_per_year INTEGER,
-      carry_forward BOOLEAN DEFAULT false
+// Validates and records a leave application. Returns { leave } or { status, error }.
+async function applyForLeave({ employee_id, type, start_date, end_date, reason }) {
+  return withTransaction(async (client) => {
+    const checked = await checkLeaveRequest(client, { employee_id, type, start_date, end_date });
+    if (checked.error) return checked;
+    const result = await client.query(
+      `INSERT INTO leaves (employee_id, type, start_date, end_date, days, reason, status)
+       VALUES ($1, $2, $3, $4, $5, $6, 'Pending') RETURNING *`,
+      [employee_id, type, start_date, end_date, checked.days, reason]
     );
+    return { leave: result.rows[0] };
+  });
+}
+
+
+/**
+ * 📒 Leave balance ledger
+ */
+async function recordLeaveLedger(db, { employee_id, leave_type, change, balance_after, reason, leave_id = null, created_by = null }) {
+  await db.query(
+    `INSERT INTO leave_balance_ledger (employee_id, leave_type, change, balance_after, reason, leave_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [employee_id, leave_type, change, balance_after, reason, leave_id, created_by]
+  );
+}
+
+// Applies change to the employee's balance row for leave_type (creating it at 0 if missing)
+// and writes the matching ledger entry. Must run inside a transaction. Returns the new balance.
+async function adjustLeaveBalance(client, { employee_id, leave_type, change, reason, leave_id, created_by }) {
+  const existing = await client.query(
+    "SELECT id FROM leave_balances WHERE employee_id = $1 AND leave_type = $2 ORDER BY id LIMIT 1 FOR UPDATE",
+    [employee_id, leave_type]
+  );
+  const row = existing.rows.length
+    ? await client.query(
+        "UPDATE leave_balances SET balance = COALESCE(balance, 0) + $1 WHERE id = $2 RETURNING balance",
+        [change, existing.rows[0].id]
+      )
+    : await client.query(
+        "INSERT INTO leave_balances (employee_id, leave_type, balance) VALUES ($1, $2, $3) RETURNING balance",
+        [employee_id, leave_type, change]
+      );
+  const balance_after = Number(row.rows[0].balance);
+  await recordLeaveLedger(client, { employee_id, leave_type, change, balance_after, reason, leave_id, created_by });
+  return balance_after;
+}
+
+/**
+ * @swagger
+ * /leave/ledger/{employeeId}:
+ *   get:
+ *     summary: Get the leave balance ledger for an employee
+ *     tags: [LeaveBalances]
+ *     description: Filter and sort by id, leave_type, change, reason, leave_id, created_at. Ranges via _from/_to on change, created_at.
+ *     parameters:
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Restrict to one leave type
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: leave_type, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: change, explode: false, schema: { type: array, items: { type: number } } }
+ *       - { in: query, name: reason, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: leave_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: created_at, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: change_from, schema: { type: number } }
+ *       - { in: query, name: change_to, schema: { type: number } }
+ *       - { in: query, name: created_at_from, schema: { type: string, format: date } }
+ *       - { in: query, name: created_at_to, schema: { type: string, format: date } }
+ *     responses:
+ *       200:
+ *         description: Ledger entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ */
+app.get("/leave/ledger/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM leave_balance_ledger WHERE employee_id = $1 AND ($2::text IS NULL OR leave_type = $2)",
+    params: [req.params.employeeId, req.query.type || null],
+    fields: { id: "integer", leave_type: "text", change: "number", reason: "text", leave_id: "integer", created_at: "date" },
+    defaultSort: "created_at",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
+});
+
+
+/**
+ * ⏰ Clock-in / clock-out
+ */
+const DEFAULT_SHIFT = {
+  start_time: process.env.SHIFT_START || "09:00",
+  end_time: process.env.SHIFT_END || "18:00",
+  grace_minutes: Number(process.env.SHIFT_GRACE_MINUTES || 15),
+  break_minutes: Number(process.env.SHIFT_BREAK_MINUTES || 0),
+  // ISO days of week (1 = Monday ... 7 = Sunday)
+  weekly_offs: (process.env.SHIFT_WEEKLY_OFFS || "6,7").split(",").map(Number),
+  full_day_hours: Number(process.env.FULL_DAY_HOURS || 8),
+  half_day_hours: Number(process.env.HALF_DAY_HOURS || 4),
+};
+// An open clock-in older than this is treated as a missed punch rather than a running shift
+const MAX_SHIFT_HOURS = 20;
+
+const toMinutes = (time) => {
+  const [h, m, s = 0] = String(time).split(":").map(Number);
+  return h * 60 + m + s / 60;
+};
+
+// Minutes from start to end; an end earlier than the start crossed midnight
+function spanMinutes(start, end) {
+  const minutes = toMinutes(end) - toMinutes(start);
+  return minutes < 0 ? minutes + 24 * 60 : minutes;
+}
+
+// Hours between check-in and check-out, less the shift break
+function workedHours(checkIn, checkOut, breakMinutes = 0) {
+  if (!checkIn || !checkOut) return null;
+  const minutes = Math.max(spanMinutes(checkIn, checkOut) - breakMinutes, 0);
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+// Present / Late / Half-day / Absent under the given shift. Without a check-out only lateness is known.
+function attendanceStatus(checkIn, worked, shift) {
+  if (!checkIn) return "Absent";
+  // Signed minutes after shift start, wrapped so a 00:30 punch for a 22:00 shift counts as late
+  const offset = ((toMinutes(checkIn) - toMinutes(shift.start_time) + 36 * 60) % (24 * 60)) - 12 * 60;
+  const late = offset > shift.grace_minutes;
+  if (worked == null) return late ? "Late" : "Present";
+  if (worked < shift.half_day_hours) return "Absent";
+  if (worked < shift.full_day_hours) return "Half-day";
+  return late ? "Late" : "Present";
+}
+
+// Rostered shift rows carry no day thresholds: a full day is the shift length less its break
+function shiftRules(shift) {
+  const fullDay = (spanMinutes(shift.start_time, shift.end_time) - shift.break_minutes) / 60;
+  return { ...shift, full_day_hours: fullDay, half_day_hours: fullDay / 2 };
+}
+
+// Shift rules that apply to an employee on a date: the rostered shift, or DEFAULT_SHIFT when unrostered
+async function shiftFor(db, employeeId, date) {
+  const result = await db.query(
+    `SELECT s.* FROM roster_assignments r
+     JOIN shifts s ON s.id = r.shift_id
+     WHERE r.employee_id = $1 AND $2::date BETWEEN r.start_date AND COALESCE(r.end_date, 'infinity')
+     ORDER BY r.start_date DESC
+     LIMIT 1`,
+    [employeeId, date]
+  );
+  return result.rows.length > 0 ? shiftRules(result.rows[0]) : DEFAULT_SHIFT;
+}
+
+// Derived columns for a log: worked_hours and status
+async function attendanceDerived(db, { employee_id, date, check_in, check_out }) {
+  const shift = await shiftFor(db, employee_id, date);
+  const worked = workedHours(check_in, check_out, shift.break_minutes);
+  return { worked_hours: worked, status: attendanceStatus(check_in, worked, shift) };
+}
 
-    CREATE TABLE IF NOT EXISTS leaves (
-      id SERIAL PRIMARY KEY,
-      employee_id INTEGER REFERENCES employees(id),
-      type VARCHAR(50),
-      start_date DATE,
-      end_date DATE,
-      status VARCHAR(20) DEFAULT 'Pending',
-      applied_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+/**
+ * @swagger
+ * /attendance/clock-in:
+ *   post:
+ *     summary: Clock in the calling employee at the current server time
+ *     tags: [AttendanceLogs]
+ *     responses:
+ *       201:
+ *         description: Attendance log opened (status is Present or Late)
+ *       409:
+ *         description: Already clocked in, or already has a log for today
+ */
+app.post("/attendance/clock-in", authorize(...ALL_ROLES), async (req, res) => {
+  const outcome = await withTransaction(async (client) => {
+    await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [req.user.id]);
+    const existing = await client.query(
+      `SELECT id, date, check_out FROM attendance_logs
+       WHERE employee_id = $1
+         AND (date = CURRENT_DATE
+              OR (check_out IS NULL AND date + check_in > LOCALTIMESTAMP - make_interval(hours => $2)))
+       LIMIT 1`,
+      [req.user.id, MAX_SHIFT_HOURS]
     );
+    if (existing.rows.length > 0) {
+      const open = existing.rows[0].check_out === null;
+      return { status: 409, error: open ? "Already clocked in" : "Attendance already recorded for today" };
+    }
+    const inserted = await client.query(
+      `INSERT INTO attendance_logs (employee_id, date, check_in)
+       VALUES ($1, CURRENT_DATE, LOCALTIME(0)) RETURNING *`,
+      [req.user.id]
+    );
+    const log = inserted.rows[0];
+    const { status } = await attendanceDerived(client, log);
+    const result = await client.query("UPDATE attendance_logs SET status = $1 WHERE id = $2 RETURNING *", [status, log.id]);
+    return { log: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.status(201).json(outcome.log);
+});
 
-    CREATE TABLE IF NOT EXISTS leave_balances (
-      id SERIAL PRIMARY KEY,
-      employee_id INTEGER REFERENCES employees(id),
-      leave_type VARCHAR(50),
-      balance NUMERIC
+/**
+ * @swagger
+ * /attendance/clock-out:
+ *   post:
+ *     summary: Clock out the calling employee at the current server time
+ *     description: Closes the open clock-in (which may be from the previous day for overnight shifts) and derives worked hours and status.
+ *     tags: [AttendanceLogs]
+ *     responses:
+ *       200:
+ *         description: Attendance log closed
+ *       409:
+ *         description: Not clocked in
+ */
+app.post("/attendance/clock-out", authorize(...ALL_ROLES), async (req, res) => {
+  const outcome = await withTransaction(async (client) => {
+    const closed = await client.query(
+      `UPDATE attendance_logs SET check_out = LOCALTIME(0)
+       WHERE id = (
+         SELECT id FROM attendance_logs
+         WHERE employee_id = $1 AND check_out IS NULL
+           AND date + check_in > LOCALTIMESTAMP - make_interval(hours => $2)
+         ORDER BY date DESC, check_in DESC LIMIT 1
+         FOR UPDATE
+       )
+       RETURNING *`,
+      [req.user.id, MAX_SHIFT_HOURS]
     );
+    if (closed.rows.length === 0) return { status: 409, error: "Not clocked in" };
+    const log = closed.rows[0];
+    const { worked_hours, status } = await attendanceDerived(client, log);
+    const result = await client.query(
+      "UPDATE attendance_logs SET worked_hours = $1, status = $2 WHERE id = $3 RETURNING *",
+      [worked_hours, status, log.id]
+    );
+    await refreshTimesheetWarnings(client, log.employee_id, log.date);
+    return { log: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.json(outcome.log);
+});
+
+/**
+ * @swagger
+ * /attendance/status/{employeeId}:
+ *   get:
+ *     summary: Current clock-in status of an employee
+ *     tags: [AttendanceLogs]
+ *     parameters:
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ clocked_in, log } where log is the open clock-in, or today's log"
+ */
+app.get("/attendance/status/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query(
+    `SELECT * FROM attendance_logs
+     WHERE employee_id = $1
+       AND (date = CURRENT_DATE
+            OR (check_out IS NULL AND date + check_in > LOCALTIMESTAMP - make_interval(hours => $2)))
+     ORDER BY (check_out IS NULL) DESC, date DESC
+     LIMIT 1`,
+    [req.params.employeeId, MAX_SHIFT_HOURS]
+  );
+  const log = result.rows[0] || null;
+  res.json({ clocked_in: !!log && log.check_out === null, log });
+});
+
+
+/**
+ * ⏱️ Timesheet validation
+ */
+const TIMESHEET_MAX_HOURS_PER_DAY = Number(process.env.TIMESHEET_MAX_HOURS_PER_DAY || 12);
+// Logged and attended hours may differ by this much before an entry is flagged
+const TIMESHEET_ATTENDANCE_TOLERANCE_HOURS = Number(process.env.TIMESHEET_ATTENDANCE_TOLERANCE_HOURS || 1);
+
+// Checks an entry against assignments, approved leave and the daily cap; `id` excludes the entry being updated
+async function validateTimesheetEntry(client, { id = null, employee_id, project_id, log_date, hours }) {
+  const day = parseDate(log_date);
+  if (!day) return { status: 400, error: "log_date must be YYYY-MM-DD" };
+  if (log_date > today()) return { status: 400, error: "Cannot log time for a future date" };
+  const amount = Number(hours);
+  if (!(amount > 0 && amount <= TIMESHEET_MAX_HOURS_PER_DAY)) {
+    return { status: 400, error: `hours must be greater than 0 and at most ${TIMESHEET_MAX_HOURS_PER_DAY}` };
+  }
+
+  const assignment = await client.query(
+    `SELECT 1 FROM project_assignments
+     WHERE employee_id = $1 AND project_id = $2 AND $3::date BETWEEN start_date AND COALESCE(end_date, 'infinity')`,
+    [employee_id, project_id, log_date]
+  );
+  if (assignment.rows.length === 0) {
+    return { status: 400, error: `Employee is not assigned to project ${project_id} on ${log_date}` };
+  }
+  const leave = await client.query(
+    `SELECT id FROM leaves
+     WHERE employee_id = $1 AND status = 'Approved' AND $2::date BETWEEN start_date AND end_date
+     LIMIT 1`,
+    [employee_id, log_date]
+  );
+  if (leave.rows.length > 0) return { status: 409, error: `Employee is on approved leave on ${log_date}` };
+  const logged = await client.query(
+    `SELECT COALESCE(SUM(hours), 0) AS hours FROM timesheets
+     WHERE employee_id = $1 AND log_date = $2 AND ($3::int IS NULL OR id <> $3)`,
+    [employee_id, log_date, id]
+  );
+  const total = Number(logged.rows[0].hours) + amount;
+  if (total > TIMESHEET_MAX_HOURS_PER_DAY) {
+    return { status: 409, error: `${total} hours on ${log_date} would exceed the daily maximum of ${TIMESHEET_MAX_HOURS_PER_DAY}` };
+  }
+  return null;
+}
+
+// Flags every entry of the day when its total strays from the attendance log's worked hours
+async function refreshTimesheetWarnings(db, employeeId, logDate) {
+  const logged = await db.query(
+    "SELECT COALESCE(SUM(hours), 0) AS hours FROM timesheets WHERE employee_id = $1 AND log_date = $2",
+    [employeeId, logDate]
+  );
+  const attended = await db.query(
+    "SELECT SUM(worked_hours) AS hours FROM attendance_logs WHERE employee_id = $1 AND date = $2",
+    [employeeId, logDate]
+  );
+  const loggedHours = Number(logged.rows[0].hours);
+  const worked = attended.rows[0].hours;
+  const warning =
+    worked != null && Math.abs(loggedHours - Number(worked)) > TIMESHEET_ATTENDANCE_TOLERANCE_HOURS
+      ? `Logged ${loggedHours} hours but attendance shows ${Number(worked)} hours worked`
+      : null;
+  await db.query(
+    "UPDATE timesheets SET attendance_warning = $3 WHERE employee_id = $1 AND log_date = $2",
+    [employeeId, logDate, warning]
+  );
+}
+
+
+/**
+ * 💰 Payroll
+ */
+const UNPAID_LEAVE_TYPES = (process.env.UNPAID_LEAVE_TYPES || "LOP,Unpaid").split(",").map((t) => t.trim());
+
+// Recomputes every payrolls row of a run inside the caller's transaction
+async function computePayrollRun(client, run) {
+  const { rows: [{ start, end, days }] } = await client.query(
+    `SELECT $1::date AS start, ($1::date + interval '1 month' - interval '1 day')::date AS end,
+            EXTRACT(DAY FROM $1::date + interval '1 month' - interval '1 day')::int AS days`,
+    [run.salary_month]
+  );
+  const employees = await client.query(
+    `SELECT e.id, e.basic_salary, e.pf_applicable, e.esi_applicable,
+            (LEAST(COALESCE(e.exit_date, $2::date), $2::date) - GREATEST(COALESCE(e.doj, $1::date), $1::date) + 1) AS employed_days,
+            COALESCE(b.total, 0) AS bonus
+     FROM employees e
+     LEFT JOIN (
+       SELECT employee_id, SUM(amount) AS total FROM bonuses
+       WHERE issued_on BETWEEN $1 AND $2 GROUP BY employee_id
+     ) b ON b.employee_id = e.id
+     WHERE (e.status = 'Active' OR (e.status = 'Exited' AND e.exit_date >= $1))
+       AND e.basic_salary IS NOT NULL AND (e.doj IS NULL OR e.doj <= $2)`,
+    [start, end]
+  );
+  // Unpaid leave clipped to the month; only its working days are loss of pay
+  const unpaidLeaves = await client.query(
+    `SELECT employee_id, to_char(GREATEST(start_date, $1::date), 'YYYY-MM-DD') AS start_date,
+            to_char(LEAST(end_date, $2::date), 'YYYY-MM-DD') AS end_date
+     FROM leaves
+     WHERE status = 'Approved' AND type = ANY($3) AND start_date <= $2 AND end_date >= $1`,
+    [start, end, UNPAID_LEAVE_TYPES]
+  );
 
-    CREATE TABLE IF NOT EXISTS feedbacks (
-      id SERIAL PRIMARY KEY,
-      from_employee INTEGER REFERENCES employees(id),
-      to_employee INTEGER REFERENCES employees(id),
-      message TEXT,
-      submitted_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  await client.query("DELETE FROM payrolls WHERE run_id = $1", [run.id]);
+  for (const emp of employees.rows) {
+    let unpaidDays = 0;
+    for (const leave of unpaidLeaves.rows.filter((l) => l.employee_id === emp.id)) {
+      unpaidDays += await countWorkingDays(client, emp.id, leave.start_date, leave.end_date);
+    }
+    const row = computePayroll({ ...emp, bonus: Number(emp.bonus), unpaid_days: unpaidDays }, days);
+    await client.query(
+      `INSERT INTO payrolls (run_id, employee_id, salary_month, basic_earned, bonus_amount, unpaid_leave_days,
+         gross_salary, pf_deduction, esi_deduction, tds_deduction, other_deductions, net_salary, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [run.id, emp.id, run.salary_month, row.basic_earned, row.bonus_amount, row.unpaid_leave_days,
+        row.gross_salary, row.pf_deduction, row.esi_deduction, row.tds_deduction, row.other_deductions,
+        row.net_salary, run.status]
     );
+  }
+  return employees.rowCount;
+}
+
+async function getPayrollRun(id) {
+  const run = await pool.query("SELECT * FROM payroll_runs WHERE id = $1", [id]);
+  if (run.rows.length === 0) return null;
+  const payrolls = await pool.query(
+    `SELECT p.*, e.name AS employee_name FROM payrolls p
+     JOIN employees e ON e.id = p.employee_id
+     WHERE p.run_id = $1 ORDER BY e.name`,
+    [id]
+  );
+  return { ...run.rows[0], payrolls: payrolls.rows };
+}
 
-    CREATE TABLE IF NOT EXISTS projects (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(100),
-      client VARCHAR(100)
+/**
+ * @swagger
+ * tags:
+ *   name: Payroll
+ *   description: Monthly payroll runs
+ */
+
+/**
+ * @swagger
+ * /payroll/runs:
+ *   post:
+ *     summary: Compute (or recompute) the payroll preview for a month
+ *     description: >
+ *       Creates a Preview run with one payrolls row per active employee with a basic salary, plus those who exited during
+ *       the month (paid up to their exit_date). Posting again for a month whose run is still in Preview recomputes it
+ *       in place; a Finalized run is never recomputed. A Reversed run frees the month for a fresh run.
+ *     tags: [Payroll]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [month]
+ *             properties:
+ *               month:
+ *                 $ref: '#/components/schemas/Month'
+ *     responses:
+ *       200:
+ *         description: Existing preview recomputed
+ *       201:
+ *         description: Preview run created
+ *       409:
+ *         description: Month already finalized
+ */
+app.post("/payroll/runs", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { month } = req.body;
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) {
+    return res.status(400).json({ error: "month must be in YYYY-MM format" });
+  }
+  const salaryMonth = `${month}-01`;
+  const outcome = await withTransaction(async (client) => {
+    // Serialise concurrent runs for the same month
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('payroll:' || $1))", [salaryMonth]);
+    const existing = await client.query(
+      "SELECT * FROM payroll_runs WHERE salary_month = $1 AND status <> 'Reversed' FOR UPDATE",
+      [salaryMonth]
     );
+    let run = existing.rows[0];
+    if (run && run.status === "Finalized") return { finalized: run };
+    const created = !run;
+    if (created) {
+      const inserted = await client.query(
+        "INSERT INTO payroll_runs (salary_month, created_by) VALUES ($1, $2) RETURNING *",
+        [salaryMonth, req.user.id]
+      );
+      run = inserted.rows[0];
+    } else {
+      await client.query("UPDATE payroll_runs SET computed_at = CURRENT_TIMESTAMP WHERE id = $1", [run.id]);
+    }
+    await computePayrollRun(client, run);
+    return { run, created };
+  });
+  if (outcome.finalized) {
+    return res.status(409).json({ error: `Payroll for ${month} is already finalized`, run_id: outcome.finalized.id });
+  }
+  res.status(outcome.created ? 201 : 200).json(await getPayrollRun(outcome.run.id));
+});
 
-    CREATE TABLE IF NOT EXISTS timesheets (
-      id SERIAL PRIMARY KEY,
-      employee_id INTEGER REFERENCES employees(id),
-      project_id INTEGER REFERENCES projects(id),
-      log_date DATE,
-      hours NUMERIC,
-      notes TEXT
+/**
+ * @swagger
+ * /payroll/runs:
+ *   get:
+ *     summary: List payroll runs
+ *     tags: [Payroll]
+ *     description: Filter and sort by id, salary_month, status, employee_count, total_net. Ranges via _from/_to on salary_month, employee_count, total_net.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: salary_month, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: employee_count, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: total_net, explode: false, schema: { type: array, items: { type: number } } }
+ *       - { in: query, name: salary_month_from, schema: { type: string, format: date } }
+ *       - { in: query, name: salary_month_to, schema: { type: string, format: date } }
+ *       - { in: query, name: employee_count_from, schema: { type: integer } }
+ *       - { in: query, name: employee_count_to, schema: { type: integer } }
+ *       - { in: query, name: total_net_from, schema: { type: number } }
+ *       - { in: query, name: total_net_to, schema: { type: number } }
+ *     responses:
+ *       200:
+ *         description: Payroll runs with totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ */
+app.get("/payroll/runs", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: `SELECT r.*, COUNT(p.id)::int AS employee_count, COALESCE(SUM(p.net_salary), 0) AS total_net
+       FROM payroll_runs r LEFT JOIN payrolls p ON p.run_id = r.id
+       GROUP BY r.id`,
+    fields: { id: "integer", salary_month: "date", status: "text", employee_count: "integer", total_net: "number" },
+    defaultSort: "-salary_month,-id",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
+});
+
+/**
+ * @swagger
+ * /payroll/runs/{id}:
+ *   get:
+ *     summary: Get a payroll run with its payroll rows
+ *     tags: [Payroll]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run
+ *       404:
+ *         description: Payroll run not found
+ */
+app.get("/payroll/runs/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const run = await getPayrollRun(req.params.id);
+  if (!run) return res.status(404).json({ error: "Payroll run not found" });
+  res.json(run);
+});
+
+// Moves a run (and its rows) from one status to the next, stamping <action>_at / <action>_by
+async function transitionPayrollRun(req, res, from, to, action) {
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE payroll_runs SET status = $1, ${action}_at = CURRENT_TIMESTAMP, ${action}_by = $2
+       WHERE id = $3 AND status = $4 RETURNING *`,
+      [to, req.user.id, req.params.id, from]
     );
-    `);
-    console.log("✅ Tables ensured");
-  } finally {
-    client.release();
+    if (result.rowCount === 0) return false;
+    await client.query("UPDATE payrolls SET status = $1 WHERE run_id = $2", [to, req.params.id]);
+    return true;
+  });
+  if (!updated) {
+    const exists = await pool.query("SELECT status FROM payroll_runs WHERE id = $1", [req.params.id]);
+    if (exists.rows.length === 0) return res.status(404).json({ error: "Payroll run not found" });
+    return res.status(409).json({ error: `Payroll run is ${exists.rows[0].status}, expected ${from}` });
+  }
+  res.json(await getPayrollRun(req.params.id));
+}
+
+/**
+ * @swagger
+ * /payroll/runs/{id}/finalize:
+ *   put:
+ *     summary: Finalize a previewed payroll run
+ *     tags: [Payroll]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run finalized
+ *       404:
+ *         description: Payroll run not found
+ *       409:
+ *         description: Run is not in Preview
+ */
+app.put("/payroll/runs/:id/finalize", authorize(ROLES.HR_ADMIN), (req, res) =>
+  transitionPayrollRun(req, res, "Preview", "Finalized", "finalized")
+);
+
+/**
+ * @swagger
+ * /payroll/runs/{id}/reverse:
+ *   put:
+ *     summary: Reverse a finalized payroll run
+ *     description: Keeps the rows for audit and frees the month for a new run.
+ *     tags: [Payroll]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run reversed
+ *       404:
+ *         description: Payroll run not found
+ *       409:
+ *         description: Run is not Finalized
+ */
+app.put("/payroll/runs/:id/reverse", authorize(ROLES.HR_ADMIN), (req, res) =>
+  transitionPayrollRun(req, res, "Finalized", "Reversed", "reversed")
+);
+
+/**
+ * 🧾 Payslips
+ */
+const COMPANY_NAME = process.env.COMPANY_NAME || "HRMS";
+
+const PAYSLIP_QUERY = `
+  SELECT p.*, r.status AS run_status, e.name, e.email, e.designation, e.pan_number, e.doj,
+         d.name AS department_name
+  FROM payrolls p
+  JOIN employees e ON e.id = p.employee_id
+  LEFT JOIN departments d ON d.id = e.department_id
+  LEFT JOIN payroll_runs r ON r.id = p.run_id`;
+
+const formatMoney = (n) =>
+  Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatMonth = (d) => new Date(d).toLocaleString("en-IN", { month: "long", year: "numeric" });
+const formatDate = (d) => (d ? localDate(new Date(d)) : "-");
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Shared content model so the HTML and PDF payslips always show the same figures
+function payslipSections(p) {
+  return {
+    title: `Payslip for ${formatMonth(p.salary_month)}`,
+    details: [
+      ["Employee", p.name],
+      ["Employee ID", p.employee_id],
+      ["Email", p.email],
+      ["Department", p.department_name || "-"],
+      ["Designation", p.designation || "-"],
+      ["PAN", p.pan_number || "-"],
+      ["Date of Joining", formatDate(p.doj)],
+      ["Unpaid Leave Days", Number(p.unpaid_leave_days || 0)],
+    ],
+    earnings: [
+      ["Basic", p.basic_earned],
+      ["Bonus", p.bonus_amount],
+    ],
+    deductions: [
+      ["Provident Fund", p.pf_deduction],
+      ["ESI", p.esi_deduction],
+      ["TDS", p.tds_deduction],
+      ["Loss of Pay", p.other_deductions],
+    ],
+    grossSalary: p.gross_salary,
+    totalDeductions:
+      Number(p.pf_deduction) + Number(p.esi_deduction) + Number(p.tds_deduction) + Number(p.other_deductions),
+    netSalary: p.net_salary,
+  };
+}
+
+function renderPayslipHtml(p) {
+  const s = payslipSections(p);
+  const rows = (items) =>
+    items.map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="amt">${formatMoney(amount)}</td></tr>`).join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(s.title)} - ${escapeHtml(p.name)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 32px; color: #222; }
+  h1 { font-size: 20px; margin: 0; } h2 { font-size: 16px; font-weight: normal; margin: 4px 0 24px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  td, th { border: 1px solid #ccc; padding: 6px 10px; text-align: left; }
+  .amt { text-align: right; } .net { font-size: 18px; font-weight: bold; }
+  .cols { display: flex; gap: 16px; } .cols > table { flex: 1; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(COMPANY_NAME)}</h1>
+<h2>${escapeHtml(s.title)}${p.run_status === "Preview" ? " (Preview)" : ""}</h2>
+<table>${s.details.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("")}</table>
+<div class="cols">
+<table><tr><th>Earnings</th><th class="amt">Amount</th></tr>${rows(s.earnings)}
+<tr><th>Gross Salary</th><th class="amt">${formatMoney(s.grossSalary)}</th></tr></table>
+<table><tr><th>Deductions</th><th class="amt">Amount</th></tr>${rows(s.deductions)}
+<tr><th>Total Deductions</th><th class="amt">${formatMoney(s.totalDeductions)}</th></tr></table>
+</div>
+<p class="net">Net Pay: ${formatMoney(s.netSalary)}</p>
+</body>
+</html>`;
+}
+
+function renderPayslipPdf(p) {
+  const s = payslipSections(p);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(COMPANY_NAME);
+    doc.fontSize(13).text(`${s.title}${p.run_status === "Preview" ? " (Preview)" : ""}`).moveDown();
+    doc.fontSize(10);
+    for (const [label, value] of s.details) doc.text(`${label}: ${value}`);
+    doc.moveDown();
+
+    const table = (heading, items, totalLabel, total) => {
+      doc.font("Helvetica-Bold").text(heading, 50, doc.y, { continued: false });
+      doc.font("Helvetica");
+      for (const [label, amount] of items) {
+        const y = doc.y;
+        doc.text(label, 50, y);
+        doc.text(formatMoney(amount), 350, y, { width: 150, align: "right" });
+      }
+      const y = doc.y;
+      doc.font("Helvetica-Bold").text(totalLabel, 50, y);
+      doc.text(formatMoney(total), 350, y, { width: 150, align: "right" });
+      doc.font("Helvetica").moveDown();
+    };
+    table("Earnings", s.earnings, "Gross Salary", s.grossSalary);
+    table("Deductions", s.deductions, "Total Deductions", s.totalDeductions);
+
+    doc.fontSize(13).font("Helvetica-Bold").text(`Net Pay: ${formatMoney(s.netSalary)}`, 50, doc.y);
+    doc.end();
+  });
+}
+
+const payslipFilename = (p) => `payslip-${formatDate(p.salary_month).slice(0, 7)}-${p.employee_id}.pdf`;
+
+/**
+ * @swagger
+ * /payrolls/{id}/payslip:
+ *   get:
+ *     summary: Render the payslip for a payroll row
+ *     description: Employees can download their own payslips once the run is finalized; HR admins can view any.
+ *     tags: [Payroll]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Payslip document
+ *         content:
+ *           text/html: {}
+ *           application/pdf: {}
+ *       404:
+ *         description: Payroll not found
+ */
+app.get("/payrolls/:id/payslip", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query(`${PAYSLIP_QUERY} WHERE p.id = $1`, [req.params.id]);
+  const payroll = result.rows[0];
+  const visible =
+    payroll &&
+    (req.user.role === ROLES.HR_ADMIN || (payroll.employee_id === req.user.id && payroll.status === "Finalized"));
+  if (!visible) return res.status(404).json({ error: "Payroll not found" });
+
+  if (req.query.format === "pdf") {
+    const pdf = await renderPayslipPdf(payroll);
+    res.set("Content-Disposition", `attachment; filename="${payslipFilename(payroll)}"`);
+    return res.type("application/pdf").send(pdf);
+  }
+  res.type("html").send(renderPayslipHtml(payroll));
+});
+
+/**
+ * @swagger
+ * /payroll/payslips:
+ *   get:
+ *     summary: Download all payslips of a month as a ZIP of PDFs
+ *     tags: [Payroll]
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/Month'
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip: {}
+ *       404:
+ *         description: No payroll run for the month
+ */
+app.get("/payroll/payslips", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { month } = req.query;
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) {
+    return res.status(400).json({ error: "month must be in YYYY-MM format" });
+  }
+  const result = await pool.query(
+    `${PAYSLIP_QUERY} WHERE r.salary_month = $1 AND r.status <> 'Reversed' ORDER BY e.name`,
+    [`${month}-01`]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: `No payroll run for ${month}` });
+
+  const archive = archiver("zip");
+  archive.on("error", (err) => res.destroy(err));
+  res.attachment(`payslips-${month}.zip`);
+  archive.pipe(res);
+  for (const payroll of result.rows) {
+    archive.append(await renderPayslipPdf(payroll), { name: payslipFilename(payroll) });
   }
+  await archive.finalize();
+});
+
+/**
+ * 🌱 Leave accrual and year-end carry-forward
+ */
+const ACCRUAL_PERIOD_RE = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+const ACCRUAL_FREQUENCIES = ["monthly", "yearly"];
+
+// Credits one period of leave to every active employee. A "YYYY" period runs yearly policies and
+// "YYYY-MM" runs monthly ones. Joiners are prorated by the days employed in the period from doj.
+// Each employee/policy/period is claimed in leave_accruals first, so re-running only credits the
+// employees that were missed. Returns the credits made.
+async function runLeaveAccrual(period, createdBy = null) {
+  const monthly = period.length === 7;
+  const start = monthly ? `${period}-01` : `${period}-01-01`;
+  return withTransaction(async (client) => {
+    const policies = await client.query(
+      "SELECT * FROM leave_policies WHERE accrual_frequency = $1 AND days_per_year > 0",
+      [monthly ? "monthly" : "yearly"]
+    );
+    const employees = await client.query(
+      `WITH period AS (
+         SELECT $1::date AS start, ($1::date + $2::interval - interval '1 day')::date AS finish
+       )
+       SELECT e.id,
+              (p.finish - GREATEST(COALESCE(e.doj, p.start), p.start) + 1) AS employed_days,
+              (p.finish - p.start + 1) AS period_days
+       FROM employees e, period p
+       WHERE e.status = 'Active' AND (e.doj IS NULL OR e.doj <= p.finish)`,
+      [start, monthly ? "1 month" : "1 year"]
+    );
+
+    const credits = [];
+    for (const policy of policies.rows) {
+      const perPeriod = monthly ? policy.days_per_year / 12 : policy.days_per_year;
+      for (const emp of employees.rows) {
+        const days = round2((perPeriod * emp.employed_days) / emp.period_days);
+        const claimed = await client.query(
+          `INSERT INTO leave_accruals (employee_id, policy_id, period, kind, days)
+           VALUES ($1, $2, $3, 'accrual', $4)
+           ON CONFLICT (employee_id, policy_id, period, kind) DO NOTHING RETURNING id`,
+          [emp.id, policy.id, period, days]
+        );
+        if (claimed.rowCount === 0 || days === 0) continue;
+        const balance = await adjustLeaveBalance(client, {
+          employee_id: emp.id,
+          leave_type: policy.name,
+          change: days,
+          reason: "Accrual",
+          created_by: createdBy,
+        });
+        credits.push({ employee_id: emp.id, leave_type: policy.name, days, balance });
+      }
+    }
+    return credits;
+  });
 }
 
+// Closes a leave year: carry-forward policies keep up to carry_forward_cap (unlimited when null)
+// and lapse the rest; other policies lapse the whole positive balance. The lapse is worked out from
+// the balance at the end of the year (today's less every ledger change since), so running it after
+// the next year's accrual or leave does not lapse those too. Safe to re-run.
+async function runYearEndCarryForward(year, createdBy = null) {
+  return withTransaction(async (client) => {
+    const balances = await client.query(
+      `SELECT b.employee_id, p.id AS policy_id, p.name AS leave_type, p.carry_forward, p.carry_forward_cap,
+              SUM(b.balance) - COALESCE((
+                SELECT SUM(l.change) FROM leave_balance_ledger l
+                WHERE l.employee_id = b.employee_id AND l.leave_type = p.name AND l.created_at >= $1
+              ), 0) AS balance
+       FROM leave_balances b
+       JOIN employees e ON e.id = b.employee_id AND e.status = 'Active'
+       JOIN leave_policies p ON p.name = b.leave_type
+       GROUP BY b.employee_id, p.id`,
+      [`${year + 1}-01-01`]
+    );
+
+    const lapses = [];
+    for (const row of balances.rows) {
+      const balance = Number(row.balance || 0);
+      const cap = row.carry_forward ? (row.carry_forward_cap == null ? Infinity : Number(row.carry_forward_cap)) : 0;
+      const lapse = round2(Math.max(0, balance - cap));
+      const claimed = await client.query(
+        `INSERT INTO leave_accruals (employee_id, policy_id, period, kind, days)
+         VALUES ($1, $2, $3, 'year_end', $4)
+         ON CONFLICT (employee_id, policy_id, period, kind) DO NOTHING RETURNING id`,
+        [row.employee_id, row.policy_id, String(year), -lapse]
+      );
+      if (claimed.rowCount === 0 || lapse === 0) continue;
+      const after = await adjustLeaveBalance(client, {
+        employee_id: row.employee_id,
+        leave_type: row.leave_type,
+        change: -lapse,
+        reason: "Year-end lapse",
+        created_by: createdBy,
+      });
+      lapses.push({
+        employee_id: row.employee_id,
+        leave_type: row.leave_type,
+        lapsed: lapse,
+        carried_forward: round2(balance - lapse),
+        balance: after,
+      });
+    }
+    return lapses;
+  });
+}
+
+/**
+ * @swagger
+ * /leave/accruals:
+ *   post:
+ *     summary: Credit leave for a period
+ *     description: >
+ *       "YYYY" credits yearly-accrual policies for the year, "YYYY-MM" credits monthly-accrual policies for
+ *       the month. Joiners are prorated from their date of joining. Re-running a period is safe.
+ *       Also available as `npm run accrue-leave -- <period>`.
+ *     tags: [LeaveBalances]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [period]
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 example: "2025-07"
+ *     responses:
+ *       200:
+ *         description: Credits made in this run (empty when the period was already accrued)
+ */
+app.post("/leave/accruals", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { period } = req.body;
+  if (!ACCRUAL_PERIOD_RE.test(period || "")) {
+    return res.status(400).json({ error: "period must be YYYY or YYYY-MM" });
+  }
+  res.json({ period, credits: await runLeaveAccrual(period, req.user.id) });
+});
+
+/**
+ * @swagger
+ * /leave/year-end:
+ *   post:
+ *     summary: Apply carry-forward and lapse balances at the end of a leave year
+ *     description: >
+ *       Lapses are based on balances at the end of the year, so running it after the next year's accrual or
+ *       leave leaves those alone. Also available as `npm run accrue-leave -- --year-end <year>`.
+ *     tags: [LeaveBalances]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [year]
+ *             properties:
+ *               year:
+ *                 type: integer
+ *                 example: 2025
+ *     responses:
+ *       200:
+ *         description: Balances lapsed in this run
+ */
+app.post("/leave/year-end", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const year = Number(req.body.year);
+  if (!Number.isInteger(year) || year < 1900) return res.status(400).json({ error: "year must be a valid year" });
+  res.json({ year, lapses: await runYearEndCarryForward(year, req.user.id) });
+});
+
+/**
+ * 🎉 Locations and holiday calendars
+ */
+const TIMESHEET_HOURS_PER_DAY = Number(process.env.TIMESHEET_HOURS_PER_DAY || 8);
 
 /**
  * @swagger
  * tags:
- *   name: Departments
- *   description: API for managing departments
+ *   name: Holidays
+ *   description: Locations, holiday calendars and public holidays
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holiday:
+ *       type: object
+ *       properties:
+ *         calendar_id:
+ *           type: integer
+ *           description: Only used on create
+ *         holiday_date:
+ *           type: string
+ *           format: date
+ *         name:
+ *           type: string
+ *         is_optional:
+ *           type: boolean
+ *           description: Optional holidays are listed but still count as working days
  */
 
 /**
  * @swagger
- * /departments:
+ * /locations:
  *   get:
- *     summary: Get all departments
- *     tags: [Departments]
+ *     summary: Get all locations
+ *     tags: [Holidays]
+ *     description: Filter and sort by id, name, holiday_calendar_id.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: holiday_calendar_id, explode: false, schema: { type: array, items: { type: integer } } }
  *     responses:
  *       200:
- *         description: List of departments
+ *         description: List of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.get("/departments", async (req, res) => {
-  const result = await pool.query("SELECT * FROM departments");
-  res.status(200).json(result.rows);
+app.get("/locations", authorize(...ALL_ROLES), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM locations",
+    fields: { id: "integer", name: "text", holiday_calendar_id: "integer" },
+    defaultSort: "name",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
+});
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   get:
+ *     summary: Get a location
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Found, with its ETag
+ *       404:
+ *         description: Location not found
+ */
+app.get("/locations/:id", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM locations WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Location not found" });
+  sendVersioned(res, result.rows[0]);
+});
+
+/**
+ * @swagger
+ * /locations:
+ *   post:
+ *     summary: Create a location
+ *     tags: [Holidays]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               holiday_calendar_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Location created
+ */
+app.post("/locations", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { name, holiday_calendar_id } = req.body;
+  const result = await pool.query(
+    "INSERT INTO locations (name, holiday_calendar_id) VALUES ($1, $2) RETURNING *",
+    [name, holiday_calendar_id]
+  );
+  res.status(201).json(result.rows[0]);
+});
+
+const updateLocation = versionedUpdate(withTransaction, {
+  notFound: "Location not found",
+  load: (client, req) => client.query("SELECT * FROM locations WHERE id = $1 FOR UPDATE", [req.params.id]),
+  fields: ["name", "holiday_calendar_id"],
+  save: async (client, { name, holiday_calendar_id }, current) => {
+    const result = await client.query(
+      "UPDATE locations SET name = $1, holiday_calendar_id = $2 WHERE id = $3 RETURNING *",
+      [name, holiday_calendar_id, current.id]
+    );
+    return { row: result.rows[0] };
+  },
 });
 
 /**
  * @swagger
- * /departments/{id}:
- *   get:
- *     summary: Get department by ID
- *     tags: [Departments]
+ * /locations/{id}:
+ *   put:
+ *     summary: Update a location
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *     responses:
- *       200:
- *         description: Department found
- *       404:
- *         description: Department not found
- */
-app.get("/departments/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM departments WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Department not found" });
-  res.json(result.rows[0]);
-});
-
-/**
- * @swagger
- * /departments:
- *   post:
- *     summary: Create a new department
- *     tags: [Departments]
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name]
  *             properties:
  *               name:
  *                 type: string
+ *               holiday_calendar_id:
+ *                 type: integer
  *     responses:
- *       201:
- *         description: Department created
+ *       200:
+ *         description: Location updated
+ *       404:
+ *         description: Location not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.post("/departments", async (req, res) => {
-  const { name } = req.body;
-  const result = await pool.query(
-    "INSERT INTO departments (name) VALUES ($1) RETURNING *",
-    [name]
-  );
-  res.status(201).json(result.rows[0]);
-});
+app.put("/locations/:id", authorize(ROLES.HR_ADMIN), updateLocation.replace);
 
 /**
  * @swagger
- * /departments/{id}:
- *   put:
- *     summary: Update department
- *     tags: [Departments]
+ * /locations/{id}:
+ *   patch:
+ *     summary: Update only the given fields of a location
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
@@ -215,28 +1736,24 @@ app.post("/departments", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               holiday_calendar_id:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: Department updated
+ *         description: Location updated
  *       404:
- *         description: Department not found
+ *         description: Location not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.put("/departments/:id", async (req, res) => {
-  const { name } = req.body;
-  const result = await pool.query(
-    "UPDATE departments SET name = $1 WHERE id = $2 RETURNING *",
-    [name, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Department not found" });
-  res.json(result.rows[0]);
-});
+app.patch("/locations/:id", authorize(ROLES.HR_ADMIN), updateLocation.patch);
 
 /**
  * @swagger
- * /departments/{id}:
+ * /locations/{id}:
  *   delete:
- *     summary: Delete a department
- *     tags: [Departments]
+ *     summary: Delete a location
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
@@ -245,44 +1762,90 @@ app.put("/departments/:id", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Department deleted
+ *         description: Location deleted
  *       404:
- *         description: Department not found
+ *         description: Location not found
  */
-app.delete("/departments/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM departments WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Department not found" });
-  res.json({ message: "Deleted successfully" });
+app.delete("/locations/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query("DELETE FROM locations WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Location not found" });
+  res.json({ message: "Location deleted successfully" });
 });
 
 /**
  * @swagger
- * tags:
- *   name: Employees
- *   description: API for managing Employees
+ * /employees/{id}/location:
+ *   put:
+ *     summary: Set an employee's work location
+ *     tags: [Employees]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *       404:
+ *         description: Employee not found
  */
+app.put("/employees/:id/location", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query(
+    "UPDATE employees SET location_id = $1 WHERE id = $2 RETURNING *",
+    [req.body.location_id ?? null, req.params.id]
+  );
+  if (result.rowCount === 0) return res.status(404).json({ error: "Employee not found" });
+  res.json(result.rows[0]);
+});
 
 /**
  * @swagger
- * /employees:
+ * /holiday_calendars:
  *   get:
- *     summary: Get all employees
- *     tags: [Employees]
+ *     summary: Get all holiday calendars
+ *     tags: [Holidays]
+ *     description: Filter and sort by id, name.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
  *     responses:
  *       200:
- *         description: List of employees
+ *         description: List of holiday calendars
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.get("/employees", async (req, res) => {
-  const result = await pool.query("SELECT * FROM employees");
-  res.json(result.rows);
+app.get("/holiday_calendars", authorize(...ALL_ROLES), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM holiday_calendars",
+    fields: { id: "integer", name: "text" },
+    defaultSort: "name",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
 });
 
 /**
  * @swagger
- * /employees/{id}:
+ * /holiday_calendars/{id}:
  *   get:
- *     summary: Get Employee by ID
- *     tags: [Employees]
+ *     summary: Get a holiday calendar
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
@@ -291,65 +1854,66 @@ app.get("/employees", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Employee found
+ *         description: Found, with its ETag
  *       404:
- *         description: Employee not found
+ *         description: Holiday calendar not found
  */
-app.get("/employees/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM employees WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Employee not found" });
-  res.json(result.rows[0]);
+app.get("/holiday_calendars/:id", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM holiday_calendars WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Holiday calendar not found" });
+  sendVersioned(res, result.rows[0]);
 });
 
 /**
  * @swagger
- * /employees:
+ * /holiday_calendars:
  *   post:
- *     summary: Create a new employee
- *     tags: [Employees]
+ *     summary: Create a holiday calendar
+ *     tags: [Holidays]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name, email]
+ *             required: [name]
  *             properties:
  *               name:
  *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               doj:
- *                 type: string
- *                 format: date
  *     responses:
  *       201:
- *         description: Employee created
+ *         description: Holiday calendar created
  */
-app.post("/employees", async (req, res) => {
-  const { name, email, phone, doj } = req.body;
-  const result = await pool.query(
-    "INSERT INTO employees (name, email, phone, doj) VALUES ($1, $2, $3, $4) RETURNING *",
-    [name, email, phone, doj]
-  );
+app.post("/holiday_calendars", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query("INSERT INTO holiday_calendars (name) VALUES ($1) RETURNING *", [req.body.name]);
   res.status(201).json(result.rows[0]);
 });
 
+const updateHolidayCalendar = versionedUpdate(withTransaction, {
+  notFound: "Holiday calendar not found",
+  load: (client, req) => client.query("SELECT * FROM holiday_calendars WHERE id = $1 FOR UPDATE", [req.params.id]),
+  fields: ["name"],
+  save: async (client, { name }, current) => {
+    const result = await client.query("UPDATE holiday_calendars SET name = $1 WHERE id = $2 RETURNING *", [name, current.id]);
+    return { row: result.rows[0] };
+  },
+});
+
 /**
  * @swagger
- * /employees/{id}:
+ * /holiday_calendars/{id}:
  *   put:
- *     summary: Update employee
- *     tags: [Employees]
+ *     summary: Rename a holiday calendar
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
@@ -357,71 +1921,129 @@ app.post("/employees", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
- *               phone:
- *                 type: string
  *     responses:
  *       200:
- *         description: Employee updated
+ *         description: Holiday calendar updated
+ *       404:
+ *         description: Holiday calendar not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.put("/employees/:id", async (req, res) => {
-  const { id } = req.params;
-  const { name, phone } = req.body;
-  const result = await pool.query(
-    "UPDATE employees SET name = $1, phone = $2 WHERE id = $3 RETURNING *",
-    [name, phone, id]
-  );
-  res.json(result.rows[0]);
-});
+app.put("/holiday_calendars/:id", authorize(ROLES.HR_ADMIN), updateHolidayCalendar.replace);
 
 /**
  * @swagger
- * /employees/{id}:
- *   delete:
- *     summary: Delete employee
- *     tags: [Employees]
+ * /holiday_calendars/{id}:
+ *   patch:
+ *     summary: Update only the given fields of a holiday calendar
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
  *     responses:
- *       204:
- *         description: Deleted successfully
+ *       200:
+ *         description: Holiday calendar updated
+ *       404:
+ *         description: Holiday calendar not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.delete("/employees/:id", async (req, res) => {
-  await pool.query("DELETE FROM employees WHERE id = $1", [req.params.id]);
-  res.status(204).send();
-});
+app.patch("/holiday_calendars/:id", authorize(ROLES.HR_ADMIN), updateHolidayCalendar.patch);
 
 /**
  * @swagger
- * tags:
- *   name: LeavePolicies
- *   description: API for managing leave policies
+ * /holiday_calendars/{id}:
+ *   delete:
+ *     summary: Delete a holiday calendar and its holidays
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holiday calendar deleted
+ *       404:
+ *         description: Holiday calendar not found
  */
+app.delete("/holiday_calendars/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query("DELETE FROM holiday_calendars WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Holiday calendar not found" });
+  res.json({ message: "Holiday calendar deleted successfully" });
+});
 
 /**
  * @swagger
- * /leave_policies:
+ * /holidays:
  *   get:
- *     summary: Get all leave policies
- *     tags: [LeavePolicies]
+ *     summary: List holidays
+ *     description: >
+ *       Filter by calendar_id, or pass employee_id to get the holidays that apply to that employee
+ *       (company-wide holidays plus their location's calendar, optional holidays included and flagged).
+ *       Filter and sort by id, calendar_id, holiday_date, name, is_optional. Ranges via _from/_to on holiday_date.
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: query
+ *         name: employee_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: calendar_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: holiday_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: is_optional, schema: { type: boolean } }
+ *       - { in: query, name: holiday_date_from, schema: { type: string, format: date } }
+ *       - { in: query, name: holiday_date_to, schema: { type: string, format: date } }
  *     responses:
  *       200:
- *         description: List of leave policies
+ *         description: Holidays ordered by date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.get("/leave_policies", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_policies");
-  res.status(200).json(result.rows);
+app.get("/holidays", authorize(...ALL_ROLES), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: `SELECT h.* FROM holidays h
+       WHERE ($1::int IS NULL OR h.calendar_id IS NULL OR h.calendar_id = (
+           SELECT l.holiday_calendar_id FROM employees e JOIN locations l ON l.id = e.location_id WHERE e.id = $1
+         ))
+         AND ($2::int IS NULL OR EXTRACT(YEAR FROM h.holiday_date) = $2)`,
+    params: [req.query.employee_id || null, req.query.year || null],
+    fields: { id: "integer", calendar_id: "integer", holiday_date: "date", name: "text", is_optional: "boolean" },
+    defaultSort: "holiday_date",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
 });
 
 /**
  * @swagger
- * /leave_policies/{id}:
+ * /holidays/{id}:
  *   get:
- *     summary: Get leave policy by ID
- *     tags: [LeavePolicies]
+ *     summary: Get a holiday
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
@@ -430,146 +2052,464 @@ app.get("/leave_policies", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave policy found
+ *         description: Found, with its ETag
  *       404:
- *         description: Leave policy not found
+ *         description: Holiday not found
  */
-app.get("/leave_policies/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_policies WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json(result.rows[0]);
+app.get("/holidays/:id", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM holidays WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Holiday not found" });
+  sendVersioned(res, result.rows[0]);
 });
 
 /**
  * @swagger
- * /leave_policies:
+ * /holidays:
  *   post:
- *     summary: Create a new leave policy
- *     tags: [LeavePolicies]
+ *     summary: Add a holiday
+ *     description: Omit calendar_id for a company-wide holiday that applies at every location.
+ *     tags: [Holidays]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [policy_name, max_leaves]
- *             properties:
- *               policy_name:
- *                 type: string
- *               description:
- *                 type: string
- *               max_leaves:
- *                 type: integer
+ *             allOf:
+ *               - $ref: '#/components/schemas/Holiday'
+ *               - required: [holiday_date, name]
  *     responses:
  *       201:
- *         description: Leave policy created
+ *         description: Holiday created
  */
-app.post("/leave_policies", async (req, res) => {
-  const { policy_name, description, max_leaves } = req.body;
+app.post("/holidays", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { calendar_id, holiday_date, name, is_optional } = req.body;
   const result = await pool.query(
-    `INSERT INTO leave_policies (policy_name, description, max_leaves)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [policy_name, description, max_leaves]
+    `INSERT INTO holidays (calendar_id, holiday_date, name, is_optional)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [calendar_id, holiday_date, name, is_optional ?? false]
   );
   res.status(201).json(result.rows[0]);
 });
 
+const updateHoliday = versionedUpdate(withTransaction, {
+  notFound: "Holiday not found",
+  load: (client, req) => client.query("SELECT * FROM holidays WHERE id = $1 FOR UPDATE", [req.params.id]),
+  fields: ["holiday_date", "name", "is_optional"],
+  save: async (client, { holiday_date, name, is_optional }, current) => {
+    const result = await client.query(
+      "UPDATE holidays SET holiday_date = $1, name = $2, is_optional = $3 WHERE id = $4 RETURNING *",
+      [holiday_date, name, is_optional ?? false, current.id]
+    );
+    return { row: result.rows[0] };
+  },
+});
+
 /**
  * @swagger
- * /leave_policies/{id}:
+ * /holidays/{id}:
  *   put:
- *     summary: Update a leave policy
- *     tags: [LeavePolicies]
+ *     summary: Update a holiday
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               policy_name:
- *                 type: string
- *               description:
- *                 type: string
- *               max_leaves:
- *                 type: integer
+ *             $ref: '#/components/schemas/Holiday'
  *     responses:
  *       200:
- *         description: Leave policy updated
+ *         description: Holiday updated
  *       404:
- *         description: Leave policy not found
+ *         description: Holiday not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.put("/leave_policies/:id", async (req, res) => {
-  const { policy_name, description, max_leaves } = req.body;
-  const result = await pool.query(
-    `UPDATE leave_policies
-     SET policy_name = $1, description = $2, max_leaves = $3
-     WHERE id = $4 RETURNING *`,
-    [policy_name, description, max_leaves, req.params.id]
+app.put("/holidays/:id", authorize(ROLES.HR_ADMIN), updateHoliday.replace);
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   patch:
+ *     summary: Update only the given fields of a holiday
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Holiday'
+ *     responses:
+ *       200:
+ *         description: Holiday updated
+ *       404:
+ *         description: Holiday not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
+ */
+app.patch("/holidays/:id", authorize(ROLES.HR_ADMIN), updateHoliday.patch);
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   delete:
+ *     summary: Delete a holiday
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holiday deleted
+ *       404:
+ *         description: Holiday not found
+ */
+app.delete("/holidays/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query("DELETE FROM holidays WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Holiday not found" });
+  res.json({ message: "Holiday deleted successfully" });
+});
+
+// Minimal iCalendar (RFC 5545) support: all-day VEVENTs with SUMMARY and an optional
+// CATEGORIES:Optional marker, which is how calendar apps and government feeds publish holidays.
+const icsEscape = (text) => String(text ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+const icsUnescape = (text) => text.replace(/\\n/gi, "\n").replace(/\\([\;,])/g, "$1");
+const icsDate = (iso) => iso.replace(/-/g, "");
+// A holiday longer than this is almost certainly a broken DTEND rather than a real closure
+const ICS_MAX_EVENT_DAYS = 31;
+
+// Returns { holidays } or { error } for an event spanning more than ICS_MAX_EVENT_DAYS
+function parseIcsHolidays(ics) {
+  const lines = ics.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const holidays = [];
+  let event = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (!event) continue;
+      if (event.start) {
+        // DTEND is exclusive for all-day events; expand multi-day events to one holiday per day
+        const end = event.end ? new Date(event.end) : new Date(event.start);
+        if (event.end) end.setUTCDate(end.getUTCDate() - 1);
+        if ((end - new Date(event.start)) / 86400000 + 1 > ICS_MAX_EVENT_DAYS) {
+          return { error: `"${event.name || "Holiday"}" spans more than ${ICS_MAX_EVENT_DAYS} days` };
+        }
+        for (let d = new Date(event.start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+          holidays.push({ holiday_date: d.toISOString().slice(0, 10), name: event.name || "Holiday", is_optional: !!event.optional });
+        }
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+    const [prop] = line.slice(0, sep).split(";");
+    const value = line.slice(sep + 1);
+    const date = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+    if (prop === "DTSTART" && date) event.start = `${date[1]}-${date[2]}-${date[3]}T00:00:00Z`;
+    else if (prop === "DTEND" && date) event.end = `${date[1]}-${date[2]}-${date[3]}T00:00:00Z`;
+    else if (prop === "SUMMARY") event.name = icsUnescape(value);
+    else if (prop === "CATEGORIES") event.optional = /(^|,)optional(,|$)/i.test(value);
+  }
+  return { holidays };
+}
+
+function renderIcsHolidays(calendar, holidays) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//HRMS//Holiday Calendar//EN", `X-WR-CALNAME:${icsEscape(calendar.name)}`];
+  for (const h of holidays) {
+    const next = new Date(`${h.day}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:holiday-${h.id}@hrms`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(h.day)}`,
+      `DTEND;VALUE=DATE:${icsDate(next.toISOString().slice(0, 10))}`,
+      `SUMMARY:${icsEscape(h.name)}`,
+      ...(h.is_optional ? ["CATEGORIES:Optional"] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * @swagger
+ * /holiday_calendars/{id}/ics:
+ *   get:
+ *     summary: Export a holiday calendar as iCalendar
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: ICS file
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Holiday calendar not found
+ */
+app.get("/holiday_calendars/:id/ics", authorize(...ALL_ROLES), async (req, res) => {
+  const calendar = await pool.query("SELECT * FROM holiday_calendars WHERE id = $1", [req.params.id]);
+  if (calendar.rows.length === 0) return res.status(404).json({ error: "Holiday calendar not found" });
+  const holidays = await pool.query(
+    `SELECT id, to_char(holiday_date, 'YYYY-MM-DD') AS day, name, is_optional FROM holidays
+     WHERE calendar_id = $1 AND ($2::int IS NULL OR EXTRACT(YEAR FROM holiday_date) = $2)
+     ORDER BY holiday_date`,
+    [req.params.id, req.query.year || null]
   );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json(result.rows[0]);
+  res.set("Content-Disposition", `attachment; filename="holidays-${req.params.id}.ics"`);
+  res.type("text/calendar").send(renderIcsHolidays(calendar.rows[0], holidays.rows));
 });
 
 /**
  * @swagger
- * /leave_policies/{id}:
- *   delete:
- *     summary: Delete a leave policy
- *     tags: [LeavePolicies]
+ * /holiday_calendars/{id}/ics:
+ *   post:
+ *     summary: Import holidays from an iCalendar file
+ *     description: All-day events become holidays (multi-day events expand per day); CATEGORIES:Optional marks optional holidays. Existing dates are updated.
+ *     tags: [Holidays]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
  *     responses:
  *       200:
- *         description: Leave policy deleted
+ *         description: Imported holidays
+ *       400:
+ *         description: An event spans more than 31 days
  *       404:
- *         description: Leave policy not found
+ *         description: Holiday calendar not found
+ */
+app.post(
+  "/holiday_calendars/:id/ics",
+  authorize(ROLES.HR_ADMIN),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    if (typeof req.body !== "string") return res.status(400).json({ error: "Send the file as text/calendar" });
+    const calendar = await pool.query("SELECT id FROM holiday_calendars WHERE id = $1", [req.params.id]);
+    if (calendar.rows.length === 0) return res.status(404).json({ error: "Holiday calendar not found" });
+    const { holidays, error } = parseIcsHolidays(req.body);
+    if (error) return res.status(400).json({ error });
+    const imported = await withTransaction(async (client) => {
+      const rows = [];
+      for (const h of holidays) {
+        const result = await client.query(
+          `INSERT INTO holidays (calendar_id, holiday_date, name, is_optional) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (calendar_id, holiday_date) WHERE calendar_id IS NOT NULL
+           DO UPDATE SET name = EXCLUDED.name, is_optional = EXCLUDED.is_optional
+           RETURNING *`,
+          [req.params.id, h.holiday_date, h.name, h.is_optional]
+        );
+        rows.push(result.rows[0]);
+      }
+      return rows;
+    });
+    res.json({ imported: imported.length, holidays: imported });
+  }
+);
+
+/**
+ * @swagger
+ * /timesheets/expected/{employeeId}:
+ *   get:
+ *     summary: Expected versus logged timesheet hours per day
+ *     description: Weekends and the employee's non-optional holidays expect 0 hours; other days expect TIMESHEET_HOURS_PER_DAY.
+ *     tags: [Timesheets]
+ *     parameters:
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end
+ *         description: Defaults to six days after start (one week)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Per-day expectations and totals
  */
-app.delete("/leave_policies/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leave_policies WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave policy not found" });
-  res.json({ message: "Leave policy deleted successfully" });
+app.get("/timesheets/expected/:employeeId", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const start = parseDate(req.query.start);
+  const end = req.query.end ? parseDate(req.query.end) : start && new Date(start.getTime() + 6 * 86400000);
+  if (!start || !end || end < start) return res.status(400).json({ error: "start (and optional end) must be valid dates" });
+  const startIso = start.toISOString().slice(0, 10);
+  const endIso = end.toISOString().slice(0, 10);
+  const holidays = await pool.query(
+    `SELECT to_char(holiday_date, 'YYYY-MM-DD') AS day, name FROM employee_holidays
+     WHERE employee_id = $1 AND holiday_date BETWEEN $2 AND $3`,
+    [req.params.employeeId, startIso, endIso]
+  );
+  const logged = await pool.query(
+    `SELECT to_char(log_date, 'YYYY-MM-DD') AS day, SUM(hours) AS hours FROM timesheets
+     WHERE employee_id = $1 AND log_date BETWEEN $2 AND $3 GROUP BY log_date`,
+    [req.params.employeeId, startIso, endIso]
+  );
+  const holidayByDay = new Map(holidays.rows.map((h) => [h.day, h.name]));
+  const loggedByDay = new Map(logged.rows.map((l) => [l.day, Number(l.hours)]));
+  const days = [];
+  for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.toISOString().slice(0, 10);
+    const holiday = holidayByDay.get(day) || null;
+    days.push({
+      date: day,
+      expected_hours: isWeekend(d) || holiday ? 0 : TIMESHEET_HOURS_PER_DAY,
+      logged_hours: loggedByDay.get(day) || 0,
+      holiday,
+    });
+  }
+  res.json({
+    employee_id: Number(req.params.employeeId),
+    days,
+    total_expected: days.reduce((sum, d) => sum + d.expected_hours, 0),
+    total_logged: days.reduce((sum, d) => sum + d.logged_hours, 0),
+  });
 });
 
+/**
+ * 🗓️ Shifts and roster
+ */
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function validateShift({ name, start_time, end_time, grace_minutes, break_minutes, weekly_offs }) {
+  if (!name) return "name is required";
+  if (!TIME_RE.test(start_time || "") || !TIME_RE.test(end_time || "")) return "start_time and end_time must be HH:MM";
+  for (const value of [grace_minutes, break_minutes]) {
+    if (value != null && !(Number.isInteger(value) && value >= 0)) return "grace_minutes and break_minutes must be non-negative integers";
+  }
+  if (break_minutes >= spanMinutes(start_time, end_time)) return "break_minutes must be shorter than the shift";
+  if (weekly_offs != null && !(Array.isArray(weekly_offs) && weekly_offs.every((d) => Number.isInteger(d) && d >= 1 && d <= 7))) {
+    return "weekly_offs must be an array of ISO weekdays (1 = Monday ... 7 = Sunday)";
+  }
+  return null;
+}
+
+// ISO weekday (1 = Monday ... 7 = Sunday) of a Date at UTC midnight
+const isoWeekday = (date) => date.getUTCDay() || 7;
 
 /**
  * @swagger
  * tags:
- *   name: Leaves
- *   description: API for managing employee leaves
+ *   name: Roster
+ *   description: Shifts and roster assignments used to compute attendance status
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shift:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         start_time:
+ *           $ref: '#/components/schemas/TimeOfDay'
+ *         end_time:
+ *           $ref: '#/components/schemas/TimeOfDay'
+ *         grace_minutes:
+ *           type: integer
+ *         break_minutes:
+ *           type: integer
+ *         weekly_offs:
+ *           type: array
+ *           description: ISO weekdays (1 = Monday ... 7 = Sunday); defaults to Saturday and Sunday
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 7
  */
 
 /**
  * @swagger
- * /leaves:
+ * /shifts:
  *   get:
- *     summary: Get all leave records
- *     tags: [Leaves]
+ *     summary: Get all shifts
+ *     tags: [Roster]
+ *     description: Filter and sort by id, name, start_time, end_time. Ranges via _from/_to on start_time, end_time.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: start_time, explode: false, schema: { type: array, items: { $ref: '#/components/schemas/TimeOfDay' } } }
+ *       - { in: query, name: end_time, explode: false, schema: { type: array, items: { $ref: '#/components/schemas/TimeOfDay' } } }
+ *       - { in: query, name: start_time_from, schema: { $ref: '#/components/schemas/TimeOfDay' } }
+ *       - { in: query, name: start_time_to, schema: { $ref: '#/components/schemas/TimeOfDay' } }
+ *       - { in: query, name: end_time_from, schema: { $ref: '#/components/schemas/TimeOfDay' } }
+ *       - { in: query, name: end_time_to, schema: { $ref: '#/components/schemas/TimeOfDay' } }
  *     responses:
  *       200:
- *         description: List of leave records
+ *         description: List of shifts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.get("/leaves", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves");
-  res.status(200).json(result.rows);
+app.get("/shifts", authorize(...ALL_ROLES), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM shifts",
+    fields: { id: "integer", name: "text", start_time: "time", end_time: "time" },
+    defaultSort: "start_time,name",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
 });
 
 /**
  * @swagger
- * /leaves/{id}:
+ * /shifts/{id}:
  *   get:
- *     summary: Get a leave record by ID
- *     tags: [Leaves]
+ *     summary: Get a shift
+ *     tags: [Roster]
  *     parameters:
  *       - in: path
  *         name: id
@@ -578,155 +2518,141 @@ app.get("/leaves", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave record found
+ *         description: Found, with its ETag
  *       404:
- *         description: Leave record not found
+ *         description: Shift not found
  */
-app.get("/leaves/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json(result.rows[0]);
+app.get("/shifts/:id", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM shifts WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Shift not found" });
+  sendVersioned(res, result.rows[0]);
 });
 
 /**
  * @swagger
- * /leaves:
+ * /shifts:
  *   post:
- *     summary: Apply for a leave
- *     tags: [Leaves]
+ *     summary: Create a shift
+ *     description: >
+ *       A full day is the shift length less its break and a half day is half of that.
+ *       Shifts whose end_time is earlier than start_time run overnight.
+ *     tags: [Roster]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [employee_id, type, start_date, end_date]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               type:
- *                 type: string
- *               start_date:
- *                 type: string
- *                 format: date
- *               end_date:
- *                 type: string
- *                 format: date
- *               status:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/Shift'
+ *               - required: [name, start_time, end_time]
  *     responses:
  *       201:
- *         description: Leave applied successfully
+ *         description: Shift created
+ *       400:
+ *         description: Invalid shift
  */
-app.post("/leaves", async (req, res) => {
-  const { employee_id, type, start_date, end_date, status } = req.body;
+app.post("/shifts", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const error = validateShift(req.body);
+  if (error) return res.status(400).json({ error });
+  const { name, start_time, end_time, grace_minutes, break_minutes, weekly_offs } = req.body;
   const result = await pool.query(
-    `INSERT INTO leaves (employee_id, type, start_date, end_date, status)
-     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-    [employee_id, type, start_date, end_date, status || 'Pending']
+    `INSERT INTO shifts (name, start_time, end_time, grace_minutes, break_minutes, weekly_offs)
+     VALUES ($1, $2, $3, COALESCE($4, 0), COALESCE($5, 0), COALESCE($6::int[], '{6,7}')) RETURNING *`,
+    [name, start_time, end_time, grace_minutes, break_minutes, weekly_offs]
   );
   res.status(201).json(result.rows[0]);
 });
 
+const updateShift = versionedUpdate(withTransaction, {
+  notFound: "Shift not found",
+  load: (client, req) => client.query("SELECT * FROM shifts WHERE id = $1 FOR UPDATE", [req.params.id]),
+  fields: ["name", "start_time", "end_time", "grace_minutes", "break_minutes", "weekly_offs"],
+  save: async (client, values, current) => {
+    const error = validateShift(values);
+    if (error) return { status: 400, error };
+    const { name, start_time, end_time, grace_minutes, break_minutes, weekly_offs } = values;
+    const result = await client.query(
+      `UPDATE shifts
+       SET name = $1, start_time = $2, end_time = $3, grace_minutes = COALESCE($4, 0),
+           break_minutes = COALESCE($5, 0), weekly_offs = COALESCE($6::int[], '{6,7}')
+       WHERE id = $7 RETURNING *`,
+      [name, start_time, end_time, grace_minutes, break_minutes, weekly_offs, current.id]
+    );
+    return { row: result.rows[0] };
+  },
+});
+
 /**
  * @swagger
- * /leaves/{id}:
+ * /shifts/{id}:
  *   put:
- *     summary: Update a leave record
- *     tags: [Leaves]
+ *     summary: Update a shift
+ *     description: Takes the same body as POST /shifts. Existing attendance logs keep the status computed when they were recorded.
+ *     tags: [Roster]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *               start_date:
- *                 type: string
- *                 format: date
- *               end_date:
- *                 type: string
- *                 format: date
- *               status:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/Shift'
+ *               - required: [name, start_time, end_time]
  *     responses:
  *       200:
- *         description: Leave updated
+ *         description: Shift updated
+ *       400:
+ *         description: Invalid shift
  *       404:
- *         description: Leave not found
+ *         description: Shift not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.put("/leaves/:id", async (req, res) => {
-  const { type, start_date, end_date, status } = req.body;
-  const result = await pool.query(
-    `UPDATE leaves
-     SET type = $1, start_date = $2, end_date = $3, status = $4
-     WHERE id = $5 RETURNING *`,
-    [type, start_date, end_date, status, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json(result.rows[0]);
-});
+app.put("/shifts/:id", authorize(ROLES.HR_ADMIN), updateShift.replace);
 
 /**
  * @swagger
- * /leaves/{id}:
- *   delete:
- *     summary: Delete a leave record
- *     tags: [Leaves]
+ * /shifts/{id}:
+ *   patch:
+ *     summary: Update only the given fields of a shift
+ *     description: Takes the same body as POST /shifts. Existing attendance logs keep the status computed when they were recorded.
+ *     tags: [Roster]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shift'
  *     responses:
  *       200:
- *         description: Leave deleted
+ *         description: Shift updated
+ *       400:
+ *         description: Invalid shift
  *       404:
- *         description: Leave not found
- */
-app.delete("/leaves/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leaves WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave not found" });
-  res.json({ message: "Leave deleted successfully" });
-});
-
-/**
- * @swagger
- * tags:
- *   name: LeaveBalances
- *   description: API for managing employee leave balances
- */
-
-/**
- * @swagger
- * /leave_balances:
- *   get:
- *     summary: Get all leave balances
- *     tags: [LeaveBalances]
- *     responses:
- *       200:
- *         description: List of leave balances
+ *         description: Shift not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.get("/leave_balances", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_balances");
-  res.status(200).json(result.rows);
-});
+app.patch("/shifts/:id", authorize(ROLES.HR_ADMIN), updateShift.patch);
 
 /**
  * @swagger
- * /leave_balances/{id}:
- *   get:
- *     summary: Get leave balance by ID
- *     tags: [LeaveBalances]
+ * /shifts/{id}:
+ *   delete:
+ *     summary: Delete a shift
+ *     tags: [Roster]
  *     parameters:
  *       - in: path
  *         name: id
@@ -735,97 +2661,138 @@ app.get("/leave_balances", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave balance found
+ *         description: Shift deleted
  *       404:
- *         description: Leave balance not found
+ *         description: Shift not found
+ *       409:
+ *         description: Shift is still used by roster assignments
  */
-app.get("/leave_balances/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leave_balances WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json(result.rows[0]);
+app.delete("/shifts/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const used = await pool.query("SELECT 1 FROM roster_assignments WHERE shift_id = $1 LIMIT 1", [req.params.id]);
+  if (used.rows.length > 0) return res.status(409).json({ error: "Shift is still used by roster assignments" });
+  const result = await pool.query("DELETE FROM shifts WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Shift not found" });
+  res.json({ message: "Shift deleted successfully" });
 });
 
 /**
  * @swagger
- * /leave_balances:
- *   post:
- *     summary: Add new leave balance
- *     tags: [LeaveBalances]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [employee_id, leave_type, balance]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               leave_type:
- *                 type: string
- *               balance:
- *                 type: number
+ * /roster/assignments:
+ *   get:
+ *     summary: List roster assignments
+ *     description: Employees only see their own assignments. Filter and sort by id, employee_id, shift_id, shift_name, start_date, end_date. Ranges via _from/_to on start_date, end_date.
+ *     tags: [Roster]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: shift_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: shift_name, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: start_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: end_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: start_date_from, schema: { type: string, format: date } }
+ *       - { in: query, name: start_date_to, schema: { type: string, format: date } }
+ *       - { in: query, name: end_date_from, schema: { type: string, format: date } }
+ *       - { in: query, name: end_date_to, schema: { type: string, format: date } }
  *     responses:
- *       201:
- *         description: Leave balance created
+ *       200:
+ *         description: Assignments ordered by employee and start date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.post("/leave_balances", async (req, res) => {
-  const { employee_id, leave_type, balance } = req.body;
-  const result = await pool.query(
-    `INSERT INTO leave_balances (employee_id, leave_type, balance)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [employee_id, leave_type, balance]
-  );
-  res.status(201).json(result.rows[0]);
+app.get("/roster/assignments", authorize(...ALL_ROLES), async (req, res) => {
+  const employeeId = req.user.role === ROLES.EMPLOYEE ? req.user.id : null;
+  const page = await listRows(pool, req, {
+    select: `SELECT r.*, s.name AS shift_name FROM roster_assignments r
+       JOIN shifts s ON s.id = r.shift_id
+       WHERE ($1::int IS NULL OR r.employee_id = $1)`,
+    params: [employeeId],
+    fields: { id: "integer", employee_id: "integer", shift_id: "integer", shift_name: "text", start_date: "date", end_date: "date" },
+    defaultSort: "employee_id,start_date",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
 });
 
 /**
  * @swagger
- * /leave_balances/{id}:
- *   put:
- *     summary: Update a leave balance
- *     tags: [LeaveBalances]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
+ * /roster/assignments:
+ *   post:
+ *     summary: Assign an employee to a shift over a date range
+ *     tags: [Roster]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [employee_id, shift_id, start_date]
  *             properties:
- *               leave_type:
+ *               employee_id:
+ *                 type: integer
+ *               shift_id:
+ *                 type: integer
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
  *                 type: string
- *               balance:
- *                 type: number
+ *                 format: date
+ *                 description: Omit for an open-ended assignment
  *     responses:
- *       200:
- *         description: Leave balance updated
+ *       201:
+ *         description: Assignment created
+ *       400:
+ *         description: Invalid dates
  *       404:
- *         description: Leave balance not found
+ *         description: Employee or shift not found
+ *       409:
+ *         description: Overlaps an existing assignment for the employee
  */
-app.put("/leave_balances/:id", async (req, res) => {
-  const { leave_type, balance } = req.body;
-  const result = await pool.query(
-    `UPDATE leave_balances
-     SET leave_type = $1, balance = $2
-     WHERE id = $3 RETURNING *`,
-    [leave_type, balance, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json(result.rows[0]);
+app.post("/roster/assignments", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const { employee_id, shift_id, start_date, end_date } = req.body;
+  const start = parseDate(start_date);
+  const end = end_date == null ? null : parseDate(end_date);
+  if (!start || (end_date != null && !end) || (end && end < start)) {
+    return res.status(400).json({ error: "start_date (and optional end_date) must be valid dates in order" });
+  }
+  const outcome = await withTransaction(async (client) => {
+    const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+    if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+    const shift = await client.query("SELECT id FROM shifts WHERE id = $1", [shift_id]);
+    if (shift.rows.length === 0) return { status: 404, error: "Shift not found" };
+    const overlap = await client.query(
+      `SELECT id FROM roster_assignments
+       WHERE employee_id = $1
+         AND start_date <= COALESCE($3::date, 'infinity')
+         AND COALESCE(end_date, 'infinity') >= $2::date
+       LIMIT 1`,
+      [employee_id, start_date, end_date]
+    );
+    if (overlap.rows.length > 0) {
+      return { status: 409, error: `Overlaps roster assignment ${overlap.rows[0].id}` };
+    }
+    const result = await client.query(
+      `INSERT INTO roster_assignments (employee_id, shift_id, start_date, end_date)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [employee_id, shift_id, start_date, end_date]
+    );
+    return { assignment: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.status(201).json(outcome.assignment);
 });
 
 /**
  * @swagger
- * /leave_balances/{id}:
+ * /roster/assignments/{id}:
  *   delete:
- *     summary: Delete a leave balance
- *     tags: [LeaveBalances]
+ *     summary: Remove a roster assignment
+ *     tags: [Roster]
  *     parameters:
  *       - in: path
  *         name: id
@@ -834,67 +2801,209 @@ app.put("/leave_balances/:id", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave balance deleted
+ *         description: Assignment removed
  *       404:
- *         description: Leave balance not found
+ *         description: Assignment not found
  */
-app.delete("/leave_balances/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM leave_balances WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Leave balance not found" });
-  res.json({ message: "Leave balance deleted successfully" });
+app.delete("/roster/assignments/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query("DELETE FROM roster_assignments WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Roster assignment not found" });
+  res.json({ message: "Roster assignment removed successfully" });
 });
 
 /**
  * @swagger
- * tags:
- *   name: AttendanceLogs
- *   description: API for tracking employee attendance logs
- */
-
-/**
- * @swagger
- * /attendance_logs:
+ * /roster:
  *   get:
- *     summary: Get all attendance logs
- *     tags: [AttendanceLogs]
+ *     summary: Weekly roster
+ *     description: >
+ *       Shift and weekly-off flag per employee for each day of the Monday-to-Sunday week containing `week`.
+ *       Unrostered days show the default shift with a null shift_id. Employees only see their own row.
+ *     tags: [Roster]
+ *     parameters:
+ *       - in: query
+ *         name: week
+ *         description: Any date in the week; defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: employee_id
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of attendance logs
+ *         description: "{ week_start, week_end, employees: [{ employee_id, name, days }] }"
+ *       400:
+ *         description: Invalid week
  */
-app.get("/attendance_logs", async (req, res) => {
-  const result = await pool.query("SELECT * FROM attendance_logs");
-  res.status(200).json(result.rows);
+app.get("/roster", authorize(...ALL_ROLES), async (req, res) => {
+  const day = req.query.week ? parseDate(req.query.week) : parseDate(today());
+  if (!day) return res.status(400).json({ error: "week must be a date (YYYY-MM-DD)" });
+  const weekStart = new Date(day.getTime() - (isoWeekday(day) - 1) * 86400000);
+  const weekStartIso = weekStart.toISOString().slice(0, 10);
+  const employeeId = req.user.role === ROLES.EMPLOYEE ? req.user.id : req.query.employee_id || null;
+  const result = await pool.query(
+    `SELECT e.id AS employee_id, e.name, to_char(d, 'YYYY-MM-DD') AS date,
+            s.id AS shift_id, s.name AS shift_name, s.start_time, s.end_time, s.weekly_offs
+     FROM employees e
+     CROSS JOIN generate_series($1::date, $1::date + 6, interval '1 day') d
+     LEFT JOIN LATERAL (
+       SELECT s.* FROM roster_assignments r
+       JOIN shifts s ON s.id = r.shift_id
+       WHERE r.employee_id = e.id AND d::date BETWEEN r.start_date AND COALESCE(r.end_date, 'infinity')
+       ORDER BY r.start_date DESC
+       LIMIT 1
+     ) s ON true
+     WHERE ($2::int IS NULL OR e.id = $2) AND (e.exit_date IS NULL OR e.exit_date >= $1)
+     ORDER BY e.name, e.id, d`,
+    [weekStartIso, employeeId]
+  );
+  const employees = new Map();
+  for (const row of result.rows) {
+    if (!employees.has(row.employee_id)) employees.set(row.employee_id, { employee_id: row.employee_id, name: row.name, days: [] });
+    const shift = row.shift_id ? row : { ...DEFAULT_SHIFT, shift_id: null, shift_name: "Default" };
+    employees.get(row.employee_id).days.push({
+      date: row.date,
+      shift_id: shift.shift_id,
+      shift_name: shift.shift_name,
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      weekly_off: shift.weekly_offs.includes(isoWeekday(parseDate(row.date))),
+    });
+  }
+  res.json({
+    week_start: weekStartIso,
+    week_end: new Date(weekStart.getTime() + 6 * 86400000).toISOString().slice(0, 10),
+    employees: [...employees.values()],
+  });
 });
 
 /**
  * @swagger
- * /attendance_logs/{id}:
+ * /attendance/missing/{date}:
  *   get:
- *     summary: Get attendance log by ID
+ *     summary: Get employees without attendance log on a specific date
+ *     description: Employees on a weekly off under their rostered shift, or on a holiday at their location, are not reported.
  *     tags: [AttendanceLogs]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: date
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: date
+ *         description: Date to check attendance
  *     responses:
  *       200:
- *         description: Attendance log found
- *       404:
- *         description: Attendance log not found
+ *         description: List of absent employees
  */
-app.get("/attendance_logs/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM attendance_logs WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json(result.rows[0]);
+app.get("/attendance/missing/:date", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const { date } = req.params;
+  if (!parseDate(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  const result = await pool.query(
+    `SELECT e.* FROM employees e
+     LEFT JOIN LATERAL (
+       SELECT s.weekly_offs FROM roster_assignments r
+       JOIN shifts s ON s.id = r.shift_id
+       WHERE r.employee_id = e.id AND $1::date BETWEEN r.start_date AND COALESCE(r.end_date, 'infinity')
+       ORDER BY r.start_date DESC
+       LIMIT 1
+     ) s ON true
+     WHERE (e.exit_date IS NULL OR e.exit_date >= $1)
+       AND NOT EXISTS (SELECT 1 FROM attendance_logs a WHERE a.employee_id = e.id AND a.date = $1)
+       AND NOT EXISTS (SELECT 1 FROM employee_holidays h WHERE h.employee_id = e.id AND h.holiday_date = $1)
+       AND NOT (EXTRACT(ISODOW FROM $1::date)::int = ANY(COALESCE(s.weekly_offs, $2::int[])))
+     ORDER BY e.name`,
+    [date, DEFAULT_SHIFT.weekly_offs]
+  );
+  res.json(result.rows);
 });
 
+/**
+ * 📋 Attendance regularization and register
+ */
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Rewrites a log's times and derived columns, keeping the previous values in attendance_log_changes
+async function changeAttendanceTimes(client, log, { check_in, check_out, reason, regularization_id, changed_by }) {
+  const { worked_hours, status } = await attendanceDerived(client, { ...log, check_in, check_out });
+  const result = await client.query(
+    `UPDATE attendance_logs
+     SET check_in = $1, check_out = $2, worked_hours = $3, status = $4
+     WHERE id = $5 RETURNING *`,
+    [check_in, check_out, worked_hours, status, log.id]
+  );
+  await client.query(
+    `INSERT INTO attendance_log_changes
+       (attendance_log_id, previous_check_in, previous_check_out, check_in, check_out, reason, regularization_id, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [log.id, log.check_in, log.check_out, check_in, check_out, reason, regularization_id, changed_by]
+  );
+  await refreshTimesheetWarnings(client, log.employee_id, log.date);
+  return result.rows[0];
+}
+
+// Regularizations are reviewed by the employee's manager, or by HR when the employee has none
+async function canReviewRegularization(db, req, request) {
+  const result = await db.query("SELECT manager_id FROM employees WHERE id = $1", [request.employee_id]);
+  const managerId = result.rows[0] && result.rows[0].manager_id;
+  return managerId ? managerId === req.user.id : req.user.role === ROLES.HR_ADMIN;
+}
+
+async function reviewRegularization(req, res, status) {
+  const outcome = await withTransaction(async (client) => {
+    const found = await client.query("SELECT * FROM attendance_regularizations WHERE id = $1 FOR UPDATE", [req.params.id]);
+    if (found.rows.length === 0) return { status: 404, error: "Regularization request not found" };
+    const request = found.rows[0];
+    if (request.employee_id === req.user.id) return { status: 403, error: "You cannot review your own regularization" };
+    if (request.status !== "Pending") return { status: 409, error: `Regularization is already ${request.status}` };
+    if (!(await canReviewRegularization(client, req, request))) {
+      return { status: 403, error: "Only the employee's manager can review this regularization" };
+    }
+
+    let logId = null;
+    if (status === "Approved") {
+      const existing = await client.query(
+        "SELECT * FROM attendance_logs WHERE employee_id = $1 AND date = $2 ORDER BY id LIMIT 1 FOR UPDATE",
+        [request.employee_id, request.date]
+      );
+      let log = existing.rows[0];
+      if (!log) {
+        const inserted = await client.query(
+          "INSERT INTO attendance_logs (employee_id, date) VALUES ($1, $2) RETURNING *",
+          [request.employee_id, request.date]
+        );
+        log = inserted.rows[0];
+      }
+      await changeAttendanceTimes(client, log, {
+        check_in: request.check_in,
+        check_out: request.check_out,
+        reason: request.reason,
+        regularization_id: request.id,
+        changed_by: req.user.id,
+      });
+      logId = log.id;
+    }
+    const result = await client.query(
+      `UPDATE attendance_regularizations
+       SET status = $1, reviewed_by = $2, reviewed_on = CURRENT_TIMESTAMP, review_comment = $3,
+           attendance_log_id = COALESCE($4, attendance_log_id)
+       WHERE id = $5 RETURNING *`,
+      [status, req.user.id, (req.body || {}).comment || null, logId, request.id]
+    );
+    return { request: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.json(outcome.request);
+}
+
 /**
  * @swagger
- * /attendance_logs:
+ * /attendance/regularizations:
  *   post:
- *     summary: Add new attendance log
+ *     summary: Request a correction to a day's attendance
+ *     description: The employee's manager (HR when there is none) approves it, which updates or creates the log for that date.
  *     tags: [AttendanceLogs]
  *     requestBody:
  *       required: true
@@ -902,7 +3011,7 @@ app.get("/attendance_logs/:id", async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [employee_id, date, check_in]
+ *             required: [employee_id, date, check_in, check_out, reason]
  *             properties:
  *               employee_id:
  *                 type: integer
@@ -910,30 +3019,120 @@ app.get("/attendance_logs/:id", async (req, res) => {
  *                 type: string
  *                 format: date
  *               check_in:
- *                 type: string
- *                 format: date-time
+ *                 $ref: '#/components/schemas/TimeOfDay'
  *               check_out:
+ *                 $ref: '#/components/schemas/TimeOfDay'
+ *               reason:
  *                 type: string
- *                 format: date-time
  *     responses:
  *       201:
- *         description: Attendance log created
+ *         description: Regularization request submitted
+ *       400:
+ *         description: Invalid date, times or missing reason
+ *       409:
+ *         description: A pending request already exists for that date
+ */
+app.post("/attendance/regularizations", authorize(...ALL_ROLES), async (req, res) => {
+  const { employee_id, date, check_in, check_out, reason } = req.body;
+  if (!(await canActFor(req, employee_id))) return res.status(403).json({ error: "Forbidden" });
+  const day = parseDate(date);
+  if (!day || date > today()) return res.status(400).json({ error: "date must be a past or current date (YYYY-MM-DD)" });
+  if (!TIME_RE.test(check_in || "") || !TIME_RE.test(check_out || "")) {
+    return res.status(400).json({ error: "check_in and check_out must be HH:MM" });
+  }
+  if (!reason || !String(reason).trim()) return res.status(400).json({ error: "reason is required" });
+
+  const outcome = await withTransaction(async (client) => {
+    const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+    if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+    const pending = await client.query(
+      "SELECT id FROM attendance_regularizations WHERE employee_id = $1 AND date = $2 AND status = 'Pending'",
+      [employee_id, date]
+    );
+    if (pending.rows.length > 0) {
+      return { status: 409, error: `Regularization ${pending.rows[0].id} is already pending for ${date}` };
+    }
+    const log = await client.query(
+      "SELECT id FROM attendance_logs WHERE employee_id = $1 AND date = $2 ORDER BY id LIMIT 1",
+      [employee_id, date]
+    );
+    const result = await client.query(
+      `INSERT INTO attendance_regularizations (employee_id, date, attendance_log_id, check_in, check_out, reason)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [employee_id, date, log.rows[0] ? log.rows[0].id : null, check_in, check_out, reason]
+    );
+    return { request: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.status(201).json(outcome.request);
+});
+
+/**
+ * @swagger
+ * /attendance/regularizations:
+ *   get:
+ *     summary: List regularization requests
+ *     description: Employees only see their own requests. Filter and sort by id, employee_id, date, status, requested_on. Ranges via _from/_to on date, requested_on.
+ *     tags: [AttendanceLogs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: requested_on, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: date_from, schema: { type: string, format: date } }
+ *       - { in: query, name: date_to, schema: { type: string, format: date } }
+ *       - { in: query, name: requested_on_from, schema: { type: string, format: date } }
+ *       - { in: query, name: requested_on_to, schema: { type: string, format: date } }
+ *     responses:
+ *       200:
+ *         description: Regularization requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.post("/attendance_logs", async (req, res) => {
-  const { employee_id, date, check_in, check_out } = req.body;
+app.get("/attendance/regularizations", authorize(...ALL_ROLES), async (req, res) => {
+  const employeeId = req.user.role === ROLES.EMPLOYEE ? req.user.id : null;
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM attendance_regularizations WHERE ($1::int IS NULL OR employee_id = $1)",
+    params: [employeeId],
+    fields: { id: "integer", employee_id: "integer", date: "date", status: "text", requested_on: "date" },
+    defaultSort: "-requested_on",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
+});
+
+/**
+ * @swagger
+ * /attendance/regularizations/team:
+ *   get:
+ *     summary: Pending regularization requests from the caller's direct reports
+ *     tags: [AttendanceLogs]
+ *     responses:
+ *       200:
+ *         description: Pending regularization requests
+ */
+app.get("/attendance/regularizations/team", authorize(...ALL_ROLES), async (req, res) => {
   const result = await pool.query(
-    `INSERT INTO attendance_logs (employee_id, date, check_in, check_out)
-     VALUES ($1, $2, $3, $4) RETURNING *`,
-    [employee_id, date, check_in, check_out]
+    `SELECT r.*, e.name AS employee_name FROM attendance_regularizations r
+     JOIN employees e ON e.id = r.employee_id
+     WHERE r.status = 'Pending' AND e.manager_id = $1
+     ORDER BY r.requested_on`,
+    [req.user.id]
   );
-  res.status(201).json(result.rows[0]);
+  res.json(result.rows);
 });
 
 /**
  * @swagger
- * /attendance_logs/{id}:
+ * /attendance/regularizations/{id}/approve:
  *   put:
- *     summary: Update an attendance log
+ *     summary: Approve a regularization request and apply it to the attendance log
  *     tags: [AttendanceLogs]
  *     parameters:
  *       - in: path
@@ -942,146 +3141,396 @@ app.post("/attendance_logs", async (req, res) => {
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               check_in:
+ *               comment:
  *                 type: string
- *                 format: date-time
- *               check_out:
+ *     responses:
+ *       200:
+ *         description: Regularization approved
+ *       403:
+ *         description: Caller is not the employee's manager
+ *       409:
+ *         description: Request is no longer pending
+ */
+app.put("/attendance/regularizations/:id/approve", authorize(...ALL_ROLES), (req, res) => reviewRegularization(req, res, "Approved"));
+
+/**
+ * @swagger
+ * /attendance/regularizations/{id}/reject:
+ *   put:
+ *     summary: Reject a regularization request
+ *     tags: [AttendanceLogs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
  *                 type: string
- *                 format: date-time
  *     responses:
  *       200:
- *         description: Attendance log updated
+ *         description: Regularization rejected
+ *       403:
+ *         description: Caller is not the employee's manager
+ *       409:
+ *         description: Request is no longer pending
+ */
+app.put("/attendance/regularizations/:id/reject", authorize(...ALL_ROLES), (req, res) => reviewRegularization(req, res, "Rejected"));
+
+/**
+ * @swagger
+ * /attendance_logs/{id}/history:
+ *   get:
+ *     summary: Audit trail of time changes on an attendance log
+ *     tags: [AttendanceLogs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changes, oldest first
+ *       403:
+ *         description: Caller does not manage the employee
  *       404:
  *         description: Attendance log not found
  */
-app.put("/attendance_logs/:id", async (req, res) => {
-  const { check_in, check_out } = req.body;
+app.get("/attendance_logs/:id/history", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const log = await pool.query("SELECT employee_id FROM attendance_logs WHERE id = $1", [req.params.id]);
+  if (log.rows.length === 0) return res.status(404).json({ error: "Attendance log not found" });
+  if (!(await canActFor(req, log.rows[0].employee_id))) return res.status(403).json({ error: "Forbidden" });
   const result = await pool.query(
-    `UPDATE attendance_logs
-     SET check_in = $1, check_out = $2
-     WHERE id = $3 RETURNING *`,
-    [check_in, check_out, req.params.id]
+    "SELECT * FROM attendance_log_changes WHERE attendance_log_id = $1 ORDER BY changed_on, id",
+    [req.params.id]
   );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json(result.rows[0]);
+  res.json(result.rows);
 });
 
 /**
  * @swagger
- * /attendance_logs/{id}:
- *   delete:
- *     summary: Delete an attendance log
+ * /attendance/register:
+ *   get:
+ *     summary: Monthly attendance register
+ *     description: >
+ *       One code per employee per day: Present (a log that is not Absent), Holiday, Weekend (weekly off
+ *       under the rostered shift), Leave (approved leave), Absent, or null for days that have not happened yet.
+ *       Employees who exited during the month are included, with null after their exit_date.
+ *       Employees only see their own row.
  *     tags: [AttendanceLogs]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: month
  *         required: true
  *         schema:
+ *           $ref: '#/components/schemas/Month'
+ *       - in: query
+ *         name: employee_id
+ *         schema:
  *           type: integer
  *     responses:
  *       200:
- *         description: Attendance log deleted
- *       404:
- *         description: Attendance log not found
+ *         description: "{ month, days, employees: [{ employee_id, name, codes, totals }] } with codes aligned to days"
+ *       400:
+ *         description: Invalid month
  */
-app.delete("/attendance_logs/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM attendance_logs WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Attendance log not found" });
-  res.json({ message: "Attendance log deleted successfully" });
+app.get("/attendance/register", authorize(...ALL_ROLES), async (req, res) => {
+  const { month } = req.query;
+  if (!MONTH_RE.test(month || "")) return res.status(400).json({ error: "month must be YYYY-MM" });
+  const employeeId = req.user.role === ROLES.EMPLOYEE ? req.user.id : req.query.employee_id || null;
+  const result = await pool.query(
+    `SELECT e.id AS employee_id, e.name, to_char(d, 'YYYY-MM-DD') AS day,
+            CASE
+              WHEN d::date > CURRENT_DATE OR d::date > e.exit_date THEN NULL
+              WHEN a.status IS NOT NULL AND a.status <> 'Absent' THEN 'Present'
+              WHEN EXISTS (SELECT 1 FROM employee_holidays h WHERE h.employee_id = e.id AND h.holiday_date = d::date) THEN 'Holiday'
+              WHEN EXTRACT(ISODOW FROM d)::int = ANY(COALESCE(s.weekly_offs, $3::int[])) THEN 'Weekend'
+              WHEN EXISTS (
+                SELECT 1 FROM leaves l
+                WHERE l.employee_id = e.id AND l.status = 'Approved' AND d::date BETWEEN l.start_date AND l.end_date
+              ) THEN 'Leave'
+              ELSE 'Absent'
+            END AS code
+     FROM employees e
+     CROSS JOIN generate_series($1::date, ($1::date + interval '1 month' - interval '1 day'), interval '1 day') d
+     LEFT JOIN LATERAL (
+       SELECT s.weekly_offs FROM roster_assignments r
+       JOIN shifts s ON s.id = r.shift_id
+       WHERE r.employee_id = e.id AND d::date BETWEEN r.start_date AND COALESCE(r.end_date, 'infinity')
+       ORDER BY r.start_date DESC
+       LIMIT 1
+     ) s ON true
+     LEFT JOIN LATERAL (
+       SELECT status FROM attendance_logs WHERE employee_id = e.id AND date = d::date ORDER BY id LIMIT 1
+     ) a ON true
+     WHERE ($2::int IS NULL OR e.id = $2) AND (e.exit_date IS NULL OR e.exit_date >= $1)
+     ORDER BY e.name, e.id, d`,
+    [`${month}-01`, employeeId, DEFAULT_SHIFT.weekly_offs]
+  );
+  const days = [];
+  for (let d = parseDate(`${month}-01`); d.toISOString().startsWith(month); d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(d.toISOString().slice(0, 10));
+  }
+  const employees = new Map();
+  for (const row of result.rows) {
+    if (!employees.has(row.employee_id)) {
+      employees.set(row.employee_id, { employee_id: row.employee_id, name: row.name, codes: [], totals: {} });
+    }
+    const entry = employees.get(row.employee_id);
+    entry.codes.push(row.code);
+    if (row.code) entry.totals[row.code] = (entry.totals[row.code] || 0) + 1;
+  }
+  res.json({ month, days, employees: [...employees.values()] });
 });
 
+/**
+ * 🗂️ Weekly timesheet approval
+ */
+// Entries in a week with one of these statuses cannot be added, changed or removed
+const LOCKED_WEEK_STATUSES = ["Submitted", "Approved"];
+
+// Monday (YYYY-MM-DD) of the week containing a valid YYYY-MM-DD date
+function weekStartOf(value) {
+  const day = parseDate(value);
+  return new Date(day.getTime() - (isoWeekday(day) - 1) * 86400000).toISOString().slice(0, 10);
+}
+
+// 409 outcome when the week holding logDate is submitted or approved (Postgres weeks also start on Monday)
+async function lockedWeek(db, employeeId, logDate) {
+  const result = await db.query(
+    `SELECT to_char(week_start, 'YYYY-MM-DD') AS week_start, status FROM timesheet_weeks
+     WHERE employee_id = $1 AND week_start = date_trunc('week', $2::date)::date AND status = ANY($3)`,
+    [employeeId, logDate, LOCKED_WEEK_STATUSES]
+  );
+  if (result.rows.length === 0) return null;
+  const { week_start, status } = result.rows[0];
+  return { status: 409, error: `Timesheet week of ${week_start} is ${status} and locked` };
+}
+
+// Project managers of the week's projects and the line manager; null when there are none (HR reviews)
+async function timesheetWeekApprovers(db, week) {
+  const result = await db.query(
+    `SELECT p.manager_id AS approver_id FROM timesheets t
+     JOIN projects p ON p.id = t.project_id
+     WHERE t.employee_id = $1 AND t.log_date BETWEEN $2::date AND $2::date + 6 AND p.manager_id IS NOT NULL
+     UNION
+     SELECT manager_id FROM employees WHERE id = $1 AND manager_id IS NOT NULL`,
+    [week.employee_id, week.week_start]
+  );
+  return result.rows.length > 0 ? result.rows.map((row) => row.approver_id) : null;
+}
+
+async function reviewTimesheetWeek(req, res, status) {
+  const outcome = await withTransaction(async (client) => {
+    const found = await client.query("SELECT * FROM timesheet_weeks WHERE id = $1 FOR UPDATE", [req.params.id]);
+    if (found.rows.length === 0) return { status: 404, error: "Timesheet week not found" };
+    const week = found.rows[0];
+    if (week.employee_id === req.user.id) return { status: 403, error: "You cannot review your own timesheet" };
+    if (week.status !== "Submitted") return { status: 409, error: `Timesheet week is ${week.status}` };
+    const approvers = await timesheetWeekApprovers(client, week);
+    const allowed = approvers ? approvers.includes(req.user.id) : req.user.role === ROLES.HR_ADMIN;
+    if (!allowed) return { status: 403, error: "Only a project manager or the employee's manager can review this timesheet" };
+    const comment = (req.body || {}).comment || null;
+    if (status === "Rejected" && !comment) return { status: 400, error: "comment is required when rejecting" };
+    const result = await client.query(
+      `UPDATE timesheet_weeks
+       SET status = $1, reviewed_by = $2, reviewed_on = CURRENT_TIMESTAMP, review_comment = $3
+       WHERE id = $4 RETURNING *`,
+      [status, req.user.id, comment, week.id]
+    );
+    return { week: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.json(outcome.week);
+}
+
 /**
  * @swagger
- * tags:
- *   name: Feedbacks
- *   description: API for managing employee feedbacks
+ * /timesheet_weeks:
+ *   get:
+ *     summary: List submitted, approved and rejected timesheet weeks
+ *     description: Weeks that were never submitted have no record and are Draft. Employees only see their own weeks. Filter and sort by id, employee_id, week_start, status. Ranges via _from/_to on week_start.
+ *     tags: [Timesheets]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: week_start, explode: false, schema: { type: array, items: { type: string, format: date } } }
+ *       - { in: query, name: status, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: week_start_from, schema: { type: string, format: date } }
+ *       - { in: query, name: week_start_to, schema: { type: string, format: date } }
+ *     responses:
+ *       200:
+ *         description: Timesheet weeks, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
+app.get("/timesheet_weeks", authorize(...ALL_ROLES), async (req, res) => {
+  const employeeId = req.user.role === ROLES.EMPLOYEE ? req.user.id : null;
+  const page = await listRows(pool, req, {
+    select: "SELECT * FROM timesheet_weeks WHERE ($1::int IS NULL OR employee_id = $1)",
+    params: [employeeId],
+    fields: { id: "integer", employee_id: "integer", week_start: "date", status: "text" },
+    defaultSort: "-week_start,employee_id",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
+});
 
 /**
  * @swagger
- * /feedbacks:
+ * /timesheet_weeks/team:
  *   get:
- *     summary: Get all feedbacks
- *     tags: [Feedbacks]
+ *     summary: Submitted weeks the caller can review
+ *     description: Weeks of direct reports, and weeks with time logged on projects the caller manages.
+ *     tags: [Timesheets]
  *     responses:
  *       200:
- *         description: List of all feedbacks
+ *         description: Submitted timesheet weeks
  */
-app.get("/feedbacks", async (req, res) => {
-  const result = await pool.query("SELECT * FROM feedbacks");
-  res.status(200).json(result.rows);
+app.get("/timesheet_weeks/team", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query(
+    `SELECT w.*, e.name AS employee_name FROM timesheet_weeks w
+     JOIN employees e ON e.id = w.employee_id
+     WHERE w.status = 'Submitted' AND w.employee_id <> $1
+       AND (e.manager_id = $1 OR EXISTS (
+         SELECT 1 FROM timesheets t JOIN projects p ON p.id = t.project_id
+         WHERE t.employee_id = w.employee_id AND t.log_date BETWEEN w.week_start AND w.week_start + 6
+           AND p.manager_id = $1
+       ))
+     ORDER BY w.submitted_on`,
+    [req.user.id]
+  );
+  res.json(result.rows);
 });
 
 /**
  * @swagger
- * /feedbacks/{id}:
+ * /timesheet_weeks/{employeeId}/{weekStart}:
  *   get:
- *     summary: Get feedback by ID
- *     tags: [Feedbacks]
+ *     summary: A week's status and entries
+ *     tags: [Timesheets]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: employeeId
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: path
+ *         name: weekStart
+ *         required: true
+ *         description: Any date in the week; the week runs Monday to Sunday
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Feedback found
- *       404:
- *         description: Feedback not found
+ *         description: "{ employee_id, week_start, status, review_comment, entries, total_hours }"
+ *       400:
+ *         description: Invalid date
  */
-app.get("/feedbacks/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM feedbacks WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json(result.rows[0]);
+app.get("/timesheet_weeks/:employeeId/:weekStart", authorizeSelfOr("employeeId", ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  if (!parseDate(req.params.weekStart)) return res.status(400).json({ error: "weekStart must be YYYY-MM-DD" });
+  const weekStart = weekStartOf(req.params.weekStart);
+  const week = await pool.query(
+    "SELECT * FROM timesheet_weeks WHERE employee_id = $1 AND week_start = $2",
+    [req.params.employeeId, weekStart]
+  );
+  const entries = await pool.query(
+    `SELECT * FROM timesheets
+     WHERE employee_id = $1 AND log_date BETWEEN $2::date AND $2::date + 6
+     ORDER BY log_date, id`,
+    [req.params.employeeId, weekStart]
+  );
+  res.json({
+    ...(week.rows[0] || { employee_id: Number(req.params.employeeId), week_start: weekStart, status: "Draft" }),
+    entries: entries.rows,
+    total_hours: entries.rows.reduce((sum, e) => sum + Number(e.hours), 0),
+  });
 });
 
 /**
  * @swagger
- * /feedbacks:
+ * /timesheet_weeks/submit:
  *   post:
- *     summary: Create a new feedback
- *     tags: [Feedbacks]
+ *     summary: Submit a week's timesheet for approval
+ *     description: Locks the week's entries. Draft and Rejected weeks can be submitted.
+ *     tags: [Timesheets]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [from_employee, to_employee, message]
+ *             required: [employee_id, week_start]
  *             properties:
- *               from_employee:
- *                 type: integer
- *               to_employee:
+ *               employee_id:
  *                 type: integer
- *               message:
+ *               week_start:
  *                 type: string
+ *                 format: date
+ *                 description: Any date in the week
  *     responses:
- *       201:
- *         description: Feedback created
+ *       200:
+ *         description: Week submitted
+ *       400:
+ *         description: Invalid date or no entries in the week
+ *       409:
+ *         description: Week is already submitted or approved
  */
-app.post("/feedbacks", async (req, res) => {
-  const { from_employee, to_employee, message } = req.body;
-  const result = await pool.query(
-    `INSERT INTO feedbacks (from_employee, to_employee, message)
-     VALUES ($1, $2, $3) RETURNING *`,
-    [from_employee, to_employee, message]
-  );
-  res.status(201).json(result.rows[0]);
+app.post("/timesheet_weeks/submit", authorize(...ALL_ROLES), async (req, res) => {
+  const { employee_id } = req.body;
+  if (!(await canActFor(req, employee_id))) return res.status(403).json({ error: "Forbidden" });
+  if (!parseDate(req.body.week_start)) return res.status(400).json({ error: "week_start must be YYYY-MM-DD" });
+  const weekStart = weekStartOf(req.body.week_start);
+  const outcome = await withTransaction(async (client) => {
+    const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+    if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+    const entries = await client.query(
+      "SELECT COUNT(*) AS count FROM timesheets WHERE employee_id = $1 AND log_date BETWEEN $2::date AND $2::date + 6",
+      [employee_id, weekStart]
+    );
+    if (Number(entries.rows[0].count) === 0) return { status: 400, error: `No timesheet entries in the week of ${weekStart}` };
+    const result = await client.query(
+      `INSERT INTO timesheet_weeks (employee_id, week_start, status, submitted_on)
+       VALUES ($1, $2, 'Submitted', CURRENT_TIMESTAMP)
+       ON CONFLICT (employee_id, week_start) DO UPDATE
+         SET status = 'Submitted', submitted_on = CURRENT_TIMESTAMP,
+             reviewed_by = NULL, reviewed_on = NULL, review_comment = NULL
+         WHERE timesheet_weeks.status NOT IN ('Submitted', 'Approved')
+       RETURNING *`,
+      [employee_id, weekStart]
+    );
+    if (result.rows.length === 0) return { status: 409, error: `Timesheet week of ${weekStart} is already submitted or approved` };
+    return { week: result.rows[0] };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.json(outcome.week);
 });
 
 /**
  * @swagger
- * /feedbacks/{id}:
+ * /timesheet_weeks/{id}/approve:
  *   put:
- *     summary: Update feedback by ID
- *     tags: [Feedbacks]
+ *     summary: Approve a submitted week
+ *     description: A manager of a project in the week or the employee's manager may approve; HR when there are none.
+ *     tags: [Timesheets]
  *     parameters:
  *       - in: path
  *         name: id
@@ -1089,228 +3538,375 @@ app.post("/feedbacks", async (req, res) => {
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               from_employee:
- *                 type: integer
- *               to_employee:
- *                 type: integer
- *               message:
+ *               comment:
  *                 type: string
  *     responses:
  *       200:
- *         description: Feedback updated
- *       404:
- *         description: Feedback not found
+ *         description: Week approved
+ *       403:
+ *         description: Caller cannot review this week
+ *       409:
+ *         description: Week is not submitted
  */
-app.put("/feedbacks/:id", async (req, res) => {
-  const { from_employee, to_employee, message } = req.body;
-  const result = await pool.query(
-    `UPDATE feedbacks SET from_employee = $1, to_employee = $2, message = $3
-     WHERE id = $4 RETURNING *`,
-    [from_employee, to_employee, message, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json(result.rows[0]);
-});
+app.put("/timesheet_weeks/:id/approve", authorize(...ALL_ROLES), (req, res) => reviewTimesheetWeek(req, res, "Approved"));
 
 /**
  * @swagger
- * /feedbacks/{id}:
- *   delete:
- *     summary: Delete feedback by ID
- *     tags: [Feedbacks]
+ * /timesheet_weeks/{id}/reject:
+ *   put:
+ *     summary: Reject a submitted week, reopening its entries for editing
+ *     tags: [Timesheets]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comment]
+ *             properties:
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Feedback deleted
- *       404:
- *         description: Feedback not found
+ *         description: Week rejected
+ *       400:
+ *         description: Missing comment
+ *       403:
+ *         description: Caller cannot review this week
+ *       409:
+ *         description: Week is not submitted
  */
-app.delete("/feedbacks/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM feedbacks WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Feedback not found" });
-  res.json({ message: "Feedback deleted successfully" });
-});
+app.put("/timesheet_weeks/:id/reject", authorize(...ALL_ROLES), (req, res) => reviewTimesheetWeek(req, res, "Rejected"));
 
 /**
- * @swagger
- * tags:
- *   name: Projects
- *   description: API for managing company projects
+ * 📈 Project reports
  */
 
+// Timesheet rows with the covering assignment, approval state and most specific billing rate.
+// Billable means both the project and the assignment are billable.
+const BILLED_TIMESHEETS = `
+  SELECT t.*, pa.role, (p.billable AND COALESCE(pa.billable, false)) AS billable,
+         (w.status = 'Approved') AS approved, rate.hourly_rate
+  FROM timesheets t
+  JOIN projects p ON p.id = t.project_id
+  LEFT JOIN project_assignments pa
+    ON pa.project_id = t.project_id AND pa.employee_id = t.employee_id
+   AND t.log_date BETWEEN pa.start_date AND COALESCE(pa.end_date, 'infinity')
+  LEFT JOIN timesheet_weeks w
+    ON w.employee_id = t.employee_id AND w.week_start = date_trunc('week', t.log_date)::date
+  LEFT JOIN LATERAL (
+    SELECT r.hourly_rate FROM project_billing_rates r
+    WHERE r.project_id = t.project_id
+      AND (r.employee_id = t.employee_id OR r.role = pa.role OR (r.employee_id IS NULL AND r.role IS NULL))
+    ORDER BY (r.employee_id IS NOT NULL) DESC, (r.role IS NOT NULL) DESC
+    LIMIT 1
+  ) rate ON true`;
+
+// First and last day (YYYY-MM-DD) of a YYYY-MM month
+function monthRange(month) {
+  const [year, mon] = month.split("-").map(Number);
+  return [`${month}-01`, new Date(Date.UTC(year, mon, 0)).toISOString().slice(0, 10)];
+}
+
 /**
  * @swagger
- * /projects:
- *   get:
- *     summary: Get all projects
- *     tags: [Projects]
- *     responses:
- *       200:
- *         description: List of projects
+ * tags:
+ *   name: Reports
+ *   description: Project budget, utilization and invoicing reports
  */
-app.get("/projects", async (req, res) => {
-  const result = await pool.query("SELECT * FROM projects");
-  res.status(200).json(result.rows);
-});
 
 /**
  * @swagger
- * /projects/{id}:
+ * /reports/projects/budget:
  *   get:
- *     summary: Get project by ID
- *     tags: [Projects]
+ *     summary: Hours burned against budget per project
+ *     tags: [Reports]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: status
  *         schema:
- *           type: integer
+ *           type: string
+ *           enum: [Planned, Active, On Hold, Completed, Cancelled]
  *     responses:
  *       200:
- *         description: Project found
- *       404:
- *         description: Project not found
- */
-app.get("/projects/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Project not found" });
-  res.json(result.rows[0]);
-});
-
-/**
- * @swagger
- * /projects:
- *   post:
- *     summary: Create a new project
- *     tags: [Projects]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [name, client]
- *             properties:
- *               name:
- *                 type: string
- *               client:
- *                 type: string
- *     responses:
- *       201:
- *         description: Project created
+ *         description: "Per project: budget_hours, logged_hours, approved_hours, remaining_hours and burn_percent (null without a budget)"
  */
-app.post("/projects", async (req, res) => {
-  const { name, client } = req.body;
+app.get("/reports/projects/budget", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
   const result = await pool.query(
-    "INSERT INTO projects (name, client) VALUES ($1, $2) RETURNING *",
-    [name, client]
+    `SELECT p.id, p.name, p.client_id, c.name AS client, p.status, p.budget_hours,
+            COALESCE(SUM(t.hours), 0) AS logged_hours,
+            COALESCE(SUM(t.hours) FILTER (WHERE t.approved), 0) AS approved_hours
+     FROM projects p
+     LEFT JOIN clients c ON c.id = p.client_id
+     LEFT JOIN (${BILLED_TIMESHEETS}) t ON t.project_id = p.id
+     WHERE ($1::text IS NULL OR p.status = $1)
+     GROUP BY p.id, c.name
+     ORDER BY p.name`,
+    [req.query.status || null]
+  );
+  res.json(
+    result.rows.map((row) => {
+      const budget = row.budget_hours == null ? null : Number(row.budget_hours);
+      const logged = Number(row.logged_hours);
+      return {
+        ...row,
+        budget_hours: budget,
+        logged_hours: logged,
+        approved_hours: Number(row.approved_hours),
+        remaining_hours: budget == null ? null : round2(budget - logged),
+        burn_percent: budget ? round2((logged / budget) * 100) : null,
+      };
+    })
   );
-  res.status(201).json(result.rows[0]);
 });
 
 /**
  * @swagger
- * /projects/{id}:
- *   put:
- *     summary: Update a project
- *     tags: [Projects]
+ * /reports/utilization:
+ *   get:
+ *     summary: Billable utilization per employee for a month
+ *     description: >
+ *       Capacity is working days times TIMESHEET_HOURS_PER_DAY, counting only the days of the month the employee was
+ *       employed (from doj, up to exit_date) that are neither a weekly off under their rostered shift nor a holiday
+ *       at their location. utilization_percent is billable logged hours over capacity.
+ *     tags: [Reports]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: month
  *         required: true
  *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               client:
- *                 type: string
+ *           $ref: '#/components/schemas/Month'
  *     responses:
  *       200:
- *         description: Project updated
- *       404:
- *         description: Project not found
+ *         description: Per employee logged, billable and capacity hours with utilization
+ *       400:
+ *         description: Invalid month
  */
-app.put("/projects/:id", async (req, res) => {
-  const { name, client } = req.body;
+app.get("/reports/utilization", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const { month } = req.query;
+  if (!MONTH_RE.test(month || "")) return res.status(400).json({ error: "month must be YYYY-MM" });
+  const [start, end] = monthRange(month);
+  // Working days are counted in SQL, classifying days as the attendance register does, so the report is one
+  // query however many employees
   const result = await pool.query(
-    "UPDATE projects SET name = $1, client = $2 WHERE id = $3 RETURNING *",
-    [name, client, req.params.id]
+    `WITH working_days AS (
+       SELECT e.id AS employee_id, COUNT(*) AS days
+       FROM employees e
+       CROSS JOIN generate_series(GREATEST($1::date, e.doj), LEAST($2::date, e.exit_date), interval '1 day') d
+       LEFT JOIN LATERAL (
+         SELECT s.weekly_offs FROM roster_assignments r
+         JOIN shifts s ON s.id = r.shift_id
+         WHERE r.employee_id = e.id AND d::date BETWEEN r.start_date AND COALESCE(r.end_date, 'infinity')
+         ORDER BY r.start_date DESC
+         LIMIT 1
+       ) s ON true
+       WHERE NOT (EXTRACT(ISODOW FROM d)::int = ANY(COALESCE(s.weekly_offs, $3::int[])))
+         AND NOT EXISTS (SELECT 1 FROM employee_holidays h WHERE h.employee_id = e.id AND h.holiday_date = d::date)
+       GROUP BY e.id
+     )
+     SELECT e.id AS employee_id, e.name,
+            COALESCE(SUM(t.hours), 0) AS logged_hours,
+            COALESCE(SUM(t.hours) FILTER (WHERE t.billable), 0) AS billable_hours,
+            COALESCE(wd.days, 0) AS working_days
+     FROM employees e
+     LEFT JOIN working_days wd ON wd.employee_id = e.id
+     LEFT JOIN (${BILLED_TIMESHEETS}) t ON t.employee_id = e.id AND t.log_date BETWEEN $1 AND $2
+     WHERE e.exit_date IS NULL OR e.exit_date >= $1
+     GROUP BY e.id, wd.days
+     ORDER BY e.name`,
+    [start, end, DEFAULT_SHIFT.weekly_offs]
   );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
-  res.json(result.rows[0]);
+  const rows = result.rows.map(({ working_days, ...row }) => {
+    const capacity = Number(working_days) * TIMESHEET_HOURS_PER_DAY;
+    const billable = Number(row.billable_hours);
+    return {
+      ...row,
+      logged_hours: Number(row.logged_hours),
+      billable_hours: billable,
+      capacity_hours: capacity,
+      utilization_percent: capacity ? round2((billable / capacity) * 100) : null,
+    };
+  });
+  res.json({ month, employees: rows });
 });
 
 /**
  * @swagger
- * /projects/{id}:
- *   delete:
- *     summary: Delete a project
- *     tags: [Projects]
+ * /reports/invoices:
+ *   get:
+ *     summary: Invoice-ready billable hours per client for a month
+ *     description: >
+ *       Only approved, billable timesheet hours are included. Each line is priced at the most specific
+ *       project rate (employee, then assignment role, then project default); lines without a rate have a null
+ *       amount and are left out of the totals.
+ *     tags: [Reports]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: month
  *         required: true
  *         schema:
- *           type: integer
+ *           $ref: '#/components/schemas/Month'
  *     responses:
  *       200:
- *         description: Project deleted
- *       404:
- *         description: Project not found
+ *         description: "{ month, clients: [{ client_id, client, currency, hours, amount, projects: [{ project_id, name, hours, amount, lines }] }] }"
+ *       400:
+ *         description: Invalid month
  */
-app.delete("/projects/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM projects WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
-  res.json({ message: "Project deleted successfully" });
+app.get("/reports/invoices", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const { month } = req.query;
+  if (!MONTH_RE.test(month || "")) return res.status(400).json({ error: "month must be YYYY-MM" });
+  const [start, end] = monthRange(month);
+  const result = await pool.query(
+    `SELECT p.client_id, c.name AS client, c.billing_currency, p.id AS project_id, p.name AS project_name,
+            t.employee_id, e.name AS employee_name, t.role, t.hourly_rate, SUM(t.hours) AS hours
+     FROM (${BILLED_TIMESHEETS}) t
+     JOIN projects p ON p.id = t.project_id
+     LEFT JOIN clients c ON c.id = p.client_id
+     JOIN employees e ON e.id = t.employee_id
+     WHERE t.approved AND t.billable AND t.log_date BETWEEN $1 AND $2
+     GROUP BY p.client_id, c.name, c.billing_currency, p.id, t.employee_id, e.name, t.role, t.hourly_rate
+     ORDER BY c.name, p.name, e.name`,
+    [start, end]
+  );
+  const clients = new Map();
+  for (const row of result.rows) {
+    if (!clients.has(row.client_id)) {
+      clients.set(row.client_id, {
+        client_id: row.client_id,
+        client: row.client,
+        currency: row.billing_currency,
+        hours: 0,
+        amount: 0,
+        projects: new Map(),
+      });
+    }
+    const client = clients.get(row.client_id);
+    if (!client.projects.has(row.project_id)) {
+      client.projects.set(row.project_id, { project_id: row.project_id, name: row.project_name, hours: 0, amount: 0, lines: [] });
+    }
+    const project = client.projects.get(row.project_id);
+    const hours = Number(row.hours);
+    const rate = row.hourly_rate == null ? null : Number(row.hourly_rate);
+    const amount = rate == null ? null : round2(hours * rate);
+    project.lines.push({ employee_id: row.employee_id, employee_name: row.employee_name, role: row.role, hours, rate, amount });
+    project.hours += hours;
+    client.hours += hours;
+    if (amount != null) {
+      project.amount = round2(project.amount + amount);
+      client.amount = round2(client.amount + amount);
+    }
+  }
+  res.json({
+    month,
+    clients: [...clients.values()].map((client) => ({ ...client, projects: [...client.projects.values()] })),
+  });
 });
 
+/**
+ * 🤝 Clients
+ */
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+function validateClient({ name, billing_currency }) {
+  if (!name || !String(name).trim()) return "name is required";
+  if (billing_currency != null && !CURRENCY_RE.test(billing_currency)) return "billing_currency must be a 3-letter ISO code";
+  return null;
+}
 
 /**
  * @swagger
  * tags:
- *   name: Timesheets
- *   description: API for tracking employee timesheets
+ *   name: Clients
+ *   description: Customers that projects are billed to
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Client:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         billing_currency:
+ *           type: string
+ *           example: INR
+ *         address:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClientContact:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         title:
+ *           type: string
  */
 
 /**
  * @swagger
- * /timesheets:
+ * /clients:
  *   get:
- *     summary: Get all timesheet entries
- *     tags: [Timesheets]
+ *     summary: Get all clients
+ *     tags: [Clients]
+ *     description: Filter and sort by id, name, billing_currency, project_count. Ranges via _from/_to on project_count.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: name, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: billing_currency, explode: false, schema: { type: array, items: { type: string } } }
+ *       - { in: query, name: project_count, explode: false, schema: { type: array, items: { type: integer } } }
+ *       - { in: query, name: project_count_from, schema: { type: integer } }
+ *       - { in: query, name: project_count_to, schema: { type: integer } }
  *     responses:
  *       200:
- *         description: List of timesheets
+ *         description: Clients with their project counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
  */
-app.get("/timesheets", async (req, res) => {
-  const result = await pool.query("SELECT * FROM timesheets");
-  res.status(200).json(result.rows);
+app.get("/clients", authorize(...ALL_ROLES), async (req, res) => {
+  const page = await listRows(pool, req, {
+    select: `SELECT c.*, COUNT(p.id)::int AS project_count FROM clients c
+       LEFT JOIN projects p ON p.client_id = c.id
+       GROUP BY c.id`,
+    fields: { id: "integer", name: "text", billing_currency: "text", project_count: "integer" },
+    defaultSort: "name",
+  });
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.json(page);
 });
 
 /**
  * @swagger
- * /timesheets/{id}:
+ * /clients/{id}:
  *   get:
- *     summary: Get a timesheet by ID
- *     tags: [Timesheets]
+ *     summary: Get a client with its contacts and projects
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
  *         name: id
@@ -1319,321 +3915,466 @@ app.get("/timesheets", async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Timesheet found
+ *         description: Client found
  *       404:
- *         description: Timesheet not found
+ *         description: Client not found
  */
-app.get("/timesheets/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM timesheets WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json(result.rows[0]);
+app.get("/clients/:id", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM clients WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) return res.status(404).json({ error: "Client not found" });
+  const contacts = await pool.query("SELECT * FROM client_contacts WHERE client_id = $1 ORDER BY name", [req.params.id]);
+  const projects = await pool.query(`${projectsRouter.PROJECT_SELECT} WHERE p.client_id = $1 ORDER BY p.name`, [req.params.id]);
+  sendVersioned(res, { ...result.rows[0], contacts: contacts.rows, projects: projects.rows });
 });
 
 /**
  * @swagger
- * /timesheets:
+ * /clients:
  *   post:
- *     summary: Create a new timesheet entry
- *     tags: [Timesheets]
+ *     summary: Create a client
+ *     tags: [Clients]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [employee_id, project_id, log_date, hours]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               project_id:
- *                 type: integer
- *               log_date:
- *                 type: string
- *                 format: date
- *               hours:
- *                 type: number
- *               notes:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/Client'
+ *               - required: [name]
  *     responses:
  *       201:
- *         description: Timesheet created
+ *         description: Client created
+ *       400:
+ *         description: Invalid client
+ *       409:
+ *         description: A client with that name already exists
  */
-app.post("/timesheets", async (req, res) => {
-  const { employee_id, project_id, log_date, hours, notes } = req.body;
+app.post("/clients", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const error = validateClient(req.body);
+  if (error) return res.status(400).json({ error });
+  const { name, billing_currency, address } = req.body;
   const result = await pool.query(
-    "INSERT INTO timesheets (employee_id, project_id, log_date, hours, notes) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-    [employee_id, project_id, log_date, hours, notes]
+    `INSERT INTO clients (name, billing_currency, address) VALUES ($1, COALESCE($2, 'INR'), $3)
+     ON CONFLICT DO NOTHING RETURNING *`,
+    [name.trim(), billing_currency, address]
   );
+  if (result.rows.length === 0) return res.status(409).json({ error: `Client "${name.trim()}" already exists` });
   res.status(201).json(result.rows[0]);
 });
 
+const updateClient = versionedUpdate(withTransaction, {
+  notFound: "Client not found",
+  load: (client, req) => client.query("SELECT * FROM clients WHERE id = $1 FOR UPDATE", [req.params.id]),
+  fields: ["name", "billing_currency", "address"],
+  save: async (db, values, current) => {
+    const error = validateClient(values);
+    if (error) return { status: 400, error };
+    const { name, billing_currency, address } = values;
+    const taken = await db.query("SELECT id FROM clients WHERE lower(name) = lower($1) AND id <> $2", [name.trim(), current.id]);
+    if (taken.rows.length > 0) return { status: 409, error: `Client "${name.trim()}" already exists` };
+    const result = await db.query(
+      `UPDATE clients SET name = $1, billing_currency = COALESCE($2, 'INR'), address = $3
+       WHERE id = $4 RETURNING *`,
+      [name.trim(), billing_currency, address, current.id]
+    );
+    return { row: result.rows[0] };
+  },
+});
+
 /**
  * @swagger
- * /timesheets/{id}:
+ * /clients/{id}:
  *   put:
- *     summary: Update a timesheet entry
- *     tags: [Timesheets]
+ *     summary: Update a client
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               employee_id:
- *                 type: integer
- *               project_id:
- *                 type: integer
- *               log_date:
- *                 type: string
- *                 format: date
- *               hours:
- *                 type: number
- *               notes:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/Client'
+ *               - required: [name]
  *     responses:
  *       200:
- *         description: Timesheet updated
+ *         description: Client updated
+ *       400:
+ *         description: Invalid client
  *       404:
- *         description: Timesheet not found
+ *         description: Client not found
+ *       409:
+ *         description: Another client has that name
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.put("/timesheets/:id", async (req, res) => {
-  const { employee_id, project_id, log_date, hours, notes } = req.body;
-  const result = await pool.query(
-    "UPDATE timesheets SET employee_id = $1, project_id = $2, log_date = $3, hours = $4, notes = $5 WHERE id = $6 RETURNING *",
-    [employee_id, project_id, log_date, hours, notes, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json(result.rows[0]);
-});
+app.put("/clients/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateClient.replace);
 
 /**
  * @swagger
- * /timesheets/{id}:
- *   delete:
- *     summary: Delete a timesheet entry
- *     tags: [Timesheets]
+ * /clients/{id}:
+ *   patch:
+ *     summary: Update only the given fields of a client
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Client'
  *     responses:
  *       200:
- *         description: Timesheet deleted
+ *         description: Client updated
+ *       400:
+ *         description: Invalid client
  *       404:
- *         description: Timesheet not found
+ *         description: Client not found
+ *       409:
+ *         description: Another client has that name
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.delete("/timesheets/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM timesheets WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json({ message: "Timesheet deleted successfully" });
-});
-
-
-// Start
+app.patch("/clients/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateClient.patch);
 
 /**
  * @swagger
- * /leave/requests/{employeeId}:
- *   get:
- *     summary: Get all leave requests for employee
- *     tags: [Leaves]
+ * /clients/{id}:
+ *   delete:
+ *     summary: Delete a client
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: employeeId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave requests list
+ *         description: Client deleted
+ *       404:
+ *         description: Client not found
+ *       409:
+ *         description: Client still has projects
  */
-app.get("/leave/requests/:employeeId", async (req, res) => {
-  const result = await pool.query("SELECT * FROM leaves WHERE employee_id = $1", [req.params.employeeId]);
-  res.json(result.rows);
+app.delete("/clients/:id", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const used = await pool.query("SELECT 1 FROM projects WHERE client_id = $1 LIMIT 1", [req.params.id]);
+  if (used.rows.length > 0) return res.status(409).json({ error: "Client still has projects" });
+  const result = await pool.query("DELETE FROM clients WHERE id = $1 RETURNING *", [req.params.id]);
+  if (result.rowCount === 0) return res.status(404).json({ error: "Client not found" });
+  res.json({ message: "Client deleted successfully" });
 });
 
 /**
  * @swagger
- * /leave/cancel/{leaveId}:
- *   delete:
- *     summary: Cancel a leave request
- *     tags: [Leaves]
+ * /clients/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate client into this one
+ *     description: Moves the duplicate's projects and contacts here, then deletes it.
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: leaveId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duplicate_id]
+ *             properties:
+ *               duplicate_id:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: Leave request cancelled
+ *         description: Merged client with its contacts and projects count
+ *       400:
+ *         description: duplicate_id missing or equal to id
+ *       404:
+ *         description: Client not found
  */
-app.delete("/leave/cancel/:leaveId", async (req, res) => {
-  await pool.query("DELETE FROM leaves WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
+app.post("/clients/:id/merge", authorize(ROLES.HR_ADMIN), async (req, res) => {
+  const { duplicate_id } = req.body;
+  if (duplicate_id == null || Number(duplicate_id) === Number(req.params.id)) {
+    return res.status(400).json({ error: "duplicate_id must name another client" });
+  }
+  const outcome = await withTransaction(async (client) => {
+    const found = await client.query(
+      "SELECT id FROM clients WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+      [[req.params.id, duplicate_id]]
+    );
+    if (found.rows.length < 2) return { status: 404, error: "Client not found" };
+    const moved = await client.query("UPDATE projects SET client_id = $1 WHERE client_id = $2", [req.params.id, duplicate_id]);
+    await client.query("UPDATE client_contacts SET client_id = $1 WHERE client_id = $2", [req.params.id, duplicate_id]);
+    await client.query("DELETE FROM clients WHERE id = $1", [duplicate_id]);
+    const result = await client.query("SELECT * FROM clients WHERE id = $1", [req.params.id]);
+    return { client: { ...result.rows[0], projects_moved: moved.rowCount } };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  res.json(outcome.client);
 });
 
 /**
  * @swagger
- * /leave/approve/{leaveId}:
- *   put:
- *     summary: Approve a leave request
- *     tags: [Leaves]
+ * /clients/{id}/contacts:
+ *   get:
+ *     summary: List a client's contacts
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: leaveId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       200:
- *         description: Leave approved
+ *         description: Contacts
  */
-app.put("/leave/approve/:leaveId", async (req, res) => {
-  await pool.query("UPDATE leaves SET status = 'Approved' WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
+app.get("/clients/:id/contacts", authorize(...ALL_ROLES), async (req, res) => {
+  const result = await pool.query("SELECT * FROM client_contacts WHERE client_id = $1 ORDER BY name", [req.params.id]);
+  res.json(result.rows);
 });
 
 /**
  * @swagger
- * /leave/reject/{leaveId}:
- *   put:
- *     summary: Reject a leave request
- *     tags: [Leaves]
+ * /clients/{id}/contacts:
+ *   post:
+ *     summary: Add a contact to a client
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: leaveId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ClientContact'
+ *               - required: [name]
  *     responses:
- *       200:
- *         description: Leave rejected
+ *       201:
+ *         description: Contact added
+ *       400:
+ *         description: Missing name
+ *       404:
+ *         description: Client not found
  */
-app.put("/leave/reject/:leaveId", async (req, res) => {
-  await pool.query("UPDATE leaves SET status = 'Rejected' WHERE id = $1", [req.params.leaveId]);
-  res.sendStatus(200);
+app.post("/clients/:id/contacts", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const { name, email, phone, title } = req.body;
+  if (!name) return res.status(400).json({ error: "name is required" });
+  const found = await pool.query("SELECT id FROM clients WHERE id = $1", [req.params.id]);
+  if (found.rows.length === 0) return res.status(404).json({ error: "Client not found" });
+  const result = await pool.query(
+    "INSERT INTO client_contacts (client_id, name, email, phone, title) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+    [req.params.id, name, email, phone, title]
+  );
+  res.status(201).json(result.rows[0]);
+});
+
+const updateClientContact = versionedUpdate(withTransaction, {
+  notFound: "Contact not found",
+  load: (client, req) =>
+    client.query("SELECT * FROM client_contacts WHERE id = $1 AND client_id = $2 FOR UPDATE", [req.params.contactId, req.params.id]),
+  fields: ["name", "email", "phone", "title"],
+  save: async (client, { name, email, phone, title }, current) => {
+    if (!name) return { status: 400, error: "name is required" };
+    const result = await client.query(
+      "UPDATE client_contacts SET name = $1, email = $2, phone = $3, title = $4 WHERE id = $5 RETURNING *",
+      [name, email, phone, title, current.id]
+    );
+    return { row: result.rows[0] };
+  },
 });
 
 /**
  * @swagger
- * /timesheets/week/{employeeId}:
- *   get:
- *     summary: Get weekly timesheet entries
- *     tags: [Timesheets]
+ * /clients/{id}/contacts/{contactId}:
+ *   put:
+ *     summary: Update a client contact
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: employeeId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *       - in: query
- *         name: start
+ *       - in: path
+ *         name: contactId
+ *         required: true
  *         schema:
- *           type: string
- *           format: date
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ClientContact'
+ *               - required: [name]
  *     responses:
  *       200:
- *         description: Weekly timesheet entries fetched
+ *         description: Contact updated
+ *       404:
+ *         description: Contact not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.get("/timesheets/week/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  const { start } = req.query;
-  try {
-    const result = await pool.query(
-      `SELECT * FROM timesheets
-       WHERE employee_id = $1 AND log_date BETWEEN $2::date AND ($2::date + interval '6 day')`,
-      [employeeId, start]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+app.put("/clients/:id/contacts/:contactId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateClientContact.replace);
 
 /**
  * @swagger
- * /timesheets/day/{employeeId}:
- *   get:
- *     summary: Get daily timesheet entry
- *     tags: [Timesheets]
+ * /clients/{id}/contacts/{contactId}:
+ *   patch:
+ *     summary: Update only the given fields of a client contact
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: employeeId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *       - in: query
- *         name: date
+ *       - in: path
+ *         name: contactId
+ *         required: true
  *         schema:
- *           type: string
- *           format: date
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClientContact'
  *     responses:
  *       200:
- *         description: Timesheet entry for the day
+ *         description: Contact updated
+ *       404:
+ *         description: Contact not found
+ *       412:
+ *         description: Changed since the If-Match ETag was read
  */
-app.get("/timesheets/day/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  const { date } = req.query;
-  try {
-    const result = await pool.query(
-      `SELECT * FROM timesheets WHERE employee_id = $1 AND log_date = $2`,
-      [employeeId, date]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+app.patch("/clients/:id/contacts/:contactId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateClientContact.patch);
 
 /**
  * @swagger
- * /projects/assigned/{employeeId}:
- *   get:
- *     summary: Get assigned projects for an employee
- *     tags: [Timesheets]
+ * /clients/{id}/contacts/{contactId}:
+ *   delete:
+ *     summary: Remove a client contact
+ *     tags: [Clients]
  *     parameters:
  *       - in: path
- *         name: employeeId
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: contactId
  *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       200:
- *         description: List of assigned projects
+ *         description: Contact removed
+ *       404:
+ *         description: Contact not found
  */
-app.get("/projects/assigned/:employeeId", async (req, res) => {
-  const { employeeId } = req.params;
-  try {
-    const result = await pool.query(
-      `SELECT p.* FROM projects p
-       JOIN project_assignments pa ON pa.project_id = p.id
-       WHERE pa.employee_id = $1`,
-      [employeeId]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+app.delete("/clients/:id/contacts/:contactId", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+  const result = await pool.query(
+    "DELETE FROM client_contacts WHERE id = $1 AND client_id = $2 RETURNING *",
+    [req.params.contactId, req.params.id]
+  );
+  if (result.rowCount === 0) return res.status(404).json({ error: "Contact not found" });
+  res.json({ message: "Contact removed successfully" });
 });
 
-// End
+/**
+ * 🧩 Resource routers
+ *
+ * Each module exports a factory that takes the pool plus the auth and service helpers it needs.
+ * Mounted last so every helper above is initialised before the factories run.
+ */
+const routerDeps = {
+  pool,
+  withTransaction,
+  ROLES,
+  ALL_ROLES,
+  authorize,
+  authorizeSelfOr,
+  canActFor,
+  hashPassword,
+  parseDate,
+  localDate,
+  countWorkingDays,
+  checkLeaveRequest,
+  applyForLeave,
+  recordLeaveLedger,
+  adjustLeaveBalance,
+  ACCRUAL_FREQUENCIES,
+  attendanceDerived,
+  changeAttendanceTimes,
+  refreshTimesheetWarnings,
+  validateTimesheetEntry,
+  lockedWeek,
+};
+app.use(departmentsRouter(routerDeps));
+app.use(employeesRouter(routerDeps));
+app.use(employeeProfileRouter(routerDeps));
+app.use(separationsRouter(routerDeps));
+app.use(onboardingRouter(routerDeps));
+app.use(leavePoliciesRouter(routerDeps));
+app.use(leavesRouter(routerDeps));
+app.use(leaveBalancesRouter(routerDeps));
+app.use(attendanceLogsRouter(routerDeps));
+app.use(feedbacksRouter(routerDeps));
+app.use(projectsRouter(routerDeps));
+app.use(timesheetsRouter(routerDeps));
+app.use(advancedRouter(routerDeps));
+app.use(generalRouter(routerDeps));
 
 app.get("/", (req, res) => {
   res.send("HRMS API is running. Visit /api-docs");
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-  await setupTables();
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
+app.use((req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
 });
+app.use(errorHandler);
+
+// Shared with CLI scripts such as accrue_leave.js and migrate.js
+module.exports = { app, pool, runLeaveAccrual, runYearEndCarryForward, ACCRUAL_PERIOD_RE };
+
+if (require.main === module) {
+  if (!JWT_SECRET) {
+    console.error("❌ JWT_SECRET is not set");
+    process.exit(1);
+  }
+
+  const PORT = process.env.PORT || 3000;
+  assertMigrated(pool)
+    .then(async () => {
+      await seedAdmin();
+      app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
+    })
+    .catch((err) => {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    });
+}
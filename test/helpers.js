@@ -0,0 +1,89 @@
+/**
+ * 🧪 Harness for the tests that drive the API against a real database
+ *
+ * Set TEST_DATABASE_URL to a scratch database: it is migrated and emptied before every test, so never
+ * point it at one whose data matters. Without it those tests are skipped. Test files run in parallel
+ * processes, so each one holds an advisory lock on the database for as long as it uses it.
+ */
+const { once } = require("node:events");
+const jwt = require("jsonwebtoken");
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const JWT_SECRET = "test-secret";
+const TEST_LOCK_KEY = 727001;
+
+// The skip option for database-backed suites
+const skipWithoutDatabase = TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set";
+
+/**
+ * Loads the app on TEST_DATABASE_URL, migrates it and starts listening on a free port. Call it once per
+ * test file, from a suite's before hook: the app and its pool are loaded once per process.
+ *
+ * @returns {Promise<{ pool, reset: Function, as: Function, admin: Function, hire: Function, stop: Function }>}
+ *   reset() empties every table and recreates the HR admin; as(employee) returns a client whose
+ *   methods (get, post, put, patch, del) resolve to { status, body } for that caller; hire(fields)
+ *   creates an employee through POST /employees
+ */
+async function startApi() {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  process.env.JWT_SECRET = JWT_SECRET;
+  const { app, pool } = require("../server");
+  const { migrateUp } = require("../migrate");
+
+  const lock = await pool.connect();
+  await lock.query("SELECT pg_advisory_lock($1)", [TEST_LOCK_KEY]);
+  await migrateUp(pool);
+  const server = app.listen(0);
+  await once(server, "listening");
+  const base = `http://localhost:${server.address().port}`;
+  let hrAdmin = null;
+
+  const as = (employee) => {
+    const token = jwt.sign({ sub: String(employee.id), email: employee.email, role: employee.role }, JWT_SECRET);
+    const send = async (method, path, body) => {
+      const response = await fetch(`${base}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+    return {
+      get: (path) => send("GET", path),
+      post: (path, body) => send("POST", path, body),
+      put: (path, body) => send("PUT", path, body),
+      patch: (path, body) => send("PATCH", path, body),
+      del: (path, body) => send("DELETE", path, body),
+    };
+  };
+
+  return {
+    pool,
+    as,
+    admin: () => as(hrAdmin),
+    async hire(fields) {
+      const { status, body } = await as(hrAdmin).post("/employees", fields);
+      if (status !== 201) throw new Error(`POST /employees failed with ${status}: ${JSON.stringify(body)}`);
+      return body;
+    },
+    async reset() {
+      const tables = await pool.query(
+        "SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations'"
+      );
+      await pool.query(`TRUNCATE ${tables.rows.map((row) => row.tablename).join(", ")} RESTART IDENTITY CASCADE`);
+      const result = await pool.query(
+        "INSERT INTO employees (name, email, role) VALUES ('Admin', 'admin@test', 'hr_admin') RETURNING *"
+      );
+      hrAdmin = result.rows[0];
+    },
+    async stop() {
+      server.close();
+      await lock.query("SELECT pg_advisory_unlock($1)", [TEST_LOCK_KEY]);
+      lock.release();
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { skipWithoutDatabase, startApi };
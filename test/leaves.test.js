@@ -0,0 +1,87 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { skipWithoutDatabase, startApi } = require("./helpers");
+
+describe("leave approval and cancellation", { skip: skipWithoutDatabase }, () => {
+  let api;
+  let manager;
+  let employee;
+
+  const balance = async () =>
+    Number((await api.pool.query("SELECT balance FROM leave_balances WHERE employee_id = $1", [employee.id])).rows[0].balance);
+  const ledger = async () =>
+    (await api.pool.query(
+      "SELECT change::float, balance_after::float, reason, leave_id FROM leave_balance_ledger WHERE employee_id = $1 AND leave_id IS NOT NULL ORDER BY id",
+      [employee.id]
+    )).rows;
+
+  // A two-working-day leave over Monday and Tuesday 6-7 January 2025
+  const apply = async () => {
+    const { status, body } = await api.as(employee).post("/leaves", {
+      employee_id: employee.id,
+      type: "CL",
+      start_date: "2025-01-06",
+      end_date: "2025-01-07",
+    });
+    assert.equal(status, 201);
+    return body;
+  };
+
+  before(async () => {
+    api = await startApi();
+  });
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    await api.reset();
+    manager = await api.hire({ name: "Manager", email: "manager@test", role: "manager" });
+    employee = await api.hire({ name: "Employee", email: "employee@test", manager_id: manager.id });
+    await api.admin().post("/leave_policies", { name: "CL", days_per_year: 12 });
+    await api.admin().post("/leave_balances", { employee_id: employee.id, leave_type: "CL", balance: 10 });
+  });
+
+  test("approval debits the working days and records them in the ledger", async () => {
+    const leave = await apply();
+    const { status, body } = await api.as(manager).put(`/leave/approve/${leave.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.status, "Approved");
+    assert.equal(await balance(), 8);
+    assert.deepEqual(await ledger(), [{ change: -2, balance_after: 8, reason: "Leave approved", leave_id: leave.id }]);
+  });
+
+  test("only the applicant's manager can approve, and only once", async () => {
+    const leave = await apply();
+    assert.equal((await api.as(employee).put(`/leave/approve/${leave.id}`)).status, 403);
+    assert.equal((await api.as(manager).put(`/leave/approve/${leave.id}`)).status, 200);
+    assert.equal((await api.as(manager).put(`/leave/approve/${leave.id}`)).status, 409);
+    assert.equal(await balance(), 8);
+  });
+
+  test("rejection leaves the balance alone", async () => {
+    const leave = await apply();
+    assert.equal((await api.as(manager).put(`/leave/reject/${leave.id}`)).status, 200);
+    assert.equal(await balance(), 10);
+    assert.deepEqual(await ledger(), []);
+  });
+
+  test("cancelling an approved leave credits the days back", async () => {
+    const leave = await apply();
+    await api.as(manager).put(`/leave/approve/${leave.id}`);
+    const { status, body } = await api.as(employee).del(`/leave/cancel/${leave.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.status, "Cancelled");
+    assert.equal(await balance(), 10);
+    assert.deepEqual((await ledger()).map((entry) => [entry.change, entry.reason]), [
+      [-2, "Leave approved"],
+      [2, "Leave cancelled"],
+    ]);
+    assert.equal((await api.as(employee).del(`/leave/cancel/${leave.id}`)).status, 409);
+  });
+
+  test("cancelling a pending leave touches no balance", async () => {
+    const leave = await apply();
+    assert.equal((await api.as(employee).del(`/leave/cancel/${leave.id}`)).status, 200);
+    assert.equal(await balance(), 10);
+    assert.deepEqual(await ledger(), []);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { skipWithoutDatabase, startApi } = require("./helpers");
+const { localDate } = require("../dates");
+
+describe("onboarding checklists", { skip: skipWithoutDatabase }, () => {
+  let api;
+  let manager;
+  let department;
+
+  const template = async (fields) => {
+    const { status, body } = await api.admin().post("/onboarding/templates", fields);
+    assert.equal(status, 201);
+    return body;
+  };
+  const checklist = async (employee) =>
+    (await api.admin().get(`/employees/${employee.id}/onboarding?sort=due_date`)).body.data.map((task) => ({
+      title: task.title,
+      due_date: localDate(new Date(task.due_date)),
+      assignee_id: task.assignee_id,
+      status: task.status,
+    }));
+
+  before(async () => {
+    api = await startApi();
+  });
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    await api.reset();
+    manager = await api.hire({ name: "Manager", email: "manager@test", role: "manager" });
+    department = (await api.admin().post("/departments", { name: "Engineering" })).body;
+    await template({
+      name: "Everyone",
+      tasks: [{ title: "Sign contract", assignee_role: "HR", due_offset_days: 0 }],
+    });
+    await template({
+      name: "Engineering",
+      department_id: department.id,
+      tasks: [
+        { title: "Order laptop", assignee_role: "IT", due_offset_days: -3 },
+        { title: "Team intro", assignee_role: "Manager", due_offset_days: 1 },
+        { title: "Set up dev environment", assignee_role: "Employee", due_offset_days: 2 },
+      ],
+    });
+  });
+
+  test("hiring with a doj copies the most specific template, due from doj", async () => {
+    const hire = await api.hire({
+      name: "New",
+      email: "new@test",
+      doj: "2025-03-10",
+      department_id: department.id,
+      manager_id: manager.id,
+    });
+    assert.deepEqual(await checklist(hire), [
+      { title: "Order laptop", due_date: "2025-03-07", assignee_id: null, status: "Pending" },
+      { title: "Team intro", due_date: "2025-03-11", assignee_id: manager.id, status: "Pending" },
+      { title: "Set up dev environment", due_date: "2025-03-12", assignee_id: hire.id, status: "Pending" },
+    ]);
+  });
+
+  test("a designation template beats the department one, and the catch-all covers the rest", async () => {
+    await template({
+      name: "Engineering leads",
+      department_id: department.id,
+      designation: "Lead",
+      tasks: [{ title: "Leadership training", assignee_role: "HR", due_offset_days: 5 }],
+    });
+    const lead = await api.hire({ name: "Lead", email: "lead@test", doj: "2025-03-10", department_id: department.id, designation: "lead" });
+    assert.deepEqual((await checklist(lead)).map((task) => task.title), ["Leadership training"]);
+    const other = await api.hire({ name: "Other", email: "other@test", doj: "2025-03-10" });
+    assert.deepEqual((await checklist(other)).map((task) => task.title), ["Sign contract"]);
+  });
+
+  test("an employee hired without a doj gets the checklist when the doj is first set", async () => {
+    const hire = await api.hire({ name: "New", email: "new@test", department_id: department.id });
+    assert.deepEqual(await checklist(hire), []);
+    assert.equal((await api.admin().patch(`/employees/${hire.id}`, { doj: "2025-03-10" })).status, 200);
+    assert.deepEqual((await checklist(hire)).map((task) => [task.title, task.due_date]), [
+      ["Order laptop", "2025-03-07"],
+      ["Team intro", "2025-03-11"],
+      ["Set up dev environment", "2025-03-12"],
+    ]);
+  });
+
+  test("changing doj moves pending tasks and leaves completed ones", async () => {
+    const hire = await api.hire({ name: "New", email: "new@test", doj: "2025-03-10", department_id: department.id });
+    const [laptop] = (await api.admin().get(`/employees/${hire.id}/onboarding?sort=due_date`)).body.data;
+    assert.equal((await api.admin().put(`/onboarding/tasks/${laptop.id}/complete`, {})).status, 200);
+    await api.admin().patch(`/employees/${hire.id}`, { doj: "2025-03-17" });
+    assert.deepEqual((await checklist(hire)).map((task) => [task.title, task.due_date, task.status]), [
+      ["Order laptop", "2025-03-07", "Completed"],
+      ["Team intro", "2025-03-18", "Pending"],
+      ["Set up dev environment", "2025-03-19", "Pending"],
+    ]);
+  });
+
+  test("clearing and setting doj again does not generate a second checklist", async () => {
+    const hire = await api.hire({ name: "New", email: "new@test", doj: "2025-03-10" });
+    await api.admin().patch(`/employees/${hire.id}`, { doj: null });
+    await api.admin().patch(`/employees/${hire.id}`, { doj: "2025-03-17" });
+    assert.equal((await checklist(hire)).length, 1);
+  });
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { annualTax, monthlyTds, computePayroll } = require("../payroll");
+
+const month = (overrides) => ({
+  basic_salary: 50000,
+  pf_applicable: false,
+  esi_applicable: false,
+  employed_days: 30,
+  unpaid_days: 0,
+  bonus: 0,
+  ...overrides,
+});
+
+test("annualTax is nil up to the rebate limit after the standard deduction", () => {
+  assert.equal(annualTax(1275000), 0);
+  assert.equal(annualTax(0), 0);
+});
+
+test("annualTax applies every slab and cess above the rebate limit", () => {
+  // 2,325,000 taxable: 20,000 + 40,000 + 60,000 + 80,000 + 81,250, plus 4% cess
+  assert.equal(annualTax(2400000), 292500);
+});
+
+test("monthlyTds spreads the tax on regular pay over twelve months", () => {
+  assert.equal(monthlyTds(200000), 24375);
+  assert.equal(monthlyTds(100000), 0);
+});
+
+test("monthlyTds adds a bonus to the year once instead of annualizing it", () => {
+  // 1,200,000 regular + 200,000 bonus -> 1,325,000 taxable -> 78,750 + cess, all due this month
+  assert.equal(monthlyTds(100000, 200000), 81900);
+  assert.equal(monthlyTds(100000, 0), 0);
+});
+
+test("computePayroll pays a full month with PF capped at the wage ceiling", () => {
+  const row = computePayroll(month({ pf_applicable: true }), 30);
+  assert.equal(row.basic_earned, 50000);
+  assert.equal(row.gross_salary, 50000);
+  assert.equal(row.pf_deduction, 1800);
+  assert.equal(row.esi_deduction, 0);
+  assert.equal(row.tds_deduction, 0);
+  assert.equal(row.net_salary, 48200);
+});
+
+test("computePayroll deducts unpaid leave per day of the month", () => {
+  const row = computePayroll(month({ basic_salary: 30000, unpaid_days: 3 }), 30);
+  assert.equal(row.unpaid_leave_days, 3);
+  assert.equal(row.other_deductions, 3000);
+  assert.equal(row.net_salary, 27000);
+});
+
+test("computePayroll prorates a partial month and caps LOP at the days employed", () => {
+  const row = computePayroll(month({ basic_salary: 60000, employed_days: 15, unpaid_days: 20 }), 30);
+  assert.equal(row.basic_earned, 30000);
+  assert.equal(row.other_deductions, 30000);
+  assert.equal(row.net_salary, 0);
+});
+
+test("computePayroll applies ESI only while gross is within the limit", () => {
+  assert.equal(computePayroll(month({ basic_salary: 20000, esi_applicable: true }), 30).esi_deduction, 150);
+  const withBonus = computePayroll(month({ basic_salary: 20000, esi_applicable: true, bonus: 5000 }), 30);
+  assert.equal(withBonus.gross_salary, 25000);
+  assert.equal(withBonus.esi_deduction, 0);
+});
+
+test("computePayroll taxes a bonus month without annualizing the bonus", () => {
+  const row = computePayroll(month({ basic_salary: 100000, bonus: 200000 }), 30);
+  assert.equal(row.gross_salary, 300000);
+  assert.equal(row.tds_deduction, 81900);
+  assert.equal(row.net_salary, 218100);
+});
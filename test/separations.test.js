@@ -0,0 +1,81 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { skipWithoutDatabase, startApi } = require("./helpers");
+const { localDate } = require("../dates");
+
+describe("completing an exit", { skip: skipWithoutDatabase }, () => {
+  let api;
+  let manager;
+  let employee;
+
+  const applyAndApprove = async (start_date, end_date) => {
+    const { body: leave } = await api.as(employee).post("/leaves", { employee_id: employee.id, type: "CL", start_date, end_date });
+    assert.equal((await api.as(manager).put(`/leave/approve/${leave.id}`)).status, 200);
+    return leave;
+  };
+  const leave = async (id) => (await api.pool.query("SELECT * FROM leaves WHERE id = $1", [id])).rows[0];
+
+  before(async () => {
+    api = await startApi();
+  });
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    await api.reset();
+    manager = await api.hire({ name: "Manager", email: "manager@test", role: "manager" });
+    employee = await api.hire({ name: "Employee", email: "employee@test", manager_id: manager.id, doj: "2024-01-01" });
+    await api.admin().post("/leave_policies", { name: "CL", days_per_year: 12 });
+    await api.admin().post("/leave_balances", { employee_id: employee.id, leave_type: "CL", balance: 20 });
+  });
+
+  test("deactivates the employee as of the last working day", async () => {
+    const { status, body } = await api.admin().del(`/employees/${employee.id}`, { reason: "Misconduct", last_working_day: "2025-01-08" });
+    assert.equal(status, 200);
+    assert.equal(body.status, "Completed");
+    const row = (await api.pool.query("SELECT status, exit_date FROM employees WHERE id = $1", [employee.id])).rows[0];
+    assert.equal(row.status, "Exited");
+    assert.equal(localDate(row.exit_date), "2025-01-08");
+    assert.equal((await api.as(employee).get(`/employees/${employee.id}`)).status, 401);
+  });
+
+  test("is refused while the employee still has direct reports", async () => {
+    const { status } = await api.admin().del(`/employees/${manager.id}`, { reason: "Restructuring" });
+    assert.equal(status, 409);
+    const row = (await api.pool.query("SELECT status FROM employees WHERE id = $1", [manager.id])).rows[0];
+    assert.equal(row.status, "Active");
+  });
+
+  test("cancels pending leave and credits back approved leave past the last working day", async () => {
+    // Monday 6 to Friday 10 January straddles the Wednesday exit; the week after falls wholly past it
+    const straddling = await applyAndApprove("2025-01-06", "2025-01-10");
+    const later = await applyAndApprove("2025-01-13", "2025-01-14");
+    const earlier = await applyAndApprove("2025-01-02", "2025-01-03");
+    const { body: pending } = await api.as(employee).post("/leaves", {
+      employee_id: employee.id,
+      type: "CL",
+      start_date: "2025-01-20",
+      end_date: "2025-01-20",
+    });
+
+    await api.admin().del(`/employees/${employee.id}`, { reason: "Misconduct", last_working_day: "2025-01-08" });
+
+    const shortened = await leave(straddling.id);
+    assert.equal(shortened.status, "Approved");
+    assert.equal(localDate(shortened.end_date), "2025-01-08");
+    assert.equal(Number(shortened.days), 3);
+    assert.equal((await leave(later.id)).status, "Cancelled");
+    assert.equal((await leave(earlier.id)).status, "Approved");
+    assert.equal((await leave(pending.id)).status, "Cancelled");
+
+    const balance = await api.pool.query("SELECT balance FROM leave_balances WHERE employee_id = $1", [employee.id]);
+    assert.equal(Number(balance.rows[0].balance), 20 - 9 + 2 + 2);
+    const credits = await api.pool.query(
+      "SELECT change::float, reason, leave_id FROM leave_balance_ledger WHERE employee_id = $1 AND change > 0 AND leave_id IS NOT NULL ORDER BY id",
+      [employee.id]
+    );
+    assert.deepEqual(credits.rows, [
+      { change: 2, reason: "Leave shortened on exit", leave_id: straddling.id },
+      { change: 2, reason: "Leave cancelled on exit", leave_id: later.id },
+    ]);
+  });
+});
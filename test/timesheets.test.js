@@ -0,0 +1,132 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { skipWithoutDatabase, startApi } = require("./helpers");
+const { localDate } = require("../dates");
+
+// Both suites share the one app a test file can load
+describe("timesheets and allocation", { skip: skipWithoutDatabase }, () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+  after(() => api.stop());
+
+  describe("project allocation", () => {
+    let employee;
+    let projects;
+
+    const assign = (project, fields) =>
+      api.admin().post(`/projects/${project.id}/members`, { employee_id: employee.id, start_date: "2025-01-01", ...fields });
+
+    beforeEach(async () => {
+      await api.reset();
+      employee = await api.hire({ name: "Employee", email: "employee@test" });
+      projects = [];
+      for (const name of ["Apollo", "Gemini", "Mercury"]) projects.push((await api.admin().post("/projects", { name })).body);
+    });
+
+    test("rejects an assignment that takes the employee past 100%", async () => {
+      assert.equal((await assign(projects[0], { allocation_percent: 60 })).status, 201);
+      const { status, body } = await assign(projects[1], { allocation_percent: 50 });
+      assert.equal(status, 409);
+      assert.match(body.error, /already 60% allocated on 2025-01-01/);
+      assert.equal((await assign(projects[1], { allocation_percent: 40 })).status, 201);
+    });
+
+    test("finds the busiest day when later assignments start inside the period", async () => {
+      await assign(projects[0], { allocation_percent: 60, end_date: "2025-01-31" });
+      await assign(projects[1], { allocation_percent: 30, start_date: "2025-01-15" });
+      const { status, body } = await assign(projects[2], { allocation_percent: 20 });
+      assert.equal(status, 409);
+      assert.match(body.error, /already 90% allocated on 2025-01-15/);
+      assert.equal((await assign(projects[2], { allocation_percent: 20, start_date: "2025-02-01" })).status, 201);
+    });
+
+    test("rejects overlapping assignments to the same project but not consecutive ones", async () => {
+      await assign(projects[0], { allocation_percent: 20, end_date: "2025-01-31" });
+      assert.equal((await assign(projects[0], { allocation_percent: 20, start_date: "2025-01-31" })).status, 409);
+      assert.equal((await assign(projects[0], { allocation_percent: 20, start_date: "2025-02-01" })).status, 201);
+    });
+
+    test("does not count an assignment against itself when it is edited", async () => {
+      const { body: assignment } = await assign(projects[0], { allocation_percent: 60 });
+      const { status, body } = await api.admin().patch(`/projects/${projects[0].id}/members/${assignment.id}`, { allocation_percent: 100 });
+      assert.equal(status, 200);
+      assert.equal(Number(body.allocation_percent), 100);
+    });
+  });
+
+  describe("timesheet entry validation", () => {
+    let manager;
+    let employee;
+    let project;
+
+    // Monday 6 January 2025, inside the assignment below
+    const log = (fields) =>
+      api.as(employee).post("/timesheets", { employee_id: employee.id, project_id: project.id, log_date: "2025-01-06", hours: 8, ...fields });
+
+    beforeEach(async () => {
+      await api.reset();
+      manager = await api.hire({ name: "Manager", email: "manager@test", role: "manager" });
+      employee = await api.hire({ name: "Employee", email: "employee@test", manager_id: manager.id });
+      project = (await api.admin().post("/projects", { name: "Apollo" })).body;
+      await api.admin().post(`/projects/${project.id}/members`, {
+        employee_id: employee.id,
+        allocation_percent: 100,
+        start_date: "2025-01-02",
+        end_date: "2025-01-31",
+      });
+    });
+
+    test("accepts hours on a day the employee is assigned", async () => {
+      const { status, body } = await log();
+      assert.equal(status, 201);
+      assert.equal(localDate(new Date(body.log_date)), "2025-01-06");
+    });
+
+    test("rejects days outside the assignment and projects the employee is not on", async () => {
+      assert.equal((await log({ log_date: "2025-01-01" })).status, 400);
+      assert.equal((await log({ log_date: "2025-02-03" })).status, 400);
+      const other = (await api.admin().post("/projects", { name: "Gemini" })).body;
+      const { status, body } = await log({ project_id: other.id });
+      assert.equal(status, 400);
+      assert.match(body.error, /not assigned to project/);
+    });
+
+    test("rejects future dates and hours outside the daily range", async () => {
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      assert.equal((await log({ log_date: localDate(tomorrow) })).status, 400);
+      assert.equal((await log({ hours: 0 })).status, 400);
+      assert.equal((await log({ hours: 13 })).status, 400);
+    });
+
+    test("rejects days on approved leave", async () => {
+      await api.admin().post("/leave_policies", { name: "CL", days_per_year: 12 });
+      await api.admin().post("/leave_balances", { employee_id: employee.id, leave_type: "CL", balance: 5 });
+      const { body: leave } = await api.as(employee).post("/leaves", {
+        employee_id: employee.id,
+        type: "CL",
+        start_date: "2025-01-06",
+        end_date: "2025-01-06",
+      });
+      assert.equal((await log()).status, 201);
+      await api.pool.query("DELETE FROM timesheets");
+      await api.as(manager).put(`/leave/approve/${leave.id}`);
+      const { status, body } = await log();
+      assert.equal(status, 409);
+      assert.match(body.error, /on approved leave/);
+    });
+
+    test("caps the day's total, not counting the entry being edited", async () => {
+      const { body: entry } = await log({ hours: 8 });
+      const { status, body } = await log({ hours: 5 });
+      assert.equal(status, 409);
+      assert.match(body.error, /13 hours on 2025-01-06 would exceed the daily maximum of 12/);
+      assert.equal((await log({ hours: 4 })).status, 201);
+      assert.equal((await api.as(manager).patch(`/timesheets/${entry.id}`, { hours: 9 })).status, 409);
+      assert.equal((await api.as(manager).patch(`/timesheets/${entry.id}`, { hours: 7 })).status, 200);
+    });
+  });
+});
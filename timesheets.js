@@ -1,153 +1,268 @@
 /**
- * @swagger
- * tags:
- *   name: Timesheets
- *   description: API for tracking employee timesheets
+ * ⏱️ Timesheets
  */
+const express = require("express");
+const { listRows } = require("./listing");
+const { sendVersioned, versionedUpdate } = require("./versioning");
 
-/**
- * @swagger
- * /timesheets:
- *   get:
- *     summary: Get all timesheet entries
- *     tags: [Timesheets]
- *     responses:
- *       200:
- *         description: List of timesheets
- */
-app.get("/timesheets", async (req, res) => {
-  const result = await pool.query("SELECT * FROM timesheets");
-  res.status(200).json(result.rows);
-});
+module.exports = function timesheetsRouter({ pool, withTransaction, ROLES, ALL_ROLES, authorize, canActFor, validateTimesheetEntry, refreshTimesheetWarnings, lockedWeek }) {
+  const router = express.Router();
 
-/**
- * @swagger
- * /timesheets/{id}:
- *   get:
- *     summary: Get a timesheet by ID
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Timesheet found
- *       404:
- *         description: Timesheet not found
- */
-app.get("/timesheets/:id", async (req, res) => {
-  const result = await pool.query("SELECT * FROM timesheets WHERE id = $1", [req.params.id]);
-  if (result.rows.length === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * tags:
+   *   name: Timesheets
+   *   description: API for tracking employee timesheets
+   */
 
-/**
- * @swagger
- * /timesheets:
- *   post:
- *     summary: Create a new timesheet entry
- *     tags: [Timesheets]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [employee_id, project_id, log_date, hours]
- *             properties:
- *               employee_id:
- *                 type: integer
- *               project_id:
- *                 type: integer
- *               log_date:
- *                 type: string
- *                 format: date
- *               hours:
- *                 type: number
- *               notes:
- *                 type: string
- *     responses:
- *       201:
- *         description: Timesheet created
- */
-app.post("/timesheets", async (req, res) => {
-  const { employee_id, project_id, log_date, hours, notes } = req.body;
-  const result = await pool.query(
-    "INSERT INTO timesheets (employee_id, project_id, log_date, hours, notes) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-    [employee_id, project_id, log_date, hours, notes]
-  );
-  res.status(201).json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Timesheet:
+   *       type: object
+   *       properties:
+   *         employee_id:
+   *           type: integer
+   *         project_id:
+   *           type: integer
+   *         log_date:
+   *           type: string
+   *           format: date
+   *         hours:
+   *           type: number
+   *         notes:
+   *           type: string
+   */
 
-/**
- * @swagger
- * /timesheets/{id}:
- *   put:
- *     summary: Update a timesheet entry
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               employee_id:
- *                 type: integer
- *               project_id:
- *                 type: integer
- *               log_date:
- *                 type: string
- *                 format: date
- *               hours:
- *                 type: number
- *               notes:
- *                 type: string
- *     responses:
- *       200:
- *         description: Timesheet updated
- *       404:
- *         description: Timesheet not found
- */
-app.put("/timesheets/:id", async (req, res) => {
-  const { employee_id, project_id, log_date, hours, notes } = req.body;
-  const result = await pool.query(
-    "UPDATE timesheets SET employee_id = $1, project_id = $2, log_date = $3, hours = $4, notes = $5 WHERE id = $6 RETURNING *",
-    [employee_id, project_id, log_date, hours, notes, req.params.id]
-  );
-  if (result.rowCount === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json(result.rows[0]);
-});
+  /**
+   * @swagger
+   * /timesheets:
+   *   get:
+   *     summary: Get all timesheet entries
+   *     tags: [Timesheets]
+   *     description: Filter and sort by id, employee_id, project_id, log_date, hours. Ranges via _from/_to on log_date, hours.
+   *     parameters:
+   *       - $ref: '#/components/parameters/Limit'
+   *       - $ref: '#/components/parameters/Offset'
+   *       - $ref: '#/components/parameters/Sort'
+   *       - { in: query, name: id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: employee_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: project_id, explode: false, schema: { type: array, items: { type: integer } } }
+   *       - { in: query, name: log_date, explode: false, schema: { type: array, items: { type: string, format: date } } }
+   *       - { in: query, name: hours, explode: false, schema: { type: array, items: { type: number } } }
+   *       - { in: query, name: log_date_from, schema: { type: string, format: date } }
+   *       - { in: query, name: log_date_to, schema: { type: string, format: date } }
+   *       - { in: query, name: hours_from, schema: { type: number } }
+   *       - { in: query, name: hours_to, schema: { type: number } }
+   *     responses:
+   *       200:
+   *         description: List of timesheets
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Page'
+   */
+  router.get("/timesheets", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const page = await listRows(pool, req, {
+      select: "SELECT * FROM timesheets",
+      fields: { id: "integer", employee_id: "integer", project_id: "integer", log_date: "date", hours: "number" },
+      defaultSort: "id",
+    });
+    if (page.error) return res.status(page.status).json({ error: page.error });
+    res.json(page);
+  });
 
-/**
- * @swagger
- * /timesheets/{id}:
- *   delete:
- *     summary: Delete a timesheet entry
- *     tags: [Timesheets]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Timesheet deleted
- *       404:
- *         description: Timesheet not found
- */
-app.delete("/timesheets/:id", async (req, res) => {
-  const result = await pool.query("DELETE FROM timesheets WHERE id = $1 RETURNING *", [req.params.id]);
-  if (result.rowCount === 0) return res.status(404).json({ error: "Timesheet not found" });
-  res.json({ message: "Timesheet deleted successfully" });
-});
+  /**
+   * @swagger
+   * /timesheets/{id}:
+   *   get:
+   *     summary: Get a timesheet by ID
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Timesheet found
+   *       404:
+   *         description: Timesheet not found
+   */
+  router.get("/timesheets/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const result = await pool.query("SELECT * FROM timesheets WHERE id = $1", [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: "Timesheet not found" });
+    sendVersioned(res, result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /timesheets:
+   *   post:
+   *     summary: Create a new timesheet entry
+   *     tags: [Timesheets]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/Timesheet'
+   *               - required: [employee_id, project_id, log_date, hours]
+   *     responses:
+   *       201:
+   *         description: Timesheet created; attendance_warning is set when the day's total strays from attended hours
+   *       400:
+   *         description: Invalid date or hours, or the employee is not assigned to the project on that date
+   *       409:
+   *         description: Approved leave on that date, or the daily maximum would be exceeded
+   */
+  router.post("/timesheets", authorize(...ALL_ROLES), async (req, res) => {
+    const { employee_id, project_id, log_date, hours, notes } = req.body;
+    if (!(await canActFor(req, employee_id))) return res.status(403).json({ error: "Forbidden" });
+    const outcome = await withTransaction(async (client) => {
+      const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+      if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const invalid = await validateTimesheetEntry(client, req.body);
+      if (invalid) return invalid;
+      const locked = await lockedWeek(client, employee_id, log_date);
+      if (locked) return locked;
+      const inserted = await client.query(
+        "INSERT INTO timesheets (employee_id, project_id, log_date, hours, notes) VALUES ($1, $2, $3, $4, $5) RETURNING id",
+        [employee_id, project_id, log_date, hours, notes]
+      );
+      await refreshTimesheetWarnings(client, employee_id, log_date);
+      const result = await client.query("SELECT * FROM timesheets WHERE id = $1", [inserted.rows[0].id]);
+      return { entry: result.rows[0] };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(201).json(outcome.entry);
+  });
+
+  const updateTimesheet = versionedUpdate(withTransaction, {
+    notFound: "Timesheet not found",
+    load: (client, req) => client.query("SELECT * FROM timesheets WHERE id = $1 FOR UPDATE", [req.params.id]),
+    fields: ["employee_id", "project_id", "log_date", "hours", "notes"],
+    save: async (client, values, previous) => {
+      const { employee_id, project_id, log_date, hours, notes } = values;
+      const employee = await client.query("SELECT id FROM employees WHERE id = $1 FOR UPDATE", [employee_id]);
+      if (employee.rows.length === 0) return { status: 404, error: "Employee not found" };
+      const invalid = await validateTimesheetEntry(client, { ...values, id: previous.id });
+      if (invalid) return invalid;
+      const locked =
+        (await lockedWeek(client, previous.employee_id, previous.log_date)) ||
+        (await lockedWeek(client, employee_id, log_date));
+      if (locked) return locked;
+      await client.query(
+        "UPDATE timesheets SET employee_id = $1, project_id = $2, log_date = $3, hours = $4, notes = $5 WHERE id = $6",
+        [employee_id, project_id, log_date, hours, notes, previous.id]
+      );
+      await refreshTimesheetWarnings(client, previous.employee_id, previous.log_date);
+      await refreshTimesheetWarnings(client, employee_id, log_date);
+      const result = await client.query("SELECT * FROM timesheets WHERE id = $1", [previous.id]);
+      return { row: result.rows[0] };
+    },
+  });
+
+  /**
+   * @swagger
+   * /timesheets/{id}:
+   *   put:
+   *     summary: Update a timesheet entry
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Timesheet'
+   *     responses:
+   *       200:
+   *         description: Timesheet updated
+   *       400:
+   *         description: Invalid date or hours, or the employee is not assigned to the project on that date
+   *       404:
+   *         description: Timesheet not found
+   *       409:
+   *         description: Approved leave on that date, or the daily maximum would be exceeded
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.put("/timesheets/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateTimesheet.replace);
+
+  /**
+   * @swagger
+   * /timesheets/{id}:
+   *   patch:
+   *     summary: Update only the given fields of a timesheet entry
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - $ref: '#/components/parameters/IfMatch'
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Timesheet'
+   *     responses:
+   *       200:
+   *         description: Timesheet updated
+   *       400:
+   *         description: Invalid date or hours, or the employee is not assigned to the project on that date
+   *       404:
+   *         description: Timesheet not found
+   *       409:
+   *         description: Approved leave on that date, or the daily maximum would be exceeded
+   *       412:
+   *         description: Changed since the If-Match ETag was read
+   */
+  router.patch("/timesheets/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), updateTimesheet.patch);
+
+  /**
+   * @swagger
+   * /timesheets/{id}:
+   *   delete:
+   *     summary: Delete a timesheet entry
+   *     tags: [Timesheets]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Timesheet deleted
+   *       404:
+   *         description: Timesheet not found
+   */
+  router.delete("/timesheets/:id", authorize(ROLES.MANAGER, ROLES.HR_ADMIN), async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query("SELECT * FROM timesheets WHERE id = $1 FOR UPDATE", [req.params.id]);
+      if (found.rows.length === 0) return { status: 404, error: "Timesheet not found" };
+      const entry = found.rows[0];
+      const locked = await lockedWeek(client, entry.employee_id, entry.log_date);
+      if (locked) return locked;
+      await client.query("DELETE FROM timesheets WHERE id = $1", [entry.id]);
+      await refreshTimesheetWarnings(client, entry.employee_id, entry.log_date);
+      return {};
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.json({ message: "Timesheet deleted successfully" });
+  });
+
+  return router;
+};
@@ -0,0 +1,202 @@
+/**
+ * ✅ Request validation from the Swagger spec
+ *
+ * The spec generated from the JSDoc blocks is the single source of truth: every request whose
+ * method and path match a documented operation has its path params, query string and JSON body
+ * checked against the declared schemas before the route runs. Supports the subset of OpenAPI
+ * 3.0 schemas the docs use: $ref, allOf, type, format (date, date-time), enum, pattern,
+ * minimum/maximum, minLength/maxLength, required, items, minItems and nullable.
+ */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const FORMATS = {
+  date: [isDate, "must be a date (YYYY-MM-DD)"],
+  "date-time": [(value) => !Number.isNaN(Date.parse(value)), "must be a date-time"],
+};
+
+// Parameters may be shared through #/components/parameters
+function resolveParam(spec, param) {
+  if (!param.$ref) return param;
+  const name = param.$ref.replace("#/components/parameters/", "");
+  const resolved = spec.components && spec.components.parameters && spec.components.parameters[name];
+  if (!resolved) throw new Error(`Unknown parameter ${name}`);
+  return resolved;
+}
+
+function resolveRef(spec, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const name = resolved.$ref.replace("#/components/schemas/", "");
+    resolved = spec.components && spec.components.schemas && spec.components.schemas[name];
+    if (!resolved) throw new Error(`Unknown schema ${name}`);
+  }
+  return resolved || {};
+}
+
+function typeError(value, type) {
+  const ok = {
+    integer: Number.isInteger(value),
+    number: typeof value === "number" && Number.isFinite(value),
+    string: typeof value === "string",
+    boolean: typeof value === "boolean",
+    array: Array.isArray(value),
+    object: value !== null && typeof value === "object" && !Array.isArray(value),
+  }[type];
+  if (ok === false) return type === "integer" || type === "array" || type === "object" ? `must be an ${type}` : `must be a ${type}`;
+  return null;
+}
+
+// Collects { field, message } problems for a JSON value; `field` is the dotted path so far
+function checkValue(spec, schemaOrRef, value, field, errors) {
+  const schema = resolveRef(spec, schemaOrRef);
+  if (schema.allOf) {
+    for (const part of schema.allOf) checkValue(spec, part, value, field, errors);
+  }
+  if (value === null) {
+    if (!schema.nullable && schema.type) errors.push({ field, message: "must not be null" });
+    return;
+  }
+  if (schema.type) {
+    const problem = typeError(value, schema.type);
+    if (problem) return errors.push({ field, message: problem });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return errors.push({ field, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+  if (typeof value === "string") {
+    const format = FORMATS[schema.format];
+    if (format && !format[0](value)) errors.push({ field, message: format[1] });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema.example ? `must be formatted like ${schema.example}` : `must match ${schema.pattern}` });
+    }
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push({ field, message: `must be ${schema.exclusiveMinimum ? "greater than" : "at least"} ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) errors.push({ field, message: `must be at most ${schema.maximum}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    if (schema.items) value.forEach((item, i) => checkValue(spec, schema.items, item, `${field}[${i}]`, errors));
+  }
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    const prefix = field ? `${field}.` : "";
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) errors.push({ field: `${prefix}${name}`, message: "is required" });
+    }
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      // null on an optional field means "clear it", which the handlers already accept
+      if (value[name] === undefined || (value[name] === null && !(schema.required || []).includes(name))) continue;
+      checkValue(spec, property, value[name], `${prefix}${name}`, errors);
+    }
+  }
+}
+
+// Path and query values arrive as strings; convert them to the declared type before checking.
+// Arrays are comma-separated (explode: false), as the list filters take them.
+function coerceParam(spec, schemaOrRef, raw) {
+  const schema = resolveRef(spec, schemaOrRef);
+  if (Array.isArray(raw)) return { value: raw, problem: "must be given once" };
+  if (schema.type === "array") {
+    const items = raw.split(",").map((part) => coerceParam(spec, schema.items || {}, part));
+    const bad = items.find((item) => item.problem);
+    return bad ? { value: raw, problem: `${bad.problem} for every comma-separated value` } : { value: items.map((item) => item.value) };
+  }
+  if (schema.type === "integer" || schema.type === "number") {
+    return /^-?\d+(\.\d+)?$/.test(raw) ? { value: Number(raw) } : { value: raw, problem: `must be ${schema.type === "integer" ? "an integer" : "a number"}` };
+  }
+  if (schema.type === "boolean") {
+    return raw === "true" || raw === "false" ? { value: raw === "true" } : { value: raw, problem: "must be true or false" };
+  }
+  return { value: raw };
+}
+
+// Compiles "/projects/{id}/members" into a matcher, most literal paths first
+function compileOperations(spec) {
+  const operations = [];
+  for (const [template, methods] of Object.entries(spec.paths || {})) {
+    const segments = template.split("/").filter(Boolean);
+    const names = [];
+    const source = segments
+      .map((segment) => {
+        const param = /^\{(\w+)\}$/.exec(segment);
+        if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        names.push(param[1]);
+        return "([^/]+)";
+      })
+      .join("/");
+    const literals = segments.length - names.length;
+    for (const [method, operation] of Object.entries(methods)) {
+      operations.push({ method: method.toUpperCase(), regex: new RegExp(`^/${source}/?$`), names, literals, operation });
+    }
+  }
+  return operations.sort((a, b) => b.literals - a.literals);
+}
+
+function validateRequest(spec, operation, params, req) {
+  const errors = [];
+  for (const param of (operation.parameters || []).map((p) => resolveParam(spec, p))) {
+    if (param.in !== "path" && param.in !== "query") continue;
+    const raw = param.in === "path" ? params[param.name] : req.query[param.name];
+    const field = `${param.in}.${param.name}`;
+    if (raw === undefined || raw === "") {
+      if (param.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+    const { value, problem } = coerceParam(spec, param.schema || {}, raw);
+    if (problem) errors.push({ field, message: problem });
+    else checkValue(spec, param.schema || {}, value, field, errors);
+  }
+  const json = operation.requestBody && operation.requestBody.content && operation.requestBody.content["application/json"];
+  if (json && json.schema) {
+    if (req.body === undefined) {
+      if (operation.requestBody.required) errors.push({ field: "body", message: "is required" });
+    } else {
+      const bodyErrors = [];
+      checkValue(spec, json.schema, req.body, "", bodyErrors);
+      errors.push(...bodyErrors.map((e) => ({ field: e.field ? `body.${e.field}` : "body", message: e.message })));
+    }
+  }
+  return errors;
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+// Middleware checking each request against its documented operation; undocumented routes pass through
+function validateRequests(spec) {
+  const operations = compileOperations(spec);
+  return (req, res, next) => {
+    for (const candidate of operations) {
+      if (candidate.method !== req.method) continue;
+      const match = candidate.regex.exec(req.path);
+      if (!match) continue;
+      const params = {};
+      candidate.names.forEach((name, i) => {
+        params[name] = safeDecode(match[i + 1]);
+      });
+      const errors = validateRequest(spec, candidate.operation, params, req);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Validation failed", code: "VALIDATION_FAILED", fields: errors });
+      }
+      return next();
+    }
+    next();
+  };
+}
+
+module.exports = { validateRequests, isDate };
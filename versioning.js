@@ -0,0 +1,66 @@
+/**
+ * 🔖 Row versions, ETags and partial updates
+ *
+ * Editable tables carry a version that a trigger bumps on every change (migrations/002_row_versions.js).
+ * Single-row responses send it as the ETag, and PUT/PATCH honour If-Match, so when two people edit
+ * the same record the second save fails with 412 instead of silently overwriting the first:
+ *
+ *   GET   /leaves/7     -> ETag: "3"
+ *   PATCH /leaves/7     If-Match: "3"   { "reason": "Family event" }   -> 200, ETag: "4"
+ *   PATCH /leaves/7     If-Match: "3"   { "end_date": "..." }          -> 412
+ */
+const { localDate } = require("./dates");
+
+const etag = (row) => `"${row.version}"`;
+
+// Sends one row with its ETag; Express answers 304 itself when If-None-Match matches
+function sendVersioned(res, row, status = 200) {
+  res.set("ETag", etag(row));
+  return res.status(status).json(row);
+}
+
+// True without an If-Match header, or when it lists the row's current ETag (or *)
+function matchesIfMatch(req, row) {
+  const header = req.get("If-Match");
+  if (!header) return true;
+  const tags = header.split(",").map((tag) => tag.trim().replace(/^W\//, ""));
+  return tags.includes("*") || tags.includes(etag(row));
+}
+
+// DATE columns come back as local-midnight Dates; the handlers expect the YYYY-MM-DD they were sent
+const requestValue = (value) => (value instanceof Date ? localDate(value) : value);
+
+/**
+ * Builds the PUT and PATCH handlers for one resource. Both lock the row, check If-Match and pass
+ * `save` the values to write: PUT takes the body as sent (omitted fields are cleared), PATCH overlays
+ * the body on the current row so only the fields sent change.
+ *
+ * @param {Function} withTransaction
+ * @param {{ load: Function, notFound: string, fields: string[], save: Function }} resource
+ *   load(client, req) selects the row FOR UPDATE; save(client, values, current, req) writes it and
+ *   returns { row } or { status, error }
+ * @returns {{ replace: Function, patch: Function }} Express handlers
+ */
+function versionedUpdate(withTransaction, { load, notFound, fields, save }) {
+  const handler = (partial) => async (req, res) => {
+    const body = req.body || {};
+    const outcome = await withTransaction(async (client) => {
+      const found = await load(client, req);
+      if (found.rows.length === 0) return { status: 404, error: notFound };
+      const current = found.rows[0];
+      if (!matchesIfMatch(req, current)) {
+        return { status: 412, error: `Changed by someone else since you loaded it (now version ${current.version}); reload and retry` };
+      }
+      const values = {};
+      for (const field of fields) {
+        values[field] = partial && !(field in body) ? requestValue(current[field]) : body[field];
+      }
+      return save(client, values, current, req);
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    sendVersioned(res, outcome.row);
+  };
+  return { replace: handler(false), patch: handler(true) };
+}
+
+module.exports = { etag, sendVersioned, matchesIfMatch, versionedUpdate };